@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+/**
+ * A command-line tool for computing and debugging SASL exchanges, e.g., when
+ * talking to a server with openssl s_client. Run it with --help for usage.
+ * @module emailsasl-cli
+ * @private
+ */
+"use strict";
+
+const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
+const stream = require('stream');
+const tls = require('tls');
+const tty = require('tty');
+const sasl = require('../src/sasl');
+const saslUtils = require('../src/sasl-utils');
+
+const usage = `Usage: emailsasl <command> [options]
+
+Commands:
+  plain              Print the initial response of PLAIN.
+  xoauth2            Print the initial response of XOAUTH2.
+  oauthbearer        Print the initial response of OAUTHBEARER.
+  run <mechanism>    Run a mechanism interactively: each response is printed,
+                     and each challenge is read from standard input, as a line
+                     of base64 (optionally prefixed with "+ " or "334 ").
+  imap, smtp         Connect to a server, and run the whole negotiation.
+
+Options:
+  --user <name>        The user name.
+  --authzid <id>       The authorization identity.
+  --host <host>        The server (localhost by default).
+  --port <port>        The port of the server.
+  --tls                Connect with TLS instead of plain TCP (imap and smtp).
+  --mechanism <name>   The mechanism to use (imap and smtp; may be repeated).
+  --service <name>     The SASL service name (imap by default for plain,
+                       xoauth2, oauthbearer, and run).
+
+The password is read from $SASL_PASS, and the OAuth 2.0 bearer token from
+$SASL_TOKEN. Without them, they are asked for on the terminal when needed.
+`;
+
+const defaultPorts = {
+  imap: [143, 993],
+  smtp: [587, 465],
+};
+
+const valueOptions = ["user", "authzid", "host", "port", "mechanism",
+  "service"];
+const flagOptions = ["tls", "help"];
+
+/**
+ * The environment variables that replace the options for secrets, which would
+ * otherwise be visible in the process list and the shell history.
+ */
+const secretOptions = {
+  pass: "SASL_PASS",
+  token: "SASL_TOKEN",
+};
+
+/**
+ * An error in the command line, which causes the usage to be printed.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Parse the command-line arguments into the command, its positional arguments,
+ * and the options.
+ */
+function parseArgs(argv) {
+  let parsed = {command: null, args: [], options: {mechanism: []}};
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    if (arg.substring(0, 2) != "--") {
+      if (parsed.command === null)
+        parsed.command = arg;
+      else
+        parsed.args.push(arg);
+      continue;
+    }
+    let name = arg.substring(2);
+    if (flagOptions.indexOf(name) >= 0) {
+      parsed.options[name] = true;
+    } else if (name in secretOptions) {
+      throw new UsageError(arg + " is not supported; set $" +
+        secretOptions[name] + " instead");
+    } else if (valueOptions.indexOf(name) >= 0) {
+      if (i + 1 >= argv.length)
+        throw new UsageError("Missing value for " + arg);
+      let value = argv[++i];
+      if (name == "mechanism")
+        parsed.options.mechanism.push(value.toUpperCase());
+      else
+        parsed.options[name] = value;
+    } else {
+      throw new UsageError("Unknown option " + arg);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Decode a base64-encoded message for display, escaping the non-printable
+ * characters.
+ */
+function decodeMessage(data) {
+  let message;
+  try {
+    message = saslUtils.base64ToBinaryString(data);
+  } catch (e) {
+    return "(invalid base64)";
+  }
+  return message.replace(/[^\x20-\x7e]/g,
+    c => "\\x" + ("0" + c.charCodeAt(0).toString(16)).slice(-2));
+}
+
+/**
+ * Ask for a secret on the terminal, without echoing it. The terminal is opened
+ * directly, so that the standard input may still be redirected.
+ *
+ * @returns {Promise<String>} The secret, or undefined if there is no terminal
+ *                            or the question is cancelled.
+ */
+function promptTerminal(question) {
+  let fd;
+  try {
+    fd = fs.openSync("/dev/tty", "r+");
+  } catch (e) {
+    return Promise.resolve(undefined);
+  }
+  let input = new tty.ReadStream(fd);
+  // The typed characters are echoed to the output, which is discarded.
+  let muted = new stream.Writable({write: (chunk, encoding, done) => done()});
+  let lines = readline.createInterface({input: input, output: muted,
+    terminal: true});
+  fs.writeSync(fd, question);
+  return new Promise(resolve => {
+    lines.once("line", resolve);
+    lines.once("close", () => resolve(undefined));
+    lines.once("SIGINT", () => lines.close());
+  }).then(answer => {
+    fs.writeSync(fd, "\n");
+    lines.close();
+    input.destroy();
+    return answer;
+  });
+}
+
+/**
+ * Create the authenticator for the command-line options. The secrets that are
+ * not in the environment are asked for once a mechanism needs them.
+ */
+function makeAuthenticator(service, mechanisms, options, io, extra) {
+  return new sasl.Authenticator(service, options.host || "localhost",
+    mechanisms, Object.assign({
+      user: options.user,
+      pass: io.env.SASL_PASS || (() => io.prompt("Password: ")),
+      oauthbearer: io.env.SASL_TOKEN || (() => io.prompt("Bearer token: ")),
+      authzid: options.authzid,
+      port: options.port ? parseInt(options.port, 10) : undefined,
+    }, extra));
+}
+
+/**
+ * Start the only mechanism of an authenticator, throwing an error if it
+ * cannot be used.
+ *
+ * @returns {Array} The result of tryNextAuth.
+ */
+function startMechanism(authenticator) {
+  let reason = null;
+  authenticator.on("skipped", event => {
+    reason = event.reason;
+  });
+  let method = authenticator.tryNextAuth();
+  if (!method)
+    throw new Error(reason || "The mechanism cannot be used");
+  return method;
+}
+
+/**
+ * The plain, xoauth2, and oauthbearer commands: print the initial response of
+ * the mechanism.
+ */
+async function printInitialResponse(mechanism, options, io) {
+  let authenticator = makeAuthenticator(options.service || "imap",
+    [mechanism], options, io, {desiredAuthMethods: [mechanism]});
+  startMechanism(authenticator);
+  io.output.write(await authenticator.authStep("") + "\n");
+}
+
+/**
+ * The run command: run a mechanism, printing the responses and reading the
+ * challenges from the input, until the input ends.
+ */
+async function runInteractively(mechanism, options, io) {
+  let authenticator = makeAuthenticator(options.service || "imap",
+    [mechanism], options, io, {desiredAuthMethods: [mechanism]});
+  let clientFirst = startMechanism(authenticator)[1];
+
+  let lines = readline.createInterface({input: io.input, terminal: false});
+  let iterator = lines[Symbol.asyncIterator]();
+  let readChallenge = async () => {
+    if (io.input.isTTY)
+      io.output.write("S: ");
+    let result = await iterator.next();
+    if (result.done)
+      return null;
+    // Protocol prefixes are accepted, as base64 contains no spaces.
+    return result.value.trim().replace(/^(\+|334)( |$)/, "");
+  };
+
+  try {
+    let challenge = clientFirst ? "" : await readChallenge();
+    while (challenge !== null) {
+      if (!io.input.isTTY && (challenge || !clientFirst))
+        io.output.write("S: " + challenge + "\n");
+      if (challenge)
+        io.output.write("   " + decodeMessage(challenge) + "\n");
+      // The input is not read during the step, which may ask for a secret on
+      // the same terminal.
+      lines.pause();
+      let response;
+      try {
+        response = await authenticator.authStep(challenge);
+      } finally {
+        lines.resume();
+      }
+      clientFirst = false;
+      io.output.write("C: " + response + "\n");
+      if (response)
+        io.output.write("   " + decodeMessage(response) + "\n");
+      challenge = await readChallenge();
+    }
+  } finally {
+    lines.close();
+  }
+}
+
+/**
+ * A line-based connection over a socket, as used by the protocol drivers.
+ */
+class LineConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this._buffer = "";
+    this._lines = [];
+    this._readers = [];
+    this._error = null;
+    socket.setEncoding("utf8");
+    socket.on("data", data => {
+      let lines = (this._buffer + data).split("\r\n");
+      this._buffer = lines.pop();
+      for (let line of lines) {
+        if (this._readers.length > 0)
+          this._readers.shift().resolve(line);
+        else
+          this._lines.push(line);
+      }
+    });
+    let fail = error => {
+      this._error = error || new Error("The server closed the connection");
+      for (let reader of this._readers.splice(0))
+        reader.reject(this._error);
+    };
+    socket.on("error", fail);
+    socket.on("end", () => fail(null));
+  }
+
+  sendLine(line) {
+    this.socket.write(line + "\r\n");
+  }
+
+  readLine() {
+    if (this._lines.length > 0)
+      return Promise.resolve(this._lines.shift());
+    if (this._error)
+      return Promise.reject(this._error);
+    return new Promise((resolve, reject) => {
+      this._readers.push({resolve: resolve, reject: reject});
+    });
+  }
+
+  /**
+   * Read the lines of a reply, up to and including the line that matches the
+   * regular expression.
+   */
+  async readReply(last) {
+    let lines = [];
+    let line;
+    do {
+      line = await this.readLine();
+      lines.push(line);
+    } while (!last.test(line));
+    return lines;
+  }
+}
+
+/**
+ * Open a connection to the server.
+ */
+function connect(options, protocol) {
+  let port = options.port ? parseInt(options.port, 10) :
+    defaultPorts[protocol][options.tls ? 1 : 0];
+  let host = options.host || "localhost";
+  return new Promise((resolve, reject) => {
+    let socket = options.tls ?
+      tls.connect({host: host, port: port, servername: host}) :
+      net.connect({host: host, port: port});
+    socket.once(options.tls ? "secureConnect" : "connect",
+      () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+/**
+ * The imap and smtp commands: connect to the server, read the mechanisms it
+ * offers, and authenticate with them, tracing the exchange.
+ */
+async function negotiate(protocol, options, io) {
+  let socket = await (io.connect || connect)(options, protocol);
+  let connection = new LineConnection(socket);
+  try {
+    let capabilities, driverOptions, Driver;
+    if (protocol == "imap") {
+      await connection.readLine();
+      connection.sendLine("A0 CAPABILITY");
+      capabilities = sasl.parseImapCapabilities(
+        (await connection.readReply(/^A0 /)).slice(0, -1).join(" "));
+      driverOptions = {saslIR: capabilities.initialResponse};
+      Driver = sasl.ImapDriver;
+    } else {
+      await connection.readReply(/^[0-9]{3}( |$)/);
+      connection.sendLine("EHLO localhost");
+      capabilities = sasl.parseSmtpEhlo(
+        await connection.readReply(/^[0-9]{3}( |$)/));
+      driverOptions = {initialResponse: capabilities.initialResponse};
+      Driver = sasl.SmtpDriver;
+    }
+    io.output.write("* Server mechanisms: " +
+      capabilities.mechanisms.join(" ") + "\n");
+
+    let extra = {
+      trace: line => io.output.write(line + "\n"),
+      transportSecure: !!options.tls,
+    };
+    if (options.mechanism.length > 0)
+      extra.desiredAuthMethods = options.mechanism;
+    let authenticator = makeAuthenticator(protocol, capabilities.mechanisms,
+      options, io, extra);
+    let mechanism = await new Driver(authenticator, connection,
+      driverOptions).authenticate();
+    io.output.write("* Authenticated with " + mechanism + "\n");
+    connection.sendLine(protocol == "imap" ? "A9 LOGOUT" : "QUIT");
+  } finally {
+    socket.end();
+  }
+}
+
+/**
+ * Run the tool.
+ *
+ * @param {String[]} argv The command-line arguments (without the program).
+ * @param {Object} [io]   The input and output streams (input, output, and
+ *                        error), the environment (env), a function to open
+ *                        connections (connect), and a function to ask for a
+ *                        secret (prompt); by default, those of the process.
+ * @returns {Promise<Number>} The exit status.
+ */
+async function main(argv, io) {
+  io = Object.assign({
+    input: process.stdin,
+    output: process.stdout,
+    error: process.stderr,
+    env: process.env,
+    prompt: promptTerminal,
+  }, io);
+  try {
+    let parsed = parseArgs(argv);
+    if (parsed.options.help) {
+      io.output.write(usage);
+      return 0;
+    }
+    let oneShot = {
+      plain: "PLAIN",
+      xoauth2: "XOAUTH2",
+      oauthbearer: "OAUTHBEARER",
+    };
+    if (parsed.command in oneShot) {
+      await printInitialResponse(oneShot[parsed.command], parsed.options, io);
+    } else if (parsed.command == "run") {
+      if (parsed.args.length != 1)
+        throw new UsageError("The run command needs a mechanism");
+      await runInteractively(parsed.args[0].toUpperCase(), parsed.options,
+        io);
+    } else if (parsed.command in defaultPorts) {
+      await negotiate(parsed.command, parsed.options, io);
+    } else {
+      throw new UsageError(parsed.command ?
+        "Unknown command " + parsed.command : "No command given");
+    }
+    return 0;
+  } catch (e) {
+    io.error.write("emailsasl: " + e.message + "\n");
+    if (e instanceof UsageError) {
+      io.error.write(usage);
+      return 2;
+    }
+    return 1;
+  }
+}
+
+if (require.main === module)
+  main(process.argv.slice(2)).then(status => process.exitCode = status);
+
+module.exports = {
+  main: main,
+};
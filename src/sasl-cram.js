@@ -6,17 +6,21 @@
  */
 (function (root, factory) {
   if (typeof define === 'function' && define.amd) {
-    define(['./sasl-utils'], function (saslUtils) {
-      return factory(saslUtils, crypto);
-    });
+    define(['./sasl-utils', './sasl-hashes', './sasl-crypto',
+      './sasl-scram-keys'], factory);
   } else if (typeof exports === 'object') {
-    module.exports = factory(require('./sasl-utils'), require('./sasl-crypto-polyfill'));
+    module.exports = factory(require('./sasl-utils'), require('./sasl-hashes'),
+      require('./sasl-crypto'), require('./sasl-scram-keys'));
   } else {
-    root.saslCram = factory(root.saslUtils, root.crypto);
+    root.saslCram = factory(root.saslUtils, root.saslHashes, root.saslCrypto,
+      root.saslScramKeys);
   }
-}(this, function (saslUtils, crypto) {
+}(this, function (saslUtils, saslHashes, saslCrypto, saslScramKeys) {
 "use strict";
 
+const SaslError = saslUtils.SaslError;
+const REDACTED = "[redacted]";
+
 const hexString = "0123456789abcdef";
 const hexBytes = [];
 for (let i = 0; i < 256; i++)
@@ -30,188 +34,853 @@ class CramMD5Module {
   constructor(server, hostname, options) {
     this.user = options.user;
     this.pass = options.pass;
+    this.authzid = options.authzid;
+    this.stringPrep = options.stringPrep;
+    this.crypto = saslCrypto.getProvider(options);
+  }
+
+  isValid() {
+    // There is no way to send an authorization identity.
+    return this.user && this.pass && !this.authzid;
+  }
+
+  invalidReason() {
+    return this.authzid ? "CRAM-MD5 cannot send an authorization identity" :
+      "A user name and password are required";
+  }
+
+  async *executeSteps(initChallenge) {
+    let user = await saslUtils.resolveCredential(this.user, "user name");
+    let pass = await saslUtils.resolveCredential(this.pass, "password");
+    let key = saslUtils.stringToArrayBuffer(
+      saslUtils.preparePassword(pass, this.stringPrep));
+    let result = await this.crypto.hmac("MD5", key,
+      saslUtils.base64ToArrayBuffer(initChallenge));
+    let hexStr = Array.from(result).map(val => hexBytes[val]).join('');
+    yield saslUtils.stringToBase64UTF8(
+      saslUtils.prepareUsername(user, this.stringPrep) + " " + hexStr);
+  }
+
+  redact(message, sent) {
+    // The digest could be used to guess the password offline.
+    return sent ? message.replace(/ [0-9a-f]+$/, " " + REDACTED) : message;
+  }
+}
+CramMD5Module.isClientFirst = false;
+CramMD5Module.securityProperties = {};
+
+/**
+ * Parse the comma-separated list of directives that make up a DIGEST-MD5
+ * challenge (see RFC 2831, §7.1). Directive names are case-insensitive, and
+ * values are either tokens or quoted strings.
+ * @param {String} message The decoded challenge.
+ * @returns {Object} A map from directive names to arrays of their values.
+ */
+function parseDigestDirectives(message) {
+  let directives = {};
+  let directive = new RegExp('[\\s,]*(?:([\\w-]+)\\s*=\\s*' +
+    '(?:"((?:[^"\\\\]|\\\\[^])*)"|([^\\s,"]*))\\s*(?:,|$)|$)', 'y');
+  while (directive.lastIndex < message.length) {
+    let match = directive.exec(message);
+    if (!match)
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+    if (!match[1])
+      break;
+    let name = match[1].toLowerCase();
+    let value = match[2] !== undefined ?
+      match[2].replace(/\\([^])/g, "$1") : match[3];
+    directives[name] = (directives[name] || []).concat([value]);
+  }
+  return directives;
+}
+
+/**
+ * Quote a string for use as a DIGEST-MD5 directive value.
+ */
+function quoteDigestValue(str) {
+  return '"' + str.replace(/["\\]/g, "\\$&") + '"';
+}
+
+/**
+ * Convert a Unicode string to a binary string of its UTF-8-encoded bytes.
+ */
+function toUTF8Binary(str) {
+  return String.fromCharCode.apply(null, saslUtils.stringToArrayBuffer(str));
+}
+
+/**
+ * Convert a binary string of UTF-8-encoded bytes to a Unicode string. If the
+ * bytes are not valid UTF-8, they are returned as-is.
+ */
+function fromUTF8Binary(str) {
+  try {
+    return decodeURIComponent(
+      str.replace(/[%\x80-\xff]/g, c => "%" + hexBytes[c.charCodeAt(0)]));
+  } catch (e) {
+    return str;
+  }
+}
+
+/**
+ * DIGEST-MD5 SASL mechanism -- see RFC 2831 for details. This mechanism is
+ * historic (see RFC 6331), but some older servers offer it as their only
+ * alternative to PLAIN. Only the auth quality of protection is supported, since
+ * we do not implement security layers.
+ * @private
+ */
+class DigestMD5Module {
+  constructor(server, hostname, options) {
+    this.user = options.user;
+    this.pass = options.pass;
+    this.authzid = options.authzid;
+    this.stringPrep = options.stringPrep;
+    this.digestUri = server + "/" + hostname;
+    this.crypto = saslCrypto.getProvider(options);
+
+    // Create the client nonce
+    this.cnonce = saslUtils.arrayBufferToBase64(this.crypto.randomBytes(16));
   }
 
   isValid() {
     return this.user && this.pass;
   }
 
-  *executeSteps(initChallenge) {
-    let hmacAlgorithm = {
-      name: "HMAC",
-      hash: "MD5",
-      length: 128
+  /**
+   * Compute the hexadecimal MD5 hash of a binary string.
+   * @returns {Promise<String>}
+   */
+  async _md5Hex(str) {
+    let hash = await this._md5(str);
+    return Array.from(hash, c => hexBytes[c.charCodeAt(0)]).join('');
+  }
+
+  /**
+   * Compute the MD5 hash of a binary string, as a binary string.
+   * @returns {Promise<String>}
+   */
+  async _md5(str) {
+    let data = Uint8Array.from(str, c => c.charCodeAt(0));
+    return String.fromCharCode.apply(null,
+      await this.crypto.digest("MD5", data));
+  }
+
+  async *executeSteps(initChallenge) {
+    let directives = parseDigestDirectives(
+      saslUtils.base64ToBinaryString(initChallenge));
+    for (let name of ["nonce", "qop", "charset", "algorithm"]) {
+      if (directives[name] && directives[name].length > 1)
+        throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+          "Malformed server response");
+    }
+    if (!directives.nonce || !directives.algorithm)
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+    if (directives.algorithm[0].toLowerCase() != "md5-sess")
+      throw new SaslError(SaslError.UNSUPPORTED_CHALLENGE,
+        "Unsupported DIGEST-MD5 algorithm " + directives.algorithm[0]);
+    let qop = directives.qop ? directives.qop[0].split(",") : ["auth"];
+    if (!qop.some(value => value.trim().toLowerCase() == "auth"))
+      throw new SaslError(SaslError.UNSUPPORTED_CHALLENGE,
+        "Server does not support the auth quality of protection");
+    let nonce = directives.nonce[0];
+
+    // Without charset=utf-8, everything is in ISO-8859-1. Even with it, the
+    // strings that are hashed must be converted to ISO-8859-1 if they can be,
+    // for compatibility with older implementations.
+    let utf8 = !!directives.charset &&
+      directives.charset[0].toLowerCase() == "utf-8";
+    let encode = function (str) {
+      if (utf8)
+        return toUTF8Binary(str);
+      if (!/^[\0-\xff]*$/.test(str))
+        throw new SaslError(SaslError.PROHIBITED_CHARACTERS,
+          "Credentials cannot be encoded in ISO-8859-1");
+      return str;
     };
-    let result = crypto.subtle.importKey("raw",
-      saslUtils.stringToArrayBuffer(saslUtils.saslPrep(this.pass)),
-      hmacAlgorithm, false, ['sign']
-    ).then(function (hmacKey) {
-      return crypto.subtle.sign(hmacAlgorithm, hmacKey,
-        saslUtils.base64ToArrayBuffer(initChallenge));
-    }).then((function (result) {
-      let hexStr = Array.from(result).map(val => hexBytes[val]).join('');
-      return saslUtils.stringToBase64UTF8(
-        saslUtils.saslPrep(this.user) + " " + hexStr);
-    }).bind(this));
+    let encodeForHash = function (str) {
+      return /^[\0-\xff]*$/.test(str) ? str : encode(str);
+    };
+
+    // The server may offer several realms; we use the first. If it offers none,
+    // the realm is left empty.
+    let realm = directives.realm ? directives.realm[0] : "";
+    if (utf8)
+      realm = fromUTF8Binary(realm);
+    let user = saslUtils.prepareUsername(
+      await saslUtils.resolveCredential(this.user, "user name"),
+      this.stringPrep);
+    let pass = saslUtils.preparePassword(
+      await saslUtils.resolveCredential(this.pass, "password"),
+      this.stringPrep);
+
+    // A1 := { H( { username-value, ":", realm-value, ":", passwd } ),
+    //         ":", nonce-value, ":", cnonce-value, ":", authzid-value }
+    let a1 = await this._md5([user, realm, pass].map(encodeForHash).join(":"));
+    a1 += ":" + nonce + ":" + this.cnonce;
+    if (this.authzid)
+      a1 += ":" + toUTF8Binary(this.authzid);
+    let ha1 = await this._md5Hex(a1);
+
+    // response-value := HEX( KD( HEX(H(A1)), { nonce-value, ":" nc-value, ":",
+    //                   cnonce-value, ":", qop-value, ":", HEX(H(A2)) }))
+    let computeResponse = async (a2) => {
+      return this._md5Hex([ha1, nonce, "00000001", this.cnonce, "auth",
+        await this._md5Hex(a2)].join(":"));
+    };
+
+    let message = [];
+    if (utf8)
+      message.push("charset=utf-8");
+    message.push("username=" + quoteDigestValue(encode(user)));
+    if (directives.realm)
+      message.push("realm=" + quoteDigestValue(encode(realm)));
+    message.push("nonce=" + quoteDigestValue(nonce),
+      "nc=00000001",
+      "cnonce=" + quoteDigestValue(this.cnonce),
+      "digest-uri=" + quoteDigestValue(this.digestUri),
+      "response=" + await computeResponse("AUTHENTICATE:" + this.digestUri),
+      "qop=auth");
+    if (this.authzid)
+      message.push("authzid=" + quoteDigestValue(toUTF8Binary(this.authzid)));
+    let serverFinal = yield saslUtils.arrayBufferToBase64(
+      Uint8Array.from(message.join(","), c => c.charCodeAt(0)));
 
-    yield result;
+    // Verify the server response.
+    directives = parseDigestDirectives(
+      saslUtils.base64ToBinaryString(serverFinal));
+    if (!directives.rspauth)
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+    let rspauth = await computeResponse(":" + this.digestUri);
+    if (rspauth != directives.rspauth[0].toLowerCase())
+      throw new SaslError(SaslError.SIGNATURE_MISMATCH,
+        "Server's final response is unexpected");
+    this._verified = true;
+    yield '';
+  }
+
+  isComplete() {
+    return !!this._verified;
+  }
+
+  redact(message, sent) {
+    if (!sent)
+      return message;
+    return message.replace(/response=[0-9a-f]*/, "response=" + REDACTED);
+  }
+}
+DigestMD5Module.isClientFirst = false;
+DigestMD5Module.securityProperties = {mutualAuth: true};
+
+/**
+ * The NTLM negotiation flags that we use -- see MS-NLMP, §2.2.2.5.
+ */
+const ntlmFlags = {
+  NEGOTIATE_UNICODE: 0x00000001,
+  REQUEST_TARGET: 0x00000004,
+  NEGOTIATE_NTLM: 0x00000200,
+  NEGOTIATE_ALWAYS_SIGN: 0x00008000,
+  NEGOTIATE_EXTENDED_SESSIONSECURITY: 0x00080000,
+  NEGOTIATE_TARGET_INFO: 0x00800000,
+  NEGOTIATE_128: 0x20000000,
+  NEGOTIATE_56: 0x80000000,
+};
+const ntlmNegotiateFlags = (ntlmFlags.NEGOTIATE_UNICODE |
+  ntlmFlags.REQUEST_TARGET | ntlmFlags.NEGOTIATE_NTLM |
+  ntlmFlags.NEGOTIATE_ALWAYS_SIGN |
+  ntlmFlags.NEGOTIATE_EXTENDED_SESSIONSECURITY | ntlmFlags.NEGOTIATE_128 |
+  ntlmFlags.NEGOTIATE_56) >>> 0;
+
+const ntlmSignature = Uint8Array.from("NTLMSSP\0", c => c.charCodeAt(0));
+
+// The attribute IDs of the AV_PAIRs in the target information that we use.
+const MSV_AV_EOL = 0;
+const MSV_AV_TIMESTAMP = 7;
+
+/**
+ * Concatenate several Uint8Arrays.
+ */
+function concatBytes(...arrays) {
+  let result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+  let offset = 0;
+  for (let array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+/**
+ * Encode a string in UTF-16LE, as NTLM does for Unicode strings.
+ */
+function toUTF16LE(str) {
+  let result = new Uint8Array(str.length * 2);
+  let view = new DataView(result.buffer);
+  for (let i = 0; i < str.length; i++)
+    view.setUint16(2 * i, str.charCodeAt(i), true);
+  return result;
+}
+
+/**
+ * Build an NTLM message. The message starts with a fixed-length header, which
+ * contains a field (length, allocated length, and offset) for each payload at
+ * the given offsets; the payloads follow the header, in order.
+ *
+ * @param {Number} type         The message type.
+ * @param {Number} headerLength The length of the header.
+ * @param {Number} flagsOffset  The offset of the negotiation flags.
+ * @param {Number} flags        The negotiation flags.
+ * @param {Array[]} payloads    Pairs of the offset of a field and its payload.
+ * @returns {Uint8Array}        The message.
+ */
+function buildNtlmMessage(type, headerLength, flagsOffset, flags, payloads) {
+  let message = new Uint8Array(payloads.reduce(
+    (sum, payload) => sum + payload[1].length, headerLength));
+  let view = new DataView(message.buffer);
+  message.set(ntlmSignature, 0);
+  view.setUint32(8, type, true);
+  view.setUint32(flagsOffset, flags, true);
+  let position = headerLength;
+  for (let [fieldOffset, data] of payloads) {
+    view.setUint16(fieldOffset, data.length, true);
+    view.setUint16(fieldOffset + 2, data.length, true);
+    view.setUint32(fieldOffset + 4, position, true);
+    message.set(data, position);
+    position += data.length;
+  }
+  return message;
+}
+
+/**
+ * Return the payload described by a field of an NTLM message.
+ */
+function readNtlmField(message, offset) {
+  let view = new DataView(message.buffer, message.byteOffset);
+  let length = view.getUint16(offset, true);
+  let start = view.getUint32(offset + 4, true);
+  if (start + length > message.length)
+    throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+      "Malformed server response");
+  return message.subarray(start, start + length);
+}
+
+/**
+ * Parse an NTLM CHALLENGE_MESSAGE -- see MS-NLMP, §2.2.1.2.
+ *
+ * @param {Uint8Array} message The message.
+ * @returns {Object} The negotiation flags, the server challenge, the target
+ *                   information, and the server's timestamp (if it sent one).
+ */
+function parseNtlmChallenge(message) {
+  if (message.length < 48 ||
+      !ntlmSignature.every((byte, i) => message[i] == byte))
+    throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+      "Malformed server response");
+  let view = new DataView(message.buffer, message.byteOffset);
+  if (view.getUint32(8, true) != 2)
+    throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+      "Malformed server response");
+
+  let challenge = {
+    flags: view.getUint32(20, true),
+    serverChallenge: message.slice(24, 32),
+    targetInfo: null,
+    timestamp: null,
+  };
+  if (!(challenge.flags & ntlmFlags.NEGOTIATE_TARGET_INFO))
+    return challenge;
+
+  // The target information is a list of AV_PAIRs, ending with MsvAvEOL.
+  let targetInfo = readNtlmField(message, 40);
+  let infoView = new DataView(targetInfo.buffer, targetInfo.byteOffset);
+  let offset = 0;
+  while (true) {
+    if (offset + 4 > targetInfo.length)
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+    let id = infoView.getUint16(offset, true);
+    let length = infoView.getUint16(offset + 2, true);
+    if (offset + 4 + length > targetInfo.length)
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+    if (id == MSV_AV_EOL)
+      break;
+    if (id == MSV_AV_TIMESTAMP && length == 8)
+      challenge.timestamp = targetInfo.slice(offset + 4, offset + 12);
+    offset += 4 + length;
+  }
+  challenge.targetInfo = targetInfo.slice(0, offset + 4);
+  return challenge;
+}
+
+/**
+ * Return the current time as a Windows FILETIME (the number of 100-nanosecond
+ * intervals since January 1, 1601), in little-endian order.
+ */
+function currentFileTime() {
+  let time = new Uint8Array(8);
+  new DataView(time.buffer).setBigUint64(0,
+    (BigInt(Date.now()) + 11644473600000n) * 10000n, true);
+  return time;
+}
+
+/**
+ * NTLM SASL mechanism -- see MS-NLMP for details. Only NTLMv2 responses are
+ * supported; servers that cannot accept them (i.e., that do not send target
+ * information) are rejected. No session security is negotiated.
+ * @private
+ */
+class NtlmModule {
+  constructor(server, hostname, options) {
+    this.user = options.user;
+    this.pass = options.pass;
+    this.authzid = options.authzid;
+    this.domain = options.ntlmDomain;
+    this.workstation = options.ntlmWorkstation || "";
+    this.crypto = saslCrypto.getProvider(options);
+
+    // The client challenge, and the timestamp to use if the server does not
+    // send one (null for the current time).
+    this.clientChallenge = this.crypto.randomBytes(8);
+    this.timestamp = null;
+  }
+
+  isValid() {
+    // There is no way to send an authorization identity.
+    return this.user && this.pass && !this.authzid;
+  }
+
+  invalidReason() {
+    return this.authzid ? "NTLM cannot send an authorization identity" :
+      "A user name and password are required";
+  }
+
+  async *executeSteps() {
+    // NEGOTIATE_MESSAGE. The domain and workstation are not sent here, so the
+    // fields are empty.
+    let response = yield saslUtils.arrayBufferToBase64(
+      buildNtlmMessage(1, 32, 12, ntlmNegotiateFlags, [
+        [16, new Uint8Array(0)],
+        [24, new Uint8Array(0)],
+      ]));
+
+    let challenge = parseNtlmChallenge(saslUtils.base64ToArrayBuffer(response));
+    if (!challenge.targetInfo)
+      throw new SaslError(SaslError.UNSUPPORTED_CHALLENGE,
+        "Server does not support NTLMv2");
+    if (!(challenge.flags & ntlmFlags.NEGOTIATE_UNICODE))
+      throw new SaslError(SaslError.UNSUPPORTED_CHALLENGE,
+        "Server does not support Unicode NTLM messages");
+
+    // The domain may also be given as part of the user name (DOMAIN\user).
+    let user = await saslUtils.resolveCredential(this.user, "user name");
+    let domain = this.domain;
+    if (domain === undefined) {
+      let separator = user.indexOf("\\");
+      domain = separator >= 0 ? user.substring(0, separator) : "";
+      user = user.substring(separator + 1);
+    }
+    let pass = await saslUtils.resolveCredential(this.pass, "password");
+
+    // ResponseKeyNT := HMAC_MD5(MD4(UNICODE(Passwd)),
+    //                           UNICODE(ConcatenationOf(Uppercase(User),
+    //                                                   UserDom)))
+    let responseKey = await this.crypto.hmac("MD5",
+      saslHashes.md4(toUTF16LE(pass)), toUTF16LE(user.toUpperCase() + domain));
+
+    // temp := ConcatenationOf(Responserversion, HiResponserversion, Z(6),
+    //                         Time, ClientChallenge, Z(4), ServerName, Z(4))
+    // If the server sent a timestamp, that must be used as the time.
+    let time = challenge.timestamp || this.timestamp || currentFileTime();
+    let temp = concatBytes(Uint8Array.of(1, 1, 0, 0, 0, 0, 0, 0), time,
+      this.clientChallenge, new Uint8Array(4), challenge.targetInfo,
+      new Uint8Array(4));
+
+    // NTProofStr := HMAC_MD5(ResponseKeyNT,
+    //                        ConcatenationOf(CHALLENGE_MESSAGE.ServerChallenge,
+    //                                        temp))
+    let ntProofStr = await this.crypto.hmac("MD5", responseKey,
+      concatBytes(challenge.serverChallenge, temp));
+    let ntResponse = concatBytes(ntProofStr, temp);
+
+    // The LMv2 response is omitted (replaced by zeroes) if the server sent a
+    // timestamp (see MS-NLMP, §3.1.5.1.2).
+    let lmResponse = new Uint8Array(24);
+    if (!challenge.timestamp) {
+      lmResponse = concatBytes(await this.crypto.hmac("MD5", responseKey,
+        concatBytes(challenge.serverChallenge, this.clientChallenge)),
+        this.clientChallenge);
+    }
+
+    // AUTHENTICATE_MESSAGE.
+    yield saslUtils.arrayBufferToBase64(buildNtlmMessage(3, 64, 60,
+      (challenge.flags & ntlmNegotiateFlags) >>> 0, [
+        [12, lmResponse],
+        [20, ntResponse],
+        [28, toUTF16LE(domain)],
+        [36, toUTF16LE(user)],
+        [44, toUTF16LE(this.workstation)],
+        [52, new Uint8Array(0)],
+      ]));
+  }
+
+  redact(message, sent, index) {
+    // The AUTHENTICATE_MESSAGE contains the responses to the challenge, which
+    // could be used to guess the password offline.
+    return sent && index == 1 ? REDACTED : message;
+  }
+}
+NtlmModule.isClientFirst = true;
+NtlmModule.securityProperties = {};
+
+/**
+ * The channel binding types that may be used with the SCRAM-*-PLUS mechanisms
+ * (see RFC 5929 and RFC 9266).
+ */
+const channelBindingTypes = [
+  "tls-unique",
+  "tls-server-end-point",
+  "tls-exporter",
+];
+
+/**
+ * The outcomes of the server-error-values of RFC 5802, §7, for
+ * [authFailed]{@link module:sasl~Authenticator#authFailed}.
+ */
+const scramErrorOutcomes = {
+  "invalid-proof": "credentials",
+  "unknown-user": "credentials",
+  "no-resources": "unavailable",
+  "invalid-encoding": "mechanism",
+  "extensions-not-supported": "mechanism",
+  "channel-bindings-dont-match": "mechanism",
+  "server-does-support-channel-binding": "mechanism",
+  "channel-binding-not-supported": "mechanism",
+  "unsupported-channel-binding-type": "mechanism",
+  "invalid-username-encoding": "mechanism",
+};
+
+/**
+ * An error reported by the server in a SCRAM server-final-message, such as
+ * invalid-proof or unknown-user (see RFC 5802, §7). Its outcome property
+ * classifies the error, as for authFailed.
+ *
+ * @param {String} serverError The value of the server's e= attribute.
+ * @private
+ */
+class ScramServerError extends SaslError {
+  constructor(serverError) {
+    super(SaslError.SERVER_ERROR,
+      "Server reported SCRAM error: " + serverError);
+    this.name = "ScramServerError";
+    this.serverError = serverError;
+    this.outcome = scramErrorOutcomes[serverError] || null;
   }
 }
-CramMD5Module.isClientFirst = false;
 
 /**
  * SCRAM SASL mechanism family -- see RFC 5802 for details. This is actually a
  * family of possible mechanisms (the complete list may be found at
  * <http://www.iana.org/assignments/sasl-mechanisms/sasl-mechanisms.xhtml>).
+ * Each hash function comes in two variants: the plain one, and a -PLUS variant
+ * that binds the authentication exchange to the underlying TLS channel.
  * @private
  */
 
 class ScramModule {
-  constructor(hashName, hashLength, options) {
+  constructor(hashName, hashLength, plus, options) {
     this._hashName = hashName;
     this._hashLength = hashLength;
-    this._hmacAlgorithm = {
-      name: "HMAC",
-      hash: hashName,
-      length: hashLength * 8,
-    };
+    this._plus = plus;
 
     this.user = options.user;
     this.pass = options.pass;
+    this.authzid = options.authzid;
+    this.stringPrep = options.stringPrep;
+    this.channelBinding = options.channelBinding;
+    this.serverSupportsChannelBinding = options.serverSupportsChannelBinding;
+    this.minIterations = options.scramMinIterations || 4096;
+    this.maxIterations = options.scramMaxIterations || 1000000;
+    this.options = options;
+    this.crypto = saslCrypto.getProvider(options);
 
     // Create the nonce
     this.nonce = saslUtils.arrayBufferToBase64(
-      crypto.getRandomValues(new Uint8Array(hashLength)));
+      this.crypto.randomBytes(hashLength));
   }
 
   isValid() {
+    if (!this._supportsHash())
+      return false;
+    if (this._plus && !(this.channelBinding &&
+        channelBindingTypes.indexOf(this.channelBinding.type) >= 0))
+      return false;
     return this.user && this.pass;
   }
 
-  *executeSteps() {
-    let user = saslUtils.saslPrep(this.user)
-                        .replace(',', "=2C")
-                        .replace('=', "=3D");
-    let gs2Header = 'n,,';
+  invalidReason() {
+    if (!this._supportsHash())
+      return "The crypto provider does not support " + this._hashName;
+    if (this._plus && !(this.channelBinding &&
+        channelBindingTypes.indexOf(this.channelBinding.type) >= 0))
+      return "No supported channel binding is available";
+    return "A user name and password are required";
+  }
+
+  /**
+   * Return whether the crypto provider can compute the hash function (e.g.,
+   * browsers cannot compute SHA3-512).
+   */
+  _supportsHash() {
+    return !this.crypto.supportsHash ||
+      this.crypto.supportsHash(this._hashName);
+  }
+
+  /**
+   * Retrieve the channel binding data to send to the server, if we are using
+   * channel binding.
+   * @returns {Promise<Uint8Array>}
+   */
+  _getChannelBindingData() {
+    if (!this._plus)
+      return Promise.resolve(new Uint8Array(0));
+    let data = this.channelBinding.data;
+    if (typeof data == "function")
+      data = data(this.channelBinding.type);
+    return Promise.resolve(data).then(data => {
+      if (!data)
+        throw new SaslError(SaslError.MISSING_CREDENTIALS,
+          "No channel binding data is available");
+      return new Uint8Array(data);
+    });
+  }
+
+  /**
+   * Parse and validate the server-first-message. RFC 5802 requires that we
+   * fail authentication if the server sends a mandatory extension (m=) that we
+   * do not understand, which is all of them.
+   * @param {String} message The decoded server-first-message.
+   * @returns {Object} An object containing the nonce, salt, and iterations.
+   */
+  _parseServerFirst(message) {
+    let attributes = message.split(',');
+    if (attributes[0].substring(0, 2) == 'm=')
+      throw new SaslError(SaslError.UNSUPPORTED_CHALLENGE,
+        "Server requires an unsupported SCRAM extension");
+
+    // We need r=, s=, and i=, in that order. Anything after that is an
+    // optional extension, which we ignore.
+    if (attributes.length < 3 || attributes[0].substring(0, 2) != 'r=' ||
+        attributes[1].substring(0, 2) != 's=' ||
+        attributes[2].substring(0, 2) != 'i=')
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+
+    let nonce = attributes[0].substring(2);
+    if (nonce.length <= this.nonce.length ||
+        nonce.substring(0, this.nonce.length) != this.nonce)
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Server nonce does not match the client nonce");
+
+    let salt = saslUtils.base64ToArrayBuffer(attributes[1].substring(2));
+    if (salt.length == 0)
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+
+    let iterations = attributes[2].substring(2);
+    if (!/^[1-9][0-9]*$/.test(iterations))
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+    iterations = parseInt(iterations, 10);
+    if (iterations < this.minIterations || iterations > this.maxIterations)
+      throw new SaslError(SaslError.UNSUPPORTED_CHALLENGE,
+        "Iteration count " + iterations + " is out of range");
+
+    return { nonce: nonce, salt: salt, iterations: iterations };
+  }
+
+  /**
+   * Parse the server-final-message, returning the base64-encoded server
+   * signature. If the server reported an error instead, a ScramServerError is
+   * thrown.
+   * @param {String} message The decoded server-final-message.
+   * @returns {String}
+   */
+  _parseServerFinal(message) {
+    let attribute = message.split(',')[0];
+    if (attribute.substring(0, 2) == 'e=')
+      throw new ScramServerError(attribute.substring(2));
+    if (attribute.substring(0, 2) != 'v=')
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+    return attribute.substring(2);
+  }
+
+  async *executeSteps() {
+    let user = saslUtils.encodeSaslName(saslUtils.prepareUsername(
+      await saslUtils.resolveCredential(this.user, "user name"),
+      this.stringPrep));
+
+    // The GS2 header tells the server whether or not we are using channel
+    // binding. If we support channel binding but the server did not offer a
+    // -PLUS variant, we say so with 'y', which lets the server detect that
+    // one was stripped out of its mechanism list. If it did offer one, 'y'
+    // would only get us rejected (see §6 of RFC 5802).
+    let gs2Header;
+    if (this._plus)
+      gs2Header = 'p=' + this.channelBinding.type;
+    else if (this.channelBinding && !this.serverSupportsChannelBinding)
+      gs2Header = 'y';
+    else
+      gs2Header = 'n';
+    gs2Header += ',';
+    if (this.authzid)
+      gs2Header += 'a=' + saslUtils.encodeSaslName(this.authzid);
+    gs2Header += ',';
     let clientFirst = 'n=' + user + ',r=' + this.nonce;
     let response = yield saslUtils.stringToBase64UTF8(gs2Header + clientFirst);
 
     // Parse the server response
     let serverFirst = saslUtils.base64ToBinaryString(response);
-    response = serverFirst.split(',');
-    if (response[0].substring(0, 2) == 'm=')
-      response.shift();
-    if (response[0].substring(0, 2) != 'r=')
-      throw new Error("Malformed server response");
-    let servernonce = response[0].substring(2);
-    if (response[1].substring(0, 2) != 's=')
-      throw new Error("Malformed server response");
-    let salt = saslUtils.base64ToArrayBuffer(response[1].substring(2));
-    if (response[2].substring(0, 2) != 'i=')
-      throw new Error("Malformed server response");
-    let iterCount = parseInt(response[2].substring(2));
-
-    let clientFinal = 'c=' + saslUtils.stringToBase64UTF8(gs2Header) + ',r=' +
+    response = this._parseServerFirst(serverFirst);
+    let servernonce = response.nonce;
+    let salt = response.salt;
+    let iterCount = response.iterations;
+
+    // The channel binding attribute is the GS2 header followed by the channel
+    // binding data (which is empty if we are not using channel binding).
+    let cbData = await this._getChannelBindingData();
+    let gs2Bytes = saslUtils.stringToArrayBuffer(gs2Header);
+    let cbInput = new Uint8Array(gs2Bytes.length + cbData.length);
+    cbInput.set(gs2Bytes, 0);
+    cbInput.set(cbData, gs2Bytes.length);
+    let clientFinal = 'c=' + saslUtils.arrayBufferToBase64(cbInput) + ',r=' +
       servernonce;
-    let authMessage = [clientFirst, serverFirst, clientFinal].join(',');
+    let authMessage = saslUtils.stringToArrayBuffer(
+      [clientFirst, serverFirst, clientFinal].join(','));
 
     // Compute the ClientProof variable
     // SaltedPassword := Hi(Normalize(password), salt, i)
-    let pbkdfAlgorithm = {
-      name: "PBKDF2",
-      hash: this._hashName,
-      salt: salt,
-      iterations: iterCount
-    };
-    let saltedPassword = crypto.subtle.importKey("raw",
-      saslUtils.stringToArrayBuffer(saslUtils.saslPrep(this.pass)),
-      pbkdfAlgorithm, false, ['deriveKey']).then((passwordKey) => {
-        this._hmacAlgorithm.length = 160;
-        return crypto.subtle.deriveKey(pbkdfAlgorithm, passwordKey,
-          this._hmacAlgorithm, false, ['sign']);
-    });
-
     // ClientKey := HMAC(SaltedPassword, "Client Key")
-    let clientKey = saltedPassword.then((saltedPassword) => {
-      return crypto.subtle.sign(this._hmacAlgorithm, saltedPassword,
-        saslUtils.stringToArrayBuffer("Client Key"));
-    });
+    // ServerKey := HMAC(SaltedPassword, "Server Key")
+    let pass = await saslUtils.resolveCredential(this.pass, "password");
+    let keys = await saslScramKeys.deriveScramKeys(this._hashName,
+      this._hashLength,
+      // The password is prepared as a query string, which may contain
+      // unassigned code points (see §2.2 of RFC 5802).
+      saslUtils.stringToArrayBuffer(saslUtils.preparePassword(pass,
+        this.stringPrep)),
+      salt, iterCount, this.options);
+    let clientKey = keys.clientKey;
 
     // StoredKey := H(ClientKey)
-    let storedKey = clientKey.then((clientKey) => {
-      return crypto.subtle.digest(this._hashName, clientKey);
-    }).then((storedKey) => {
-      return crypto.subtle.importKey("raw", storedKey, this._hmacAlgorithm, false,
-        ['sign']);
-    });
+    let storedKey = await this.crypto.digest(this._hashName, clientKey);
 
     // ClientSignature := HMAC(StoredKey, AuthMessage)
-    let clientSignature = storedKey.then((storedKey) => {
-      return crypto.subtle.sign(this._hmacAlgorithm, storedKey,
-        saslUtils.stringToArrayBuffer(authMessage));
-    });
+    let clientSignature = await this.crypto.hmac(this._hashName, storedKey,
+      authMessage);
 
     // ClientProof := ClientKey XOR ClientSignature
-    let clientProof = Promise.all([clientKey, clientSignature]).then(
-        (values) => {
-      let clientKey = new Uint8Array(values[0]);
-      let clientSignature = new Uint8Array(values[1]);
-      let clientProof = new Uint8Array(clientSignature.length);
-      for (let i = 0; i < clientProof.length; i++)
-        clientProof[i] = clientKey[i] ^ clientSignature[i];
-      return clientProof;
-    });
+    let clientProof = new Uint8Array(clientSignature.length);
+    for (let i = 0; i < clientProof.length; i++)
+      clientProof[i] = clientKey[i] ^ clientSignature[i];
 
     // Now we can output the final message.
-    let serverFinal = yield clientProof.then((clientProof) => {
-      return saslUtils.stringToBase64UTF8(clientFinal + ',p=' +
-          saslUtils.arrayBufferToBase64(clientProof));
-    });
+    let serverFinal = yield saslUtils.stringToBase64UTF8(clientFinal + ',p=' +
+      saslUtils.arrayBufferToBase64(clientProof));
 
     // Verify the server response.
-    // ServerKey := HMAC(SaltedPassword, "Server Key")
-    let serverKey = saltedPassword.then((saltedPassword) => {
-      return crypto.subtle.sign(this._hmacAlgorithm, saltedPassword,
-        saslUtils.stringToArrayBuffer("Server Key"));
-    }).then((serverKey) => {
-      return crypto.subtle.importKey("raw", serverKey, this._hmacAlgorithm, false,
-          ['sign']);
-    });
+    let verifier = this._parseServerFinal(
+      saslUtils.base64ToBinaryString(serverFinal));
 
     // ServerSignature := HMAC(ServerKey, AuthMessage)
-    let serverSignature = serverKey.then((serverKey) => {
-      return crypto.subtle.sign(this._hmacAlgorithm, serverKey,
-        saslUtils.stringToArrayBuffer(authMessage));
-    });
-
-    let verificationPromise = serverSignature.then((serverSignature) => {
-      serverSignature = new Uint8Array(serverSignature);
-      let expected = 'v=' + saslUtils.arrayBufferToBase64(serverSignature);
-      if (saslUtils.stringToBase64UTF8(expected) != serverFinal)
-        throw new Error("Server's final response is unexpected");
-      return '';
-    });
+    let serverSignature = await this.crypto.hmac(this._hashName,
+      keys.serverKey, authMessage);
+    if (saslUtils.arrayBufferToBase64(serverSignature) != verifier)
+      throw new SaslError(SaslError.SIGNATURE_MISMATCH,
+        "Server's final response is unexpected");
+    this._verified = true;
 
     // Send the message signifying we've verified the server.
-    yield verificationPromise;
+    yield '';
+  }
+
+  isComplete() {
+    return !!this._verified;
+  }
+
+  redact(message, sent) {
+    // The proof could be used to guess the password offline.
+    return sent ? message.replace(/,p=[^,]*$/, ",p=" + REDACTED) : message;
   }
 }
 ScramModule.isClientFirst = true;
 
-function makeSCRAMModule(hashName, hashLength) {
+/**
+ * The output sizes, in bytes, of the hash functions that SCRAM mechanisms are
+ * known to use.
+ */
+const hashLengths = {
+  "SHA-1": 20,
+  "SHA-256": 32,
+  "SHA-384": 48,
+  "SHA-512": 64,
+  "SHA3-512": 64,
+};
+
+/**
+ * Create a SCRAM SASL module class for a particular hash function. The hash
+ * function must be supported by the WebCrypto implementation in use (for
+ * digest, HMAC, and PBKDF2). The resulting class can be registered with
+ * [addSaslModule]{@link module:sasl.addSaslModule}, e.g.:
+ *
+ *     sasl.addSaslModule("SCRAM-SHA-512",
+ *       sasl.makeSCRAMModule("SHA-512"));
+ *
+ * @param {String} hashName      The WebCrypto name of the hash function.
+ * @param {Number} [hashLength]  The output size of the hash function in bytes.
+ *                               This may be omitted for well-known hashes.
+ * @param {Boolean} [plus]       If true, the module is the -PLUS variant, which
+ *                               requires channel binding.
+ * @returns {SaslModule}         The SASL module class.
+ * @alias module:sasl.makeSCRAMModule
+ */
+function makeSCRAMModule(hashName, hashLength, plus) {
+  if (!hashLength)
+    hashLength = hashLengths[hashName];
+  if (!hashLength)
+    throw new Error("Unknown hash length for " + hashName);
+
   class ConcreteScramModule extends ScramModule {
     constructor(server, hostname, options) {
-      super(hashName, hashLength, options);
+      super(hashName, hashLength, !!plus, options);
     }
   }
+  ConcreteScramModule.securityProperties = {mutualAuth: true,
+    channelBinding: !!plus};
 
   return ConcreteScramModule;
 }
 
 
-return {
+// The mechanisms, in increasing order of security. The -PLUS variants are
+// preferred to any mechanism that does not use channel binding.
+const scramHashes = ["SHA-1", "SHA-256", "SHA-384", "SHA-512", "SHA3-512"];
+let mechanisms = {
   "CRAM-MD5": CramMD5Module,
-  "SCRAM-SHA-1": makeSCRAMModule("SHA-1", 20),
-  "SCRAM-SHA-256": makeSCRAMModule("SHA-256", 32),
+  "DIGEST-MD5": DigestMD5Module,
+  "NTLM": NtlmModule,
+};
+for (let hash of scramHashes)
+  mechanisms["SCRAM-" + hash] = makeSCRAMModule(hash);
+for (let hash of scramHashes)
+  mechanisms["SCRAM-" + hash + "-PLUS"] = makeSCRAMModule(hash, 0, true);
+
+return {
+  hashLengths: hashLengths,
+  mechanisms: mechanisms,
+  makeSCRAMModule: makeSCRAMModule,
+  ScramServerError: ScramServerError,
 };
 }));
@@ -0,0 +1,286 @@
+/**
+ * The cryptographic operations that the SASL mechanisms use, behind a provider
+ * interface so that they may be replaced (e.g., to use a native library, or to
+ * make random values reproducible in tests). A crypto provider is an object
+ * with the following methods:
+ * * digest(hashName, data): returns a Promise for the hash of the data.
+ * * hmac(hashName, key, data): returns a Promise for the HMAC of the data.
+ * * pbkdf2(hashName, password, salt, iterations, length): returns a Promise
+ *   for length bytes derived from the password with PBKDF2-HMAC.
+ * * randomBytes(length): returns length random bytes.
+ * * supportsHash(hashName) (optional): returns whether the provider can
+ *   compute the hash function. Providers without it are assumed to support
+ *   every hash function that they are asked for.
+ *
+ * Hash names are those of WebCrypto (e.g., "SHA-256"), plus "MD5" and
+ * "SHA3-512"; all data are Uint8Arrays.
+ * @module sasl-crypto
+ * @private
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./sasl-utils', './sasl-hashes'], function (saslUtils, saslHashes) {
+      return factory(saslUtils, saslHashes, crypto, null);
+    });
+  } else if (typeof exports === 'object') {
+    let nodeCrypto = require('crypto');
+    module.exports = factory(require('./sasl-utils'), require('./sasl-hashes'),
+      nodeCrypto.webcrypto, nodeCrypto);
+  } else {
+    root.saslCrypto = factory(root.saslUtils, root.saslHashes, root.crypto,
+      null);
+  }
+}(this, function (saslUtils, saslHashes, webcrypto, nodeCrypto) {
+"use strict";
+
+/**
+ * Return the error for a hash function that the provider cannot compute, e.g.,
+ * one that the server asked for.
+ */
+function unsupportedHash(hashName) {
+  return new saslUtils.SaslError(saslUtils.SaslError.UNSUPPORTED_CHALLENGE,
+    "Unsupported hash function " + hashName);
+}
+
+/**
+ * The hash functions that WebCrypto implementations support.
+ */
+const webCryptoHashes = ["SHA-1", "SHA-256", "SHA-384", "SHA-512"];
+
+/**
+ * A crypto provider backed by a WebCrypto implementation. MD5, which browsers
+ * do not support, is computed in JavaScript instead.
+ *
+ * @param {Crypto} webcrypto The WebCrypto object (e.g., window.crypto).
+ * @alias module:sasl.WebCryptoProvider
+ */
+class WebCryptoProvider {
+  constructor(webcrypto) {
+    this.webcrypto = webcrypto;
+    this._supportedHashes = {};
+  }
+
+  /**
+   * Return a Promise for whether WebCrypto supports the hash function.
+   */
+  _supports(hashName) {
+    if (!(hashName in this._supportedHashes)) {
+      this._supportedHashes[hashName] = Promise.resolve()
+        .then(() => this.webcrypto.subtle.digest(hashName, new Uint8Array(0)))
+        .then(() => true, () => false);
+    }
+    return this._supportedHashes[hashName];
+  }
+
+  async digest(hashName, data) {
+    if (!(await this._supports(hashName)))
+      return this._fallbackDigest(hashName, data);
+    return new Uint8Array(await this.webcrypto.subtle.digest(hashName, data));
+  }
+
+  async hmac(hashName, key, data) {
+    if (!(await this._supports(hashName)))
+      return this._fallbackHmac(hashName, key, data);
+    let algorithm = { name: "HMAC", hash: hashName };
+    let hmacKey = await this.webcrypto.subtle.importKey("raw", key, algorithm,
+      false, ['sign']);
+    return new Uint8Array(
+      await this.webcrypto.subtle.sign(algorithm, hmacKey, data));
+  }
+
+  async pbkdf2(hashName, password, salt, iterations, length) {
+    if (!(await this._supports(hashName)))
+      return this._fallbackPbkdf2(hashName, password, salt, iterations, length);
+    let passwordKey = await this.webcrypto.subtle.importKey("raw", password,
+      "PBKDF2", false, ['deriveBits']);
+    let algorithm = {
+      name: "PBKDF2",
+      hash: hashName,
+      salt: salt,
+      iterations: iterations,
+    };
+    return new Uint8Array(await this.webcrypto.subtle.deriveBits(algorithm,
+      passwordKey, length * 8));
+  }
+
+  randomBytes(length) {
+    return this.webcrypto.getRandomValues(new Uint8Array(length));
+  }
+
+  supportsHash(hashName) {
+    return webCryptoHashes.indexOf(hashName) >= 0 || hashName == "MD5";
+  }
+
+  // The implementations of the hash functions that WebCrypto does not support.
+
+  _fallbackDigest(hashName, data) {
+    if (hashName == "MD5")
+      return saslHashes.md5(data);
+    throw unsupportedHash(hashName);
+  }
+
+  _fallbackHmac(hashName, key, data) {
+    if (hashName == "MD5")
+      return saslHashes.hmacMD5(key, data);
+    throw unsupportedHash(hashName);
+  }
+
+  _fallbackPbkdf2(hashName) {
+    throw unsupportedHash(hashName);
+  }
+}
+
+/**
+ * The names of the hash functions in node.js.
+ */
+const nodeHashNames = {
+  "MD5": "md5",
+  "SHA-1": "sha1",
+  "SHA-224": "sha224",
+  "SHA-256": "sha256",
+  "SHA-384": "sha384",
+  "SHA-512": "sha512",
+  "SHA3-512": "sha3-512",
+};
+
+/**
+ * A crypto provider backed by the built-in WebCrypto implementation of
+ * node.js (crypto.webcrypto). The hash functions that it does not support
+ * (MD5 and SHA3-512) are computed with the rest of the crypto module, as is
+ * everything on versions of node.js that lack crypto.webcrypto.
+ *
+ * @param {Object} nodeCrypto The node.js crypto module.
+ * @alias module:sasl.NodeCryptoProvider
+ */
+class NodeCryptoProvider extends WebCryptoProvider {
+  constructor(nodeCrypto) {
+    super(nodeCrypto.webcrypto);
+    this.nodeCrypto = nodeCrypto;
+  }
+
+  randomBytes(length) {
+    // crypto.webcrypto is missing before node.js 15.
+    return new Uint8Array(this.nodeCrypto.randomBytes(length));
+  }
+
+  supportsHash(hashName) {
+    return hashName in nodeHashNames;
+  }
+
+  _nodeHashName(hashName) {
+    if (!(hashName in nodeHashNames))
+      throw unsupportedHash(hashName);
+    return nodeHashNames[hashName];
+  }
+
+  _fallbackDigest(hashName, data) {
+    return new Uint8Array(this.nodeCrypto.createHash(
+      this._nodeHashName(hashName)).update(data).digest());
+  }
+
+  _fallbackHmac(hashName, key, data) {
+    return new Uint8Array(this.nodeCrypto.createHmac(
+      this._nodeHashName(hashName), key).update(data).digest());
+  }
+
+  _fallbackPbkdf2(hashName, password, salt, iterations, length) {
+    let nodeHashName = this._nodeHashName(hashName);
+    return new Promise((resolve, reject) => {
+      this.nodeCrypto.pbkdf2(password, salt, iterations, length, nodeHashName,
+        (error, derived) => error ? reject(error) :
+          resolve(new Uint8Array(derived)));
+    });
+  }
+}
+
+let defaultProvider = nodeCrypto ? new NodeCryptoProvider(nodeCrypto) :
+  new WebCryptoProvider(webcrypto);
+
+/**
+ * Return whether a crypto provider computes with the platform's own crypto:
+ * an instance of WebCryptoProvider or NodeCryptoProvider (and not of a
+ * subclass) that wraps the global WebCrypto object or node.js crypto module.
+ * Such a provider gives the same results as the platform's crypto elsewhere,
+ * e.g., in a worker.
+ *
+ * @param {Object} provider The crypto provider.
+ * @returns {Boolean}
+ */
+function isPlatformProvider(provider) {
+  let prototype = Object.getPrototypeOf(provider);
+  if (prototype === NodeCryptoProvider.prototype)
+    return !!nodeCrypto && provider.nodeCrypto === nodeCrypto;
+  return prototype === WebCryptoProvider.prototype && !!webcrypto &&
+    provider.webcrypto === webcrypto;
+}
+
+/**
+ * Replace the crypto provider used by authenticators that are not given one
+ * in their options.
+ *
+ * @param {Object} provider The crypto provider.
+ * @alias module:sasl.setCryptoProvider
+ */
+function setDefaultProvider(provider) {
+  defaultProvider = provider;
+}
+
+/**
+ * Return the crypto provider to use with the given options: the crypto option,
+ * or else the default provider.
+ *
+ * @param {Object} [options] The options of the authenticator.
+ * @returns {Object}         The crypto provider.
+ * @alias module:sasl.getCryptoProvider
+ */
+function getProvider(options) {
+  return (options && options.crypto) || defaultProvider;
+}
+
+/**
+ * Return a crypto provider whose random bytes are a deterministic function of
+ * the seed, so that nonces are the same on every run. The other operations are
+ * delegated to the given provider. The generator is not cryptographically
+ * secure, so this is only meant for tests.
+ *
+ * @param {Number} seed       The seed of the generator.
+ * @param {Object} [provider] The provider for the other operations (the
+ *                            default provider if omitted).
+ * @returns {Object}          The crypto provider.
+ * @alias module:sasl.deterministicRandom
+ */
+function deterministicRandom(seed, provider) {
+  let base = provider || defaultProvider;
+  let state = seed >>> 0;
+  // The mulberry32 generator, which returns 32 bits at a time.
+  function next() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+  return {
+    digest: (hashName, data) => base.digest(hashName, data),
+    hmac: (hashName, key, data) => base.hmac(hashName, key, data),
+    pbkdf2: (hashName, password, salt, iterations, length) =>
+      base.pbkdf2(hashName, password, salt, iterations, length),
+    supportsHash: hashName => !base.supportsHash ||
+      base.supportsHash(hashName),
+    randomBytes(length) {
+      let bytes = new Uint8Array(length);
+      for (let i = 0; i < length; i++)
+        bytes[i] = next() & 0xff;
+      return bytes;
+    },
+  };
+}
+
+return {
+  NodeCryptoProvider: NodeCryptoProvider,
+  WebCryptoProvider: WebCryptoProvider,
+  deterministicRandom: deterministicRandom,
+  getProvider: getProvider,
+  isPlatformProvider: isPlatformProvider,
+  setDefaultProvider: setDefaultProvider,
+};
+}));
@@ -0,0 +1,193 @@
+/**
+ * Pure JavaScript implementations of the hash functions that some SASL
+ * mechanisms need but that WebCrypto does not (always) provide.
+ * @module sasl-hashes
+ * @private
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof exports === 'object') {
+    module.exports = factory();
+  } else {
+    root.saslHashes = factory();
+  }
+}(this, function () {
+"use strict";
+
+function rotateLeft(x, bits) {
+  return (x << bits) | (x >>> (32 - bits));
+}
+
+/**
+ * Pad a message as MD4 and MD5 do, returning a DataView over the padded
+ * message, whose length is a multiple of 64 bytes.
+ */
+function padMessage(data) {
+  let length = data.length;
+  let padded = new Uint8Array((((length + 8) >> 6) + 1) * 64);
+  padded.set(data);
+  padded[length] = 0x80;
+  let view = new DataView(padded.buffer);
+  // The length of the message in bits, as a little-endian 64-bit integer.
+  view.setUint32(padded.length - 8, (length * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+  return view;
+}
+
+const md4Rounds = [
+  {
+    f: (x, y, z) => (x & y) | (~x & z),
+    constant: 0,
+    order: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    shifts: [3, 7, 11, 19],
+  },
+  {
+    f: (x, y, z) => (x & y) | (x & z) | (y & z),
+    constant: 0x5a827999,
+    order: [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15],
+    shifts: [3, 5, 9, 13],
+  },
+  {
+    f: (x, y, z) => x ^ y ^ z,
+    constant: 0x6ed9eba1,
+    order: [0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15],
+    shifts: [3, 9, 11, 15],
+  },
+];
+
+/**
+ * Write the state of MD4 or MD5 as the little-endian 16-byte hash.
+ */
+function stateToBytes(state) {
+  let result = new Uint8Array(16);
+  let view = new DataView(result.buffer);
+  state.forEach((word, i) => view.setUint32(4 * i, word, true));
+  return result;
+}
+
+/**
+ * Compute the MD4 hash of the data -- see RFC 1320 for details. MD4 is broken,
+ * and is only provided for the protocols that still require it (i.e., NTLM).
+ *
+ * @param {Uint8Array} data The data to hash.
+ * @returns {Uint8Array}    The 16-byte hash.
+ * @alias module:sasl-hashes.md4
+ */
+function md4(data) {
+  let view = padMessage(data);
+  let state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  let block = new Array(16);
+  for (let offset = 0; offset < view.byteLength; offset += 64) {
+    for (let i = 0; i < 16; i++)
+      block[i] = view.getUint32(offset + 4 * i, true);
+
+    let [a, b, c, d] = state;
+    for (let round of md4Rounds) {
+      for (let i = 0; i < 16; i++) {
+        // Each step updates one register, in the order a, d, c, b; rotating
+        // the registers lets every step update a.
+        let t = rotateLeft((a + round.f(b, c, d) + block[round.order[i]] +
+          round.constant) | 0, round.shifts[i % 4]);
+        a = d;
+        d = c;
+        c = b;
+        b = t;
+      }
+    }
+    state = [(state[0] + a) | 0, (state[1] + b) | 0, (state[2] + c) | 0,
+      (state[3] + d) | 0];
+  }
+  return stateToBytes(state);
+}
+
+const md5Rounds = [
+  {
+    f: (x, y, z) => (x & y) | (~x & z),
+    index: i => i,
+    shifts: [7, 12, 17, 22],
+  },
+  {
+    f: (x, y, z) => (x & z) | (y & ~z),
+    index: i => (5 * i + 1) % 16,
+    shifts: [5, 9, 14, 20],
+  },
+  {
+    f: (x, y, z) => x ^ y ^ z,
+    index: i => (3 * i + 5) % 16,
+    shifts: [4, 11, 16, 23],
+  },
+  {
+    f: (x, y, z) => y ^ (x | ~z),
+    index: i => (7 * i) % 16,
+    shifts: [6, 10, 15, 21],
+  },
+];
+
+// The constants of each step, T[i] = floor(abs(sin(i + 1)) * 2^32).
+const md5Constants = [];
+for (let i = 0; i < 64; i++)
+  md5Constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0;
+
+/**
+ * Compute the MD5 hash of the data -- see RFC 1321 for details. This is only
+ * used where WebCrypto does not support MD5 (as is the case in browsers).
+ *
+ * @param {Uint8Array} data The data to hash.
+ * @returns {Uint8Array}    The 16-byte hash.
+ * @alias module:sasl-hashes.md5
+ */
+function md5(data) {
+  let view = padMessage(data);
+  let state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  let block = new Array(16);
+  for (let offset = 0; offset < view.byteLength; offset += 64) {
+    for (let i = 0; i < 16; i++)
+      block[i] = view.getUint32(offset + 4 * i, true);
+
+    let [a, b, c, d] = state;
+    md5Rounds.forEach((round, r) => {
+      for (let i = 0; i < 16; i++) {
+        // As in MD4, rotate the registers so that every step updates a.
+        let t = b + rotateLeft((a + round.f(b, c, d) + block[round.index(i)] +
+          md5Constants[16 * r + i]) | 0, round.shifts[i % 4]);
+        a = d;
+        d = c;
+        c = b;
+        b = t | 0;
+      }
+    });
+    state = [(state[0] + a) | 0, (state[1] + b) | 0, (state[2] + c) | 0,
+      (state[3] + d) | 0];
+  }
+  return stateToBytes(state);
+}
+
+/**
+ * Compute the HMAC-MD5 of the data -- see RFC 2104 for details.
+ *
+ * @param {Uint8Array} key  The key.
+ * @param {Uint8Array} data The data to authenticate.
+ * @returns {Uint8Array}    The 16-byte MAC.
+ * @alias module:sasl-hashes.hmacMD5
+ */
+function hmacMD5(key, data) {
+  if (key.length > 64)
+    key = md5(key);
+  let inner = new Uint8Array(64 + data.length);
+  let outer = new Uint8Array(64 + 16);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = (key[i] || 0) ^ 0x36;
+    outer[i] = (key[i] || 0) ^ 0x5c;
+  }
+  inner.set(data, 64);
+  outer.set(md5(inner), 64);
+  return md5(outer);
+}
+
+return {
+  hmacMD5: hmacMD5,
+  md4: md4,
+  md5: md5,
+};
+}));
@@ -0,0 +1,177 @@
+/**
+ * A memory of the mechanisms that succeeded and failed with each server, so
+ * that later authentications can try the mechanism that is known to work
+ * first, instead of paying for the failures again.
+ * @module sasl-memory
+ * @private
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof exports === 'object') {
+    module.exports = factory();
+  } else {
+    root.saslMemory = factory();
+  }
+}(this, function () {
+"use strict";
+
+const defaultMaxAge = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Records which mechanisms succeeded and failed, keyed by service, hostname,
+ * and user. An entry expires after a time, so that changes in the server's
+ * configuration are eventually noticed.
+ *
+ * The memory can be persisted: JSON.stringify(memory) serializes its entries,
+ * which can be given back to the constructor with the entries option.
+ *
+ * @param {Object} [options]        An options dictionary.
+ * @param {Number} [options.maxAge] The time (in milliseconds) after which a
+ *                                  record expires (30 days by default).
+ * @param {Function} [options.now]  A function returning the current time, as
+ *                                  milliseconds since the epoch (Date.now by
+ *                                  default).
+ * @param {Object} [options.entries] The entries of a serialized memory.
+ * @alias module:sasl.MechanismMemory
+ */
+class MechanismMemory {
+  constructor(options) {
+    options = options || {};
+    this.maxAge = options.maxAge || defaultMaxAge;
+    this._now = options.now || Date.now;
+    this._entries = JSON.parse(JSON.stringify(options.entries || {}));
+  }
+
+  /**
+   * Return the records for a server and user, with the expired ones removed.
+   *
+   * @param {String} service  The SASL service name.
+   * @param {String} hostname The hostname of the server.
+   * @param {String} user     The user name.
+   * @returns {Object} The mechanism that last succeeded (or null) as the
+   *                   succeeded property, and the mechanisms that failed since
+   *                   as the failed property.
+   */
+  lookup(service, hostname, user) {
+    let key = memoryKey(service, hostname, user);
+    this._expire(key);
+    let entry = this._entries[key];
+    if (!entry)
+      return {succeeded: null, failed: []};
+    return {
+      succeeded: entry.succeeded ? entry.succeeded.mechanism : null,
+      failed: Object.keys(entry.failed),
+    };
+  }
+
+  /**
+   * Record that a mechanism succeeded.
+   *
+   * @param {String} service   The SASL service name.
+   * @param {String} hostname  The hostname of the server.
+   * @param {String} user      The user name.
+   * @param {String} mechanism The mechanism.
+   */
+  recordSuccess(service, hostname, user, mechanism) {
+    let entry = this._entry(service, hostname, user);
+    entry.succeeded = {mechanism: mechanism, time: this._now()};
+    delete entry.failed[mechanism];
+  }
+
+  /**
+   * Record that a mechanism failed.
+   *
+   * @param {String} service   The SASL service name.
+   * @param {String} hostname  The hostname of the server.
+   * @param {String} user      The user name.
+   * @param {String} mechanism The mechanism.
+   */
+  recordFailure(service, hostname, user, mechanism) {
+    let entry = this._entry(service, hostname, user);
+    if (entry.succeeded && entry.succeeded.mechanism == mechanism)
+      entry.succeeded = null;
+    entry.failed[mechanism] = this._now();
+  }
+
+  /**
+   * Forget the records for a server and user.
+   *
+   * @param {String} service  The SASL service name.
+   * @param {String} hostname The hostname of the server.
+   * @param {String} user     The user name.
+   */
+  forget(service, hostname, user) {
+    delete this._entries[memoryKey(service, hostname, user)];
+  }
+
+  /**
+   * Reorder a list of mechanisms according to the records: the mechanism that
+   * last succeeded comes first, and those that failed since come last. The
+   * order is otherwise unchanged.
+   *
+   * @param {String} service      The SASL service name.
+   * @param {String} hostname     The hostname of the server.
+   * @param {String} user         The user name.
+   * @param {String[]} mechanisms The mechanisms, in order of preference.
+   * @returns {String[]}          The reordered mechanisms.
+   */
+  sortMechanisms(service, hostname, user, mechanisms) {
+    let records = this.lookup(service, hostname, user);
+    let rank = m => m == records.succeeded ? 0 :
+      records.failed.indexOf(m) >= 0 ? 2 : 1;
+    return [0, 1, 2].reduce((sorted, r) =>
+      sorted.concat(mechanisms.filter(m => rank(m) == r)), []);
+  }
+
+  toJSON() {
+    for (let key of Object.keys(this._entries))
+      this._expire(key);
+    return JSON.parse(JSON.stringify(this._entries));
+  }
+
+  /**
+   * Remove the expired records of an entry, and the entry itself if none are
+   * left.
+   * @private
+   */
+  _expire(key) {
+    let entry = this._entries[key];
+    if (!entry)
+      return;
+    let oldest = this._now() - this.maxAge;
+    if (entry.succeeded && entry.succeeded.time < oldest)
+      entry.succeeded = null;
+    for (let mechanism of Object.keys(entry.failed)) {
+      if (entry.failed[mechanism] < oldest)
+        delete entry.failed[mechanism];
+    }
+    if (!entry.succeeded && Object.keys(entry.failed).length == 0)
+      delete this._entries[key];
+  }
+
+  /**
+   * Return the entry for a server and user, creating it if necessary.
+   * @private
+   */
+  _entry(service, hostname, user) {
+    let key = memoryKey(service, hostname, user);
+    if (!this._entries[key])
+      this._entries[key] = {succeeded: null, failed: {}};
+    return this._entries[key];
+  }
+}
+
+/**
+ * Compute the key of the entry for a server and user. Service names and
+ * hostnames are case-insensitive, but user names are not.
+ */
+function memoryKey(service, hostname, user) {
+  return JSON.stringify([service.toLowerCase(), hostname.toLowerCase(),
+    user || ""]);
+}
+
+return {
+  MechanismMemory: MechanismMemory,
+};
+}));
@@ -0,0 +1,544 @@
+/**
+ * Drivers that run the SASL negotiation over the AUTHENTICATE commands of
+ * several protocols, on top of
+ * [Authenticator]{@link module:sasl~Authenticator}.
+ * @module sasl-protocols
+ * @private
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./sasl-utils'], factory);
+  } else if (typeof exports === 'object') {
+    module.exports = factory(require('./sasl-utils'));
+  } else {
+    root.saslProtocols = factory(root.saslUtils);
+  }
+}(this, function (saslUtils) {
+"use strict";
+
+const SaslError = saslUtils.SaslError;
+
+/**
+ * The base class of the protocol drivers. A driver implements the transport
+ * interface of [authenticate]{@link module:sasl~Authenticator#authenticate}
+ * over a line-based connection, handling the protocol's framing of commands,
+ * challenges, responses, and cancellation.
+ *
+ * The line-based connection is an object with two methods: sendLine(line),
+ * which sends a line to the server (without the trailing CRLF), and
+ * readLine(), which returns a Promise for the next line from the server (also
+ * without the CRLF).
+ *
+ * Subclasses implement the following methods:
+ * * _formatCommand(mechanism, initialResponse): the command that starts an
+ *   exchange. The initial response is null if none is sent.
+ * * _formatResponse(response): the line that sends a client response.
+ * * _formatCancel(): the line that cancels an exchange.
+ * * _parseResponse(line): returns (or returns a Promise for) null if the line
+ *   is to be ignored, or the server's reply, as described by authenticate.
+ * * _useInitialResponse(): whether the server accepts an initial response.
+ *
+ * @param {Authenticator} authenticator The authenticator to use.
+ * @param {Object} transport            The line-based connection.
+ * @param {Object} [options]            Protocol-specific options.
+ * @private
+ */
+class ProtocolDriver {
+  constructor(authenticator, transport, options) {
+    this.authenticator = authenticator;
+    this.transport = transport;
+    this.options = options || {};
+  }
+
+  /**
+   * Run the authentication, trying each mechanism in turn.
+   *
+   * @param {Object} [options] Options for the steps (e.g., an AbortSignal), as
+   *                           for [authenticate]{@link
+   *                           module:sasl~Authenticator#authenticate}.
+   * @returns {Promise<String>} The name of the mechanism that succeeded. The
+   *                            Promise is rejected if no mechanism succeeded.
+   */
+  authenticate(options) {
+    return this.authenticator.authenticate(this, options);
+  }
+
+  get supportsInitialResponse() {
+    return this._useInitialResponse();
+  }
+
+  start(mechanism, initialResponse) {
+    return this._sendAndRead(this._formatCommand(mechanism, initialResponse));
+  }
+
+  respond(response) {
+    return this._sendAndRead(this._formatResponse(response));
+  }
+
+  cancel() {
+    return this._sendAndRead(this._formatCancel());
+  }
+
+  /**
+   * Send a line, and read the server's reply to it.
+   */
+  async _sendAndRead(line) {
+    await this.transport.sendLine(line);
+    let reply;
+    do {
+      reply = await this._parseResponse(await this.transport.readLine());
+    } while (!reply);
+    return reply;
+  }
+
+  _useInitialResponse() {
+    return this.options.initialResponse !== false;
+  }
+}
+
+/**
+ * Encode an initial response for protocols that follow RFC 4959, where an
+ * empty initial response is sent as "=".
+ */
+function encodeInitialResponse(response) {
+  return response === null ? "" : " " + (response || "=");
+}
+
+/**
+ * The IMAP AUTHENTICATE command -- see RFC 9051 and RFC 4959 for details.
+ *
+ * @param {Authenticator} authenticator The authenticator to use.
+ * @param {Object} transport            The line-based transport.
+ * @param {Object} [options]
+ * @param {Boolean} [options.saslIR]    Whether the server advertised the
+ *                                      SASL-IR capability.
+ * @param {Function} [options.tag]      A function returning the tag to use
+ *                                      for the next command.
+ * @alias module:sasl.ImapDriver
+ */
+class ImapDriver extends ProtocolDriver {
+  constructor(authenticator, transport, options) {
+    super(authenticator, transport, options);
+    this._tagCount = 0;
+  }
+
+  _formatCommand(mechanism, initialResponse) {
+    this._tag = this.options.tag ? this.options.tag() :
+      "A" + (++this._tagCount);
+    return this._tag + " AUTHENTICATE " + mechanism +
+      encodeInitialResponse(initialResponse);
+  }
+
+  _formatResponse(response) {
+    return response;
+  }
+
+  _formatCancel() {
+    return "*";
+  }
+
+  _parseResponse(line) {
+    if (line == "+" || line.substring(0, 2) == "+ ")
+      return { type: "continuation", data: line.substring(2) };
+    if (line.substring(0, this._tag.length + 1) != this._tag + " ")
+      return null;
+    let status = line.substring(this._tag.length + 1).split(" ")[0];
+    if (status.toUpperCase() == "OK")
+      return { type: "success" };
+    return { type: "failure", outcome: classifyImapFailure(line) };
+  }
+
+  _useInitialResponse() {
+    return !!this.options.saslIR;
+  }
+}
+
+/**
+ * The SMTP AUTH command -- see RFC 4954 for details.
+ *
+ * @param {Authenticator} authenticator   The authenticator to use.
+ * @param {Object} transport              The line-based transport.
+ * @param {Object} [options]
+ * @param {Boolean} [options.initialResponse] If false, initial responses are
+ *                                        never sent.
+ * @alias module:sasl.SmtpDriver
+ */
+class SmtpDriver extends ProtocolDriver {
+  _formatCommand(mechanism, initialResponse) {
+    return "AUTH " + mechanism + encodeInitialResponse(initialResponse);
+  }
+
+  _formatResponse(response) {
+    return response;
+  }
+
+  _formatCancel() {
+    return "*";
+  }
+
+  _parseResponse(line) {
+    let match = /^([0-9]{3})([ -]?)(.*)$/.exec(line);
+    if (!match)
+      throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+        "Malformed server response");
+    // Ignore all but the last line of multiline replies.
+    if (match[2] == "-")
+      return null;
+    if (match[1] == "334")
+      return { type: "continuation", data: match[3] };
+    if (match[1][0] == "2")
+      return { type: "success" };
+    return { type: "failure", outcome: classifySmtpFailure(line) };
+  }
+}
+
+/**
+ * The POP3 AUTH command -- see RFC 5034 for details.
+ *
+ * @param {Authenticator} authenticator   The authenticator to use.
+ * @param {Object} transport              The line-based transport.
+ * @param {Object} [options]
+ * @param {Boolean} [options.initialResponse] If false, initial responses are
+ *                                        never sent (e.g., for servers that
+ *                                        only implement RFC 1734).
+ * @alias module:sasl.Pop3Driver
+ */
+class Pop3Driver extends ProtocolDriver {
+  _formatCommand(mechanism, initialResponse) {
+    return "AUTH " + mechanism + encodeInitialResponse(initialResponse);
+  }
+
+  _formatResponse(response) {
+    return response;
+  }
+
+  _formatCancel() {
+    return "*";
+  }
+
+  _parseResponse(line) {
+    if (line.substring(0, 3) == "+OK")
+      return { type: "success" };
+    if (line == "+" || line.substring(0, 2) == "+ ")
+      return { type: "continuation", data: line.substring(2) };
+    return { type: "failure", outcome: classifyPop3Failure(line) };
+  }
+}
+
+/**
+ * The ManageSieve AUTHENTICATE command -- see RFC 5804 for details. Challenges
+ * and responses are sent as strings, and the server may send additional data
+ * with its success response.
+ *
+ * @param {Authenticator} authenticator   The authenticator to use.
+ * @param {Object} transport              The line-based transport.
+ * @param {Object} [options]
+ * @param {Boolean} [options.initialResponse] If false, initial responses are
+ *                                        never sent.
+ * @alias module:sasl.ManageSieveDriver
+ */
+class ManageSieveDriver extends ProtocolDriver {
+  _formatCommand(mechanism, initialResponse) {
+    let command = 'AUTHENTICATE "' + mechanism + '"';
+    if (initialResponse !== null)
+      command += ' "' + initialResponse + '"';
+    return command;
+  }
+
+  _formatResponse(response) {
+    return '"' + response + '"';
+  }
+
+  _formatCancel() {
+    return '"*"';
+  }
+
+  _parseResponse(line) {
+    // A challenge is a quoted string, or a literal whose contents are on the
+    // following line.
+    let match = /^"([^"]*)"$/.exec(line);
+    if (match)
+      return { type: "continuation", data: match[1] };
+    if (/^\{[0-9]+\+?\}$/.test(line)) {
+      return Promise.resolve(this.transport.readLine()).then(data => {
+        return { type: "continuation", data: data };
+      });
+    }
+
+    let status = line.split(" ")[0].toUpperCase();
+    if (status != "OK")
+      return { type: "failure", outcome: classifyManageSieveFailure(line) };
+    match = /\(SASL "([^"]*)"\)/i.exec(line);
+    return { type: "success", data: match ? match[1] : "" };
+  }
+}
+
+/**
+ * The outcomes of the response codes that IMAP servers send when an
+ * authentication fails -- see RFC 5530.
+ */
+const imapOutcomes = {
+  AUTHENTICATIONFAILED: "credentials",
+  AUTHORIZATIONFAILED: "credentials",
+  EXPIRED: "credentials",
+  UNAVAILABLE: "unavailable",
+  PRIVACYREQUIRED: "mechanism",
+};
+
+/**
+ * Classify the tagged response of an IMAP server to a failed AUTHENTICATE
+ * command, for [authFailed]{@link module:sasl~Authenticator#authFailed}. Only
+ * the response codes of RFC 5530 are taken into account; e.g., "A1 NO
+ * [AUTHENTICATIONFAILED] Invalid credentials" is a rejection of the
+ * credentials.
+ *
+ * @param {String} line The tagged response (with or without its tag).
+ * @returns {?String}   The outcome, or null if it is not known.
+ * @alias module:sasl.classifyImapFailure
+ */
+function classifyImapFailure(line) {
+  let match = /^(?:\S+\s+)?(?:NO|BAD)\s+\[([^\]\s]+)/i.exec(line);
+  return (match && imapOutcomes[match[1].toUpperCase()]) || null;
+}
+
+/**
+ * Classify the reply of an SMTP server to a failed AUTH command -- see
+ * RFC 4954, §6. 535 (with the enhanced status code 5.7.8) rejects the
+ * credentials, transient (4xx) replies mean that the server is unavailable, and
+ * the other errors of RFC 4954 concern the mechanism.
+ *
+ * @param {String} line The last line of the reply.
+ * @returns {?String}   The outcome, or null if it is not known.
+ * @alias module:sasl.classifySmtpFailure
+ */
+function classifySmtpFailure(line) {
+  let match = /^([0-9]{3})[ -]?(?:([245]\.[0-9]+\.[0-9]+)\b)?/.exec(line);
+  if (!match)
+    return null;
+  if (match[1] == "535" || match[2] == "5.7.8")
+    return "credentials";
+  if (match[1][0] == "4")
+    return "unavailable";
+  if (["500", "501", "504", "534", "538"].indexOf(match[1]) >= 0)
+    return "mechanism";
+  return null;
+}
+
+/**
+ * Classify the reply of a POP3 server to a failed AUTH command, from the
+ * response codes of RFC 2449 and RFC 3206: [AUTH] rejects the credentials, and
+ * [SYS/TEMP], [IN-USE], and [LOGIN-DELAY] mean that the server is unavailable.
+ *
+ * @param {String} line The reply.
+ * @returns {?String}   The outcome, or null if it is not known.
+ * @alias module:sasl.classifyPop3Failure
+ */
+function classifyPop3Failure(line) {
+  let match = /^-ERR\s+\[([^\]\s]+)\]/i.exec(line);
+  if (!match)
+    return null;
+  let code = match[1].toUpperCase();
+  if (code == "AUTH")
+    return "credentials";
+  if (["SYS/TEMP", "IN-USE", "LOGIN-DELAY"].indexOf(code) >= 0)
+    return "unavailable";
+  return null;
+}
+
+/**
+ * Classify the response of a ManageSieve server to a failed AUTHENTICATE
+ * command, from the response codes of RFC 5804, §1.3. ManageSieve has no code
+ * for rejected credentials, so only the other outcomes are recognized.
+ *
+ * @param {String} line The response.
+ * @returns {?String}   The outcome, or null if it is not known.
+ * @alias module:sasl.classifyManageSieveFailure
+ */
+function classifyManageSieveFailure(line) {
+  let match = /^(?:NO|BYE)\s+\(([^\s)]+)/i.exec(line);
+  if (!match)
+    return null;
+  let code = match[1].toUpperCase();
+  if (code == "TRYLATER")
+    return "unavailable";
+  if (["AUTH-TOO-WEAK", "ENCRYPT-NEEDED", "TRANSITION-NEEDED"]
+      .indexOf(code) >= 0)
+    return "mechanism";
+  return null;
+}
+
+/**
+ * Canonicalize a list of mechanism names advertised by a server: names are
+ * upper-cased, and those that do not match the grammar of RFC 4422, §3.1
+ * (1 to 20 upper-case letters, digits, hyphens, and underscores), as well as
+ * duplicates, are dropped.
+ *
+ * @param {String[]} names The advertised names.
+ * @returns {String[]}     The mechanism names, in the order of the server.
+ * @alias module:sasl.canonicalizeMechanisms
+ */
+function canonicalizeMechanisms(names) {
+  let mechanisms = [];
+  for (let name of names) {
+    name = name.toUpperCase();
+    if (/^[A-Z0-9_-]{1,20}$/.test(name) && mechanisms.indexOf(name) < 0)
+      mechanisms.push(name);
+  }
+  return mechanisms;
+}
+
+/**
+ * Split a server response, given either as a string or as an array of lines,
+ * into lines.
+ */
+function toLines(response) {
+  return Array.isArray(response) ? response : response.split(/\r?\n/);
+}
+
+/**
+ * Split a string into space-separated words.
+ */
+function toWords(str) {
+  return str.split(/\s+/).filter(word => word);
+}
+
+/**
+ * Parse the IMAP capabilities -- see RFC 9051, §7.2.2, and RFC 4959. The
+ * capabilities may be given as an untagged CAPABILITY response, a response
+ * with a CAPABILITY response code (e.g., the greeting), or an array of
+ * capability names.
+ *
+ * @param {String|String[]} capabilities The capabilities.
+ * @returns {Object} The mechanisms (for the supportedMechanisms argument of
+ *                   Authenticator), and whether initial responses are
+ *                   supported (for the saslIR option of ImapDriver).
+ * @alias module:sasl.parseImapCapabilities
+ */
+function parseImapCapabilities(capabilities) {
+  if (!Array.isArray(capabilities)) {
+    let match = /\[CAPABILITY ([^\]]*)\]/i.exec(capabilities) ||
+      /(?:^|\s)CAPABILITY\s(.*)$/i.exec(capabilities);
+    capabilities = toWords(match ? match[1] : capabilities);
+  }
+  capabilities = capabilities.map(name => name.toUpperCase());
+  return {
+    mechanisms: canonicalizeMechanisms(capabilities
+      .filter(name => name.substring(0, 5) == "AUTH=")
+      .map(name => name.substring(5))),
+    initialResponse: capabilities.indexOf("SASL-IR") >= 0,
+  };
+}
+
+/**
+ * Parse the reply to the SMTP EHLO command -- see RFC 4954. Mechanisms are
+ * taken from the AUTH keyword, and from the AUTH= line that some older servers
+ * send instead.
+ *
+ * @param {String|String[]} reply The lines of the reply, with or without their
+ *                                reply codes.
+ * @returns {Object} The mechanisms, and whether initial responses are
+ *                   supported (always, with SMTP).
+ * @alias module:sasl.parseSmtpEhlo
+ */
+function parseSmtpEhlo(reply) {
+  let names = [];
+  for (let line of toLines(reply)) {
+    let words = toWords(line.replace(/^[0-9]{3}[ -]?/, ""));
+    if (words.length == 0)
+      continue;
+    let keyword = words[0].toUpperCase();
+    if (keyword == "AUTH")
+      names = names.concat(words.slice(1));
+    else if (keyword.substring(0, 5) == "AUTH=")
+      names = names.concat(words[0].substring(5), words.slice(1));
+  }
+  return {
+    mechanisms: canonicalizeMechanisms(names),
+    initialResponse: true,
+  };
+}
+
+/**
+ * Parse the reply to the POP3 CAPA command -- see RFC 2449 and RFC 5034.
+ *
+ * @param {String|String[]} reply The lines of the reply.
+ * @returns {Object} The mechanisms, and whether initial responses are
+ *                   supported (which they are by servers that advertise the
+ *                   SASL capability).
+ * @alias module:sasl.parsePop3Capa
+ */
+function parsePop3Capa(reply) {
+  let names = null;
+  for (let line of toLines(reply)) {
+    let words = toWords(line);
+    if (words.length > 0 && words[0].toUpperCase() == "SASL")
+      names = (names || []).concat(words.slice(1));
+  }
+  return {
+    mechanisms: canonicalizeMechanisms(names || []),
+    initialResponse: names !== null,
+  };
+}
+
+/**
+ * Parse the ManageSieve capabilities -- see RFC 5804, §1.7.
+ *
+ * @param {String|String[]} capabilities The lines of the capability response.
+ * @returns {Object} The mechanisms, and whether initial responses are
+ *                   supported (always, with ManageSieve).
+ * @alias module:sasl.parseManageSieveCapabilities
+ */
+function parseManageSieveCapabilities(capabilities) {
+  let names = [];
+  for (let line of toLines(capabilities)) {
+    let match = /^"SASL"(?:\s+"([^"]*)")?\s*$/i.exec(line);
+    if (match && match[1])
+      names = names.concat(toWords(match[1]));
+  }
+  return {
+    mechanisms: canonicalizeMechanisms(names),
+    initialResponse: true,
+  };
+}
+
+/**
+ * Parse the SASL mechanisms of XMPP stream features -- see RFC 6120, §6.3.3.
+ *
+ * @param {String} features The stream features, or the mechanisms element, as
+ *                          XML.
+ * @returns {Object} The mechanisms, and whether initial responses are
+ *                   supported (always, with XMPP).
+ * @alias module:sasl.parseXmppMechanisms
+ */
+function parseXmppMechanisms(features) {
+  let names = [];
+  let element = /<((?:[\w.-]+:)?mechanisms)[\s>][\s\S]*?<\/\1>/.exec(features);
+  if (element) {
+    let mechanism = /<((?:[\w.-]+:)?mechanism)>\s*([^<]*?)\s*<\/\1>/g;
+    let match;
+    while ((match = mechanism.exec(element[0])))
+      names.push(match[2]);
+  }
+  return {
+    mechanisms: canonicalizeMechanisms(names),
+    initialResponse: true,
+  };
+}
+
+return {
+  ImapDriver: ImapDriver,
+  ManageSieveDriver: ManageSieveDriver,
+  Pop3Driver: Pop3Driver,
+  SmtpDriver: SmtpDriver,
+  canonicalizeMechanisms: canonicalizeMechanisms,
+  classifyImapFailure: classifyImapFailure,
+  classifyManageSieveFailure: classifyManageSieveFailure,
+  classifyPop3Failure: classifyPop3Failure,
+  classifySmtpFailure: classifySmtpFailure,
+  parseImapCapabilities: parseImapCapabilities,
+  parseManageSieveCapabilities: parseManageSieveCapabilities,
+  parsePop3Capa: parsePop3Capa,
+  parseSmtpEhlo: parseSmtpEhlo,
+  parseXmppMechanisms: parseXmppMechanisms,
+};
+}));
@@ -0,0 +1,259 @@
+/**
+ * The derivation of the SCRAM keys (SaltedPassword, ClientKey, and ServerKey)
+ * from the password. With a high iteration count, PBKDF2 can take long enough
+ * to freeze the UI or the event loop, so it runs in a worker (a Web Worker or
+ * a node.js worker thread) when one is available, and on the calling thread
+ * otherwise. Concurrent derivations of the same keys (e.g., by several
+ * connections to the same server) share a single computation.
+ * @module sasl-scram-keys
+ * @private
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./sasl-utils', './sasl-crypto'], function (saslUtils, saslCrypto) {
+      return factory(saslUtils, saslCrypto, null);
+    });
+  } else if (typeof exports === 'object') {
+    let workerThreads = null;
+    try {
+      workerThreads = require('worker_threads');
+    } catch (e) {
+      // Worker threads are not supported by this version of node.js.
+    }
+    module.exports = factory(require('./sasl-utils'), require('./sasl-crypto'),
+      workerThreads);
+  } else {
+    root.saslScramKeys = factory(root.saslUtils, root.saslCrypto, null);
+  }
+}(this, function (saslUtils, saslCrypto, workerThreads) {
+"use strict";
+
+/**
+ * The code of the node.js worker thread, which uses the crypto module.
+ */
+const nodeWorkerSource = `
+const crypto = require("crypto");
+const {parentPort} = require("worker_threads");
+parentPort.on("message", request => {
+  try {
+    let hashName = request.hashName.toLowerCase().replace(/^sha-/, "sha");
+    let salted = crypto.pbkdf2Sync(request.password, request.salt,
+      request.iterations, request.length, hashName);
+    let sign = data => crypto.createHmac(hashName, salted).update(data)
+      .digest();
+    parentPort.postMessage({id: request.id,
+      keys: [salted, sign("Client Key"), sign("Server Key")]});
+  } catch (e) {
+    parentPort.postMessage({id: request.id, error: e.message});
+  }
+});
+`;
+
+/**
+ * The code of the Web Worker, which uses WebCrypto.
+ */
+const webWorkerSource = `
+self.onmessage = async event => {
+  let request = event.data;
+  try {
+    let subtle = self.crypto.subtle;
+    let passwordKey = await subtle.importKey("raw", request.password,
+      "PBKDF2", false, ["deriveBits"]);
+    let salted = new Uint8Array(await subtle.deriveBits({name: "PBKDF2",
+      hash: request.hashName, salt: request.salt,
+      iterations: request.iterations}, passwordKey, request.length * 8));
+    let algorithm = {name: "HMAC", hash: request.hashName};
+    let hmacKey = await subtle.importKey("raw", salted, algorithm, false,
+      ["sign"]);
+    let sign = async data => new Uint8Array(await subtle.sign(algorithm,
+      hmacKey, new TextEncoder().encode(data)));
+    self.postMessage({id: request.id,
+      keys: [salted, await sign("Client Key"), await sign("Server Key")]});
+  } catch (e) {
+    self.postMessage({id: request.id, error: String(e)});
+  }
+};
+`;
+
+/**
+ * The worker shared by all derivations. It is created on first use, and is
+ * null if it could not be created (e.g., because a content security policy
+ * forbids workers created from blobs).
+ */
+let worker;
+let pendingRequests = {};
+let pendingCount = 0;
+let nextRequestId = 0;
+
+/**
+ * Return the shared worker, creating it if necessary.
+ */
+function getWorker() {
+  if (worker !== undefined)
+    return worker;
+  worker = null;
+  try {
+    if (workerThreads) {
+      let thread = new workerThreads.Worker(nodeWorkerSource, {eval: true});
+      // The thread only keeps the process alive while it has work to do.
+      thread.unref();
+      worker = {
+        post: message => thread.postMessage(message),
+        ref: () => thread.ref(),
+        unref: () => thread.unref(),
+      };
+      thread.on("message", onWorkerMessage);
+      thread.on("error", onWorkerError);
+      thread.on("exit", () => onWorkerError(new Error("The worker exited")));
+    } else if (typeof Worker != "undefined" && typeof Blob != "undefined") {
+      let url = URL.createObjectURL(new Blob([webWorkerSource],
+        {type: "text/javascript"}));
+      let webWorker = new Worker(url);
+      worker = {
+        post: message => webWorker.postMessage(message),
+        ref: () => {},
+        unref: () => {},
+      };
+      webWorker.onmessage = event => onWorkerMessage(event.data);
+      webWorker.onerror = onWorkerError;
+    }
+  } catch (e) {
+    worker = null;
+  }
+  return worker;
+}
+
+function onWorkerMessage(message) {
+  let request = pendingRequests[message.id];
+  if (!request)
+    return;
+  delete pendingRequests[message.id];
+  if (--pendingCount == 0 && worker)
+    worker.unref();
+  if (message.error)
+    request.reject(new Error(message.error));
+  else
+    request.resolve(message.keys.map(key => new Uint8Array(key)));
+}
+
+/**
+ * Give up on a worker that failed: its pending derivations are rejected (and
+ * so run on the calling thread instead), and no other is sent to it.
+ */
+function onWorkerError(error) {
+  let requests = pendingRequests;
+  worker = null;
+  pendingRequests = {};
+  pendingCount = 0;
+  for (let id in requests)
+    requests[id].reject(error || new Error("The worker failed"));
+}
+
+/**
+ * Derive the keys in the worker.
+ */
+function deriveInWorker(worker, request) {
+  return new Promise((resolve, reject) => {
+    let id = nextRequestId++;
+    pendingRequests[id] = {resolve: resolve, reject: reject};
+    if (pendingCount++ == 0)
+      worker.ref();
+    worker.post(Object.assign({id: id}, request));
+  });
+}
+
+/**
+ * Derive the keys on the calling thread, with the crypto provider.
+ */
+async function deriveWithProvider(provider, request) {
+  let salted = await provider.pbkdf2(request.hashName, request.password,
+    request.salt, request.iterations, request.length);
+  let sign = data => provider.hmac(request.hashName, salted,
+    saslUtils.stringToArrayBuffer(data));
+  return [salted, await sign("Client Key"), await sign("Server Key")];
+}
+
+/**
+ * The derivations in progress, by their parameters: those in the worker, and
+ * those of each crypto provider.
+ */
+const workerDerivations = {};
+const providerDerivations = new WeakMap();
+
+/**
+ * Derive the SCRAM keys from a password (see RFC 5802, §3):
+ * * SaltedPassword := Hi(password, salt, i)
+ * * ClientKey := HMAC(SaltedPassword, "Client Key")
+ * * ServerKey := HMAC(SaltedPassword, "Server Key")
+ *
+ * The derivation runs in a worker if one is available, the options do not
+ * disable it, and the crypto provider uses the platform's own crypto, as the
+ * worker does (the code and crypto objects of other providers cannot be moved
+ * to a worker). Otherwise, or if the worker fails, it runs on the calling
+ * thread with the crypto provider.
+ *
+ * @param {String} hashName     The name of the hash function.
+ * @param {Number} hashLength   The output size of the hash function in bytes.
+ * @param {Uint8Array} password The prepared password.
+ * @param {Uint8Array} salt     The salt.
+ * @param {Number} iterations   The iteration count.
+ * @param {Object} options      The options of the authenticator (for the
+ *                              crypto and scramWorker options).
+ * @returns {Promise<Object>}   The saltedPassword, clientKey, and serverKey.
+ * @alias module:sasl-scram-keys.deriveScramKeys
+ */
+async function deriveScramKeys(hashName, hashLength, password, salt,
+    iterations, options) {
+  let provider = saslCrypto.getProvider(options);
+  let useWorker = options.scramWorker !== false &&
+    saslCrypto.isPlatformProvider(provider);
+  let derivations = workerDerivations;
+  if (!useWorker) {
+    if (!providerDerivations.has(provider))
+      providerDerivations.set(provider, {});
+    derivations = providerDerivations.get(provider);
+  }
+  // The key only identifies the derivation while it is in progress, so the
+  // password is not kept around afterwards.
+  let key = JSON.stringify([hashName, hashLength, iterations,
+    saslUtils.arrayBufferToBase64(salt),
+    saslUtils.arrayBufferToBase64(password)]);
+  if (!(key in derivations)) {
+    let request = {
+      hashName: hashName,
+      length: hashLength,
+      password: password,
+      salt: salt,
+      iterations: iterations,
+    };
+    derivations[key] = derive(provider, useWorker, request);
+    derivations[key].then(() => delete derivations[key],
+      () => delete derivations[key]);
+  }
+
+  // Each caller gets its own copy of the keys.
+  let keys = await derivations[key];
+  return {
+    saltedPassword: keys[0].slice(),
+    clientKey: keys[1].slice(),
+    serverKey: keys[2].slice(),
+  };
+}
+
+async function derive(provider, useWorker, request) {
+  let thread = useWorker ? getWorker() : null;
+  if (thread) {
+    try {
+      return await deriveInWorker(thread, request);
+    } catch (e) {
+      // The worker could not derive the keys (e.g., because its crypto does
+      // not support the hash function), so the provider does.
+    }
+  }
+  return deriveWithProvider(provider, request);
+}
+
+return {
+  deriveScramKeys: deriveScramKeys,
+};
+}));
@@ -0,0 +1,430 @@
+/**
+ * The server side of the SASL mechanisms. This is intended for implementing
+ * test servers, so it favors simplicity over features such as storing hashed
+ * credentials.
+ * @module sasl-server
+ * @private
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./sasl-utils', './sasl-cram', './sasl-crypto',
+      './sasl-scram-keys'], factory);
+  } else if (typeof exports === 'object') {
+    module.exports = factory(require('./sasl-utils'), require('./sasl-cram'),
+      require('./sasl-crypto'), require('./sasl-scram-keys'));
+  } else {
+    root.saslServer = factory(root.saslUtils, root.saslCram, root.saslCrypto,
+      root.saslScramKeys);
+  }
+}(this, function (saslUtils, saslCram, saslCrypto, saslScramKeys) {
+"use strict";
+
+/**
+ * An authentication failure. The challenge, if present, is additional data to
+ * send to the client before reporting the failure.
+ * @private
+ */
+class ServerAuthFailure extends Error {
+  constructor(message, challenge) {
+    super(message);
+    this.name = "ServerAuthFailure";
+    this.challenge = challenge;
+  }
+}
+
+/**
+ * A class to run the server side of SASL authentication, mirroring
+ * [Authenticator]{@link module:sasl~Authenticator}. The server looks up the
+ * credentials of users with a callback, and reports the identity that was
+ * authenticated when the exchange completes.
+ *
+ * Each step returns a Promise that resolves to a result object. While the
+ * exchange is in progress, the result is `{done: false, challenge}`, where the
+ * challenge is the base64-encoded string to send to the client. Once it is
+ * complete, the result is `{done: true, success, user, authzid, error}`. A
+ * failure may also carry a challenge (e.g., a SCRAM e= attribute), which should
+ * be sent to the client, and its response read, before reporting the failure.
+ *
+ * @param {String} serviceName The SASL service name parameter (e.g., imap).
+ * @param {String} hostname    The hostname of the server.
+ * @param {?String[]} mechanisms The list of mechanisms to offer. If null, all
+ *                             supported mechanisms are offered.
+ * @param {Object} options     An options dictionary.
+ * @param {Function} options.lookup A function that is called with the username
+ *                             and mechanism, and returns (or returns a Promise
+ *                             for) the user's credentials, or null if the user
+ *                             is unknown. The credentials object contains the
+ *                             password (pass) or the OAuth2 token
+ *                             (oauthbearer), and optionally the base64-encoded
+ *                             SCRAM salt (salt) and iteration count
+ *                             (iterations).
+ * @param {Function} [options.authorize] A function that is called with the
+ *                             authentication identity and the requested
+ *                             authorization identity, and returns (or returns a
+ *                             Promise for) whether the former may act as the
+ *                             latter. By default, a user may only act as
+ *                             themselves.
+ * @param {String} [options.stringPrep] The string preparation profile to use
+ *                             for usernames and passwords.
+ * @param {Number} [options.scramIterations] The iteration count to use for
+ *                             SCRAM when the credentials do not specify one.
+ * @param {Object} [options.crypto] The crypto provider to use, as for
+ *                             [Authenticator]{@link module:sasl~Authenticator}.
+ * @param {Boolean} [options.scramWorker] Whether SCRAM keys may be derived in
+ *                             a worker, as for Authenticator.
+ * @alias module:sasl.ServerAuthenticator
+ */
+class ServerAuthenticator {
+  constructor(serviceName, hostname, mechanisms, options) {
+    if (!serviceName)
+      throw new Error("Service name is a required parameter");
+
+    if (!hostname)
+      throw new Error("Host name is a required parameter");
+
+    this.service = serviceName;
+    this.hostname = hostname;
+    this.options = options || {};
+    if (typeof this.options.lookup != "function")
+      throw new Error("A credential lookup function is required");
+
+    /**
+     * The mechanisms offered by this server.
+     * @type {String[]}
+     */
+    this.mechanisms = (mechanisms || Object.keys(serverModules))
+      .map(m => m.toUpperCase()).filter(m => m in serverModules);
+    this._steps = null;
+  }
+
+  /**
+   * Start an authentication exchange.
+   *
+   * @param {String} mechanism         The mechanism requested by the client.
+   * @param {String} [initialResponse] The base64-encoded initial response, if
+   *                                   the client sent one.
+   * @returns {Promise<Object>} The result of the step, as described above.
+   */
+  start(mechanism, initialResponse) {
+    mechanism = mechanism.toUpperCase();
+    this._steps = null;
+    if (this.mechanisms.indexOf(mechanism) < 0)
+      return this._finish(Promise.reject(
+        new ServerAuthFailure("Unsupported mechanism " + mechanism)));
+
+    let moduleClass = serverModules[mechanism];
+    this._module = new (moduleClass)(this.service, this.hostname, mechanism,
+      this.options);
+    let hasResponse = initialResponse !== undefined && initialResponse !== null;
+    if (hasResponse && !moduleClass.isClientFirst) {
+      return this._finish(Promise.reject(new ServerAuthFailure(
+        "Mechanism " + mechanism + " does not accept an initial response")));
+    }
+    if (!hasResponse && moduleClass.isClientFirst) {
+      // Ask the client for its initial response with an empty challenge.
+      return Promise.resolve({done: false, challenge: ""});
+    }
+    return this.authStep(hasResponse ? initialResponse : "");
+  }
+
+  /**
+   * Perform a single authentication step. As with the client, the modules'
+   * executeSteps may be either generators or async generators.
+   *
+   * @param {String} clientStep The base64-encoded client response.
+   * @returns {Promise<Object>} The result of the step, as described above.
+   */
+  async authStep(clientStep) {
+    let result;
+    try {
+      if (!this._module)
+        throw new Error("No authentication exchange is in progress");
+      if (!this._steps) {
+        this._steps = this._module.executeSteps(clientStep);
+        result = await this._steps.next();
+      } else {
+        result = await this._steps.next(clientStep);
+      }
+      if (!result.done)
+        return {done: false, challenge: await result.value};
+    } catch (e) {
+      return this._finish(Promise.reject(e));
+    }
+    return this._finish(Promise.resolve(result.value));
+  }
+
+  /**
+   * Complete the authentication exchange, given a Promise for the identity
+   * that was authenticated.
+   * @private
+   */
+  _finish(identityPromise) {
+    this._module = null;
+    this._steps = null;
+    return identityPromise.then((identity) => {
+      let authzid = identity.authzid || identity.user;
+      let authorize = this.options.authorize ||
+        ((user, authzid) => user == authzid);
+      return Promise.resolve(authorize(identity.user, authzid))
+        .then((allowed) => {
+          if (!allowed) {
+            throw new ServerAuthFailure(identity.user +
+              " is not authorized to act as " + authzid);
+          }
+          return {done: true, success: true, user: identity.user,
+            authzid: authzid};
+        });
+    }).catch((e) => {
+      let result = {done: true, success: false, error: e.message};
+      if (e.challenge !== undefined)
+        result.challenge = e.challenge;
+      return result;
+    });
+  }
+}
+
+
+let serverModules = {};
+
+/**
+ * Look up the credentials of a user, failing if the user is unknown or lacks
+ * the required credential.
+ */
+function lookupCredentials(options, user, mechanism, field) {
+  return Promise.resolve(options.lookup(user, mechanism)).then((creds) => {
+    if (!creds || !creds[field])
+      throw new ServerAuthFailure("Unknown user " + user);
+    return creds;
+  });
+}
+
+/**
+ * Compare two Uint8Arrays for equality.
+ */
+function equalBytes(a, b) {
+  return a.length == b.length && a.every((value, i) => value == b[i]);
+}
+
+/**
+ * Server side of PLAIN -- see RFC 4616 for details.
+ * @private
+ */
+class PlainServerModule {
+  constructor(service, hostname, mechanism, options) {
+    this.options = options;
+  }
+
+  *executeSteps(response) {
+    let parts = saslUtils.base64UTF8ToString(response).split("\0");
+    if (parts.length != 3)
+      throw new ServerAuthFailure("Malformed client response");
+    let stringPrep = this.options.stringPrep;
+    let user = saslUtils.prepareUsername(parts[1], stringPrep);
+    let pass = saslUtils.preparePassword(parts[2], stringPrep);
+    return lookupCredentials(this.options, user, "PLAIN", "pass")
+      .then((creds) => {
+        if (saslUtils.preparePassword(creds.pass, stringPrep) != pass)
+          throw new ServerAuthFailure("Incorrect password");
+        return {user: user, authzid: parts[0]};
+      });
+  }
+}
+PlainServerModule.isClientFirst = true;
+serverModules["PLAIN"] = PlainServerModule;
+
+/**
+ * Server side of LOGIN -- see
+ * <https://tools.ietf.org/html/draft-murchison-sasl-login-00> for details.
+ * @private
+ */
+class LoginServerModule {
+  constructor(service, hostname, mechanism, options) {
+    this.options = options;
+  }
+
+  *executeSteps() {
+    let stringPrep = this.options.stringPrep;
+    let user = yield saslUtils.stringToBase64UTF8("Username:");
+    user = saslUtils.prepareUsername(saslUtils.base64UTF8ToString(user),
+      stringPrep);
+    let pass = yield saslUtils.stringToBase64UTF8("Password:");
+    pass = saslUtils.preparePassword(saslUtils.base64UTF8ToString(pass),
+      stringPrep);
+    return lookupCredentials(this.options, user, "LOGIN", "pass")
+      .then((creds) => {
+        if (saslUtils.preparePassword(creds.pass, stringPrep) != pass)
+          throw new ServerAuthFailure("Incorrect password");
+        return {user: user};
+      });
+  }
+}
+LoginServerModule.isClientFirst = false;
+serverModules["LOGIN"] = LoginServerModule;
+
+/**
+ * Server side of CRAM-MD5 -- see RFC 2195 for details.
+ * @private
+ */
+class CramMD5ServerModule {
+  constructor(service, hostname, mechanism, options) {
+    this.options = options;
+    this.crypto = saslCrypto.getProvider(options);
+    let random = new DataView(this.crypto.randomBytes(4).buffer).getUint32(0);
+    this.challenge = "<" + random + "." + Date.now() + "@" + hostname + ">";
+  }
+
+  async *executeSteps() {
+    let response = yield saslUtils.stringToBase64UTF8(this.challenge);
+    response = saslUtils.base64UTF8ToString(response);
+    let space = response.lastIndexOf(" ");
+    if (space < 0)
+      throw new ServerAuthFailure("Malformed client response");
+    let stringPrep = this.options.stringPrep;
+    let user = saslUtils.prepareUsername(response.substring(0, space),
+      stringPrep);
+    let digest = response.substring(space + 1).toLowerCase();
+    let creds = await lookupCredentials(this.options, user, "CRAM-MD5", "pass");
+    let expected = await this.crypto.hmac("MD5",
+      saslUtils.stringToArrayBuffer(
+        saslUtils.preparePassword(creds.pass, stringPrep)),
+      saslUtils.stringToArrayBuffer(this.challenge));
+    let hex = Array.from(expected,
+      value => (value < 16 ? "0" : "") + value.toString(16)).join("");
+    if (hex != digest)
+      throw new ServerAuthFailure("Incorrect password");
+    return {user: user};
+  }
+}
+CramMD5ServerModule.isClientFirst = false;
+serverModules["CRAM-MD5"] = CramMD5ServerModule;
+
+/**
+ * Server side of the SCRAM family -- see RFC 5802 for details. Channel binding
+ * is not supported, so the -PLUS variants are not offered.
+ * @private
+ */
+class ScramServerModule {
+  constructor(service, hostname, mechanism, options) {
+    this.options = options;
+    this.mechanism = mechanism;
+    this._hashName = mechanism.substring("SCRAM-".length);
+    this._hashLength = saslCram.hashLengths[this._hashName];
+    this.crypto = saslCrypto.getProvider(options);
+    this.nonce = saslUtils.arrayBufferToBase64(
+      this.crypto.randomBytes(this._hashLength));
+  }
+
+  async *executeSteps(response) {
+    // Parse the client-first-message.
+    let clientFirst = saslUtils.base64UTF8ToString(response);
+    let match = /^([ny]|p=[^,]*),(a=[^,]*)?,(n=[^,]*,r=([^,]+)(,.*)?)$/
+      .exec(clientFirst);
+    if (!match)
+      throw new ServerAuthFailure("Malformed client response");
+    if (match[1][0] == 'p') {
+      throw new ServerAuthFailure("Channel binding is not supported",
+        saslUtils.stringToBase64UTF8("e=channel-bindings-dont-match"));
+    }
+    let gs2Header = clientFirst.substring(0,
+      clientFirst.length - match[3].length);
+    let authzid = match[2] ? saslUtils.decodeSaslName(match[2].substring(2)) :
+      "";
+    let clientFirstBare = match[3];
+    let stringPrep = this.options.stringPrep;
+    let user = saslUtils.prepareUsername(
+      saslUtils.decodeSaslName(clientFirstBare.split(',')[0].substring(2)),
+      stringPrep);
+    let nonce = match[4] + this.nonce;
+
+    // Derive the keys from the user's password.
+    let hashName = this._hashName, hashLength = this._hashLength;
+    let creds = await lookupCredentials(this.options, user, this.mechanism,
+      "pass");
+    let salt = creds.salt ? saslUtils.base64ToArrayBuffer(creds.salt) :
+      this.crypto.randomBytes(16);
+    let iterations = creds.iterations || this.options.scramIterations || 4096;
+    let serverFirst = "r=" + nonce + ",s=" +
+      saslUtils.arrayBufferToBase64(salt) + ",i=" + iterations;
+
+    let password = saslUtils.preparePassword(creds.pass, stringPrep);
+    let keys = await saslScramKeys.deriveScramKeys(hashName, hashLength,
+      saslUtils.stringToArrayBuffer(password), salt, iterations, this.options);
+    let storedKey = await this.crypto.digest(hashName, keys.clientKey);
+    let serverKey = keys.serverKey;
+    response = yield saslUtils.stringToBase64UTF8(serverFirst);
+
+    // Parse and verify the client-final-message.
+    let clientFinal = saslUtils.base64UTF8ToString(response);
+    match = /^(c=([^,]*),r=([^,]*)(,.*)?),p=([^,]*)$/.exec(clientFinal);
+    if (!match)
+      throw new ServerAuthFailure("Malformed client response");
+    if (match[2] != saslUtils.stringToBase64UTF8(gs2Header)) {
+      throw new ServerAuthFailure("Channel binding does not match",
+        saslUtils.stringToBase64UTF8("e=channel-bindings-dont-match"));
+    }
+    if (match[3] != nonce)
+      throw new ServerAuthFailure("Nonce does not match");
+    let clientProof = saslUtils.base64ToArrayBuffer(match[5]);
+    let authMessage = saslUtils.stringToArrayBuffer(
+      [clientFirstBare, serverFirst, match[1]].join(','));
+
+    // ClientKey := ClientProof XOR ClientSignature, and its hash must be the
+    // StoredKey.
+    let clientSignature = await this.crypto.hmac(hashName, storedKey,
+      authMessage);
+    let clientKey = clientProof.map((value, i) => value ^ clientSignature[i]);
+    let computedKey = await this.crypto.digest(hashName, clientKey);
+    if (clientProof.length != hashLength ||
+        !equalBytes(computedKey, storedKey)) {
+      throw new ServerAuthFailure("Incorrect password",
+        saslUtils.stringToBase64UTF8("e=invalid-proof"));
+    }
+
+    let serverSignature = await this.crypto.hmac(hashName, serverKey,
+      authMessage);
+    yield saslUtils.stringToBase64UTF8("v=" +
+      saslUtils.arrayBufferToBase64(serverSignature));
+    return {user: user, authzid: authzid};
+  }
+}
+ScramServerModule.isClientFirst = true;
+for (let hash in saslCram.hashLengths)
+  serverModules["SCRAM-" + hash] = ScramServerModule;
+
+/**
+ * Server side of XOAUTH2 -- see
+ * <https://developers.google.com/gmail/xoauth2_protocol> for details.
+ * @private
+ */
+class XOAuth2ServerModule {
+  constructor(service, hostname, mechanism, options) {
+    this.options = options;
+  }
+
+  *executeSteps(response) {
+    let match = /^user=([^\x01]*)\x01auth=Bearer ([^\x01]*)\x01\x01$/
+      .exec(saslUtils.base64UTF8ToString(response));
+    if (!match)
+      throw new ServerAuthFailure("Malformed client response");
+    let user = match[1];
+    // The error is sent as a challenge, to which the client must send an empty
+    // response before the failure is reported.
+    let error = saslUtils.stringToBase64UTF8(JSON.stringify(
+      {status: "401", schemes: "bearer"}));
+    return lookupCredentials(this.options, user, "XOAUTH2", "oauthbearer")
+      .then((creds) => {
+        if (creds.oauthbearer != match[2])
+          throw new Error("Invalid token");
+        return {user: user};
+      }).catch((e) => {
+        throw new ServerAuthFailure(e.message, error);
+      });
+  }
+}
+XOAuth2ServerModule.isClientFirst = true;
+serverModules["XOAUTH2"] = XOAuth2ServerModule;
+
+return {
+  ServerAuthenticator: ServerAuthenticator,
+};
+}));
@@ -0,0 +1,312 @@
+/**
+ * Recording and replaying of SASL exchanges, to reproduce the behavior of a
+ * server offline. A transcript is a JSON-compatible object:
+ * * service, hostname: the arguments of the Authenticator.
+ * * options: the options of the Authenticator, with the secrets replaced by
+ *   fixtures. Options that cannot be serialized (e.g., functions) are omitted.
+ *   The channel binding data is base64-encoded (and, if it is given by a
+ *   function, recorded once the function returns it).
+ * * attempts: an array with an entry for each mechanism that was tried, with
+ *   the mechanism, the random values it used (base64-encoded), its steps, and
+ *   its result ("succeeded", "failed", or null if it did not finish). Each
+ *   step has the challenge, and either the response (decoded and redacted, as
+ *   in the trace) or the error that the step was rejected with.
+ * @module sasl-transcript
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./sasl-utils', './sasl'], factory);
+  } else if (typeof exports === 'object') {
+    module.exports = factory(require('./sasl-utils'), require('./sasl'));
+  } else {
+    root.saslTranscript = factory(root.saslUtils, root.sasl);
+  }
+}(this, function (saslUtils, sasl) {
+"use strict";
+
+/**
+ * The values that replace the secrets in the options of a transcript.
+ */
+const defaultFixtures = {
+  pass: "password",
+  oauthbearer: "token",
+};
+
+/**
+ * Options that are not recorded: those that the replay provides itself, or
+ * that only affect the reporting of the exchange.
+ */
+const unrecordedOptions = ["crypto", "desiredAuthMethods", "mechanismMemory",
+  "trace"];
+
+/**
+ * Copy the options of an authenticator for a transcript.
+ */
+function recordOptions(options, fixtures) {
+  let recorded = {};
+  for (let name in options) {
+    let value = options[name];
+    if (name in fixtures)
+      value = fixtures[name];
+    if (value === undefined || typeof value == "function" ||
+        unrecordedOptions.indexOf(name) >= 0)
+      continue;
+    if (name == "channelBinding")
+      recorded[name] = recordChannelBinding(value);
+    else
+      recorded[name] = JSON.parse(JSON.stringify(value));
+  }
+  return recorded;
+}
+
+/**
+ * Copy the channel binding option for a transcript. The data, which JSON
+ * cannot represent as a Uint8Array, is base64-encoded; the data that a
+ * function returns is filled in by the recorder.
+ */
+function recordChannelBinding(binding) {
+  let data = binding.data;
+  return {
+    type: binding.type,
+    data: data && typeof data != "function" ?
+      saslUtils.arrayBufferToBase64(data) : null,
+  };
+}
+
+/**
+ * Return the options of a transcript in the form the Authenticator takes.
+ */
+function replayOptions(options) {
+  let binding = options.channelBinding;
+  if (!binding)
+    return options;
+  return Object.assign({}, options, {
+    channelBinding: {
+      type: binding.type,
+      data: binding.data ? saslUtils.base64ToArrayBuffer(binding.data) : null,
+    },
+  });
+}
+
+/**
+ * Return a crypto provider that delegates to another one, except for random
+ * values, which are those returned by the randomBytes function. The wrapper is
+ * not a platform provider, so SCRAM keys are derived on the calling thread
+ * rather than in a worker.
+ */
+function withRandomBytes(provider, randomBytes) {
+  return {
+    digest: (hashName, data) => provider.digest(hashName, data),
+    hmac: (hashName, key, data) => provider.hmac(hashName, key, data),
+    pbkdf2: (hashName, password, salt, iterations, length) =>
+      provider.pbkdf2(hashName, password, salt, iterations, length),
+    supportsHash: hashName => !provider.supportsHash ||
+      provider.supportsHash(hashName),
+    randomBytes: randomBytes,
+  };
+}
+
+/**
+ * Describe an error for a transcript.
+ */
+function recordError(error) {
+  return {code: error.code || null, message: error.message};
+}
+
+/**
+ * Records the exchanges of an authenticator into a transcript. The recorder
+ * must be created before the authenticator starts its first mechanism.
+ *
+ * @param {Authenticator} authenticator The authenticator to record.
+ * @param {Object} [fixtures] The values that replace secret options in the
+ *                            transcript, in addition to (or instead of) the
+ *                            defaults for pass and oauthbearer.
+ * @alias module:sasl-transcript.TranscriptRecorder
+ */
+class TranscriptRecorder {
+  constructor(authenticator, fixtures) {
+    this._transcript = {
+      service: authenticator.service,
+      hostname: authenticator.hostname,
+      options: recordOptions(authenticator.options,
+        Object.assign({}, defaultFixtures, fixtures)),
+      attempts: [],
+    };
+
+    // Binding data that is only known once it is asked for is recorded then.
+    let binding = authenticator.options.channelBinding;
+    let recordedBinding = this._transcript.options.channelBinding;
+    if (binding && recordedBinding && typeof binding.data == "function" &&
+        !(fixtures && "channelBinding" in fixtures)) {
+      authenticator.options.channelBinding = Object.assign({}, binding, {
+        data: async type => {
+          let data = await binding.data(type);
+          if (data)
+            recordedBinding.data = saslUtils.arrayBufferToBase64(data);
+          return data;
+        },
+      });
+    }
+
+    // The random values are drawn when the module is created, before the
+    // attempt starts.
+    let random = [];
+    let attempt = null;
+    let provider = sasl.getCryptoProvider(authenticator.options);
+    authenticator.options.crypto = withRandomBytes(provider, length => {
+      let bytes = provider.randomBytes(length);
+      random.push(saslUtils.arrayBufferToBase64(bytes));
+      return bytes;
+    });
+    authenticator.on("skipped", () => {
+      random = [];
+    }).on("started", event => {
+      attempt = {
+        mechanism: event.mechanism,
+        random: random,
+        steps: [],
+        result: null,
+      };
+      random = [];
+      this._transcript.attempts.push(attempt);
+    }).on("succeeded", () => {
+      attempt.result = "succeeded";
+    }).on("failed", () => {
+      attempt.result = "failed";
+    });
+
+    // The challenges are recorded as they are given, and the responses in
+    // their redacted form.
+    let response = null;
+    authenticator.on("sent", event => {
+      response = event.trace;
+    });
+    let authStep = authenticator.authStep;
+    authenticator.authStep = async function (challenge, options) {
+      let step = {challenge: challenge};
+      let steps = attempt && attempt.steps;
+      try {
+        let result = await authStep.call(this, challenge, options);
+        step.response = response;
+        return result;
+      } catch (e) {
+        step.error = recordError(e);
+        throw e;
+      } finally {
+        if (steps)
+          steps.push(step);
+      }
+    };
+  }
+
+  /**
+   * Return the transcript recorded so far.
+   *
+   * @returns {Object} The transcript.
+   */
+  transcript() {
+    return JSON.parse(JSON.stringify(this._transcript));
+  }
+
+  toJSON() {
+    return this.transcript();
+  }
+}
+
+/**
+ * Return a crypto provider that returns the random values of a transcript, in
+ * order. Once these are exhausted, or if one has the wrong length, the random
+ * values of the given provider are used instead.
+ */
+function replayingProvider(provider, random) {
+  let values = random.map(value => saslUtils.base64ToArrayBuffer(value));
+  return withRandomBytes(provider, length => {
+    let value = values.shift();
+    return value && value.length == length ? value :
+      provider.randomBytes(length);
+  });
+}
+
+/**
+ * Compare two steps of a transcript.
+ */
+function sameStep(a, b) {
+  if (a.error || b.error) {
+    return !!(a.error && b.error) && a.error.code == b.error.code &&
+      a.error.message == b.error.message;
+  }
+  return a.response == b.response;
+}
+
+/**
+ * Replay a transcript, running each of its attempts through the mechanism
+ * again, and report the first step where the behavior differs. The response
+ * of each step is compared in its redacted form, so secrets that were replaced
+ * by fixtures only matter when the mechanism itself depends on them (e.g.,
+ * the verification of the SCRAM server signature); the real values can then be
+ * given in the options.
+ *
+ * @param {Object} transcript The transcript.
+ * @param {Object} [options]  Options that override those of the transcript.
+ * @returns {Promise<?Object>} Null if the replay matches the transcript, or a
+ *          description of the first difference: the index of the attempt,
+ *          the mechanism, the index of the step, and the expected and actual
+ *          steps.
+ * @alias module:sasl-transcript.replayTranscript
+ */
+async function replayTranscript(transcript, options) {
+  for (let i = 0; i < transcript.attempts.length; i++) {
+    let attempt = transcript.attempts[i];
+    let difference = await replayAttempt(transcript, attempt, options);
+    if (difference) {
+      return Object.assign({attempt: i, mechanism: attempt.mechanism},
+        difference);
+    }
+  }
+  return null;
+}
+
+/**
+ * Replay a single attempt of a transcript.
+ */
+async function replayAttempt(transcript, attempt, options) {
+  let mechanismOptions = Object.assign({}, replayOptions(transcript.options),
+    options, {desiredAuthMethods: [attempt.mechanism]});
+  mechanismOptions.crypto = replayingProvider(
+    sasl.getCryptoProvider(mechanismOptions), attempt.random);
+  let authenticator = new sasl.Authenticator(transcript.service,
+    transcript.hostname, [attempt.mechanism], mechanismOptions);
+  if (!authenticator.tryNextAuth()) {
+    return {
+      step: 0,
+      expected: attempt.steps[0] || null,
+      actual: {error: {code: null, message: "The mechanism was not started"}},
+    };
+  }
+
+  let response = null;
+  authenticator.on("sent", event => {
+    response = event.trace;
+  });
+  for (let j = 0; j < attempt.steps.length; j++) {
+    let expected = attempt.steps[j];
+    let actual = {challenge: expected.challenge};
+    try {
+      await authenticator.authStep(expected.challenge);
+      actual.response = response;
+    } catch (e) {
+      actual.error = recordError(e);
+    }
+    if (!sameStep(expected, actual))
+      return {step: j, expected: expected, actual: actual};
+    if (actual.error)
+      break;
+  }
+  return null;
+}
+
+return {
+  TranscriptRecorder: TranscriptRecorder,
+  replayTranscript: replayTranscript,
+};
+}));
@@ -0,0 +1,353 @@
+/**
+ * Character tables needed to implement SASLprep (RFC 4013) and the PRECIS
+ * framework (RFC 8264). Most of the properties needed by these algorithms are
+ * not exposed by JavaScript, not even via Unicode property escapes in regular
+ * expressions, so they are listed here.
+ *
+ * The stringprep tables are those of RFC 3454, and so describe Unicode 3.2. The
+ * remaining tables are derived from the current Unicode Character Database, and
+ * are used by the PRECIS profiles.
+ * @module sasl-unicode
+ * @private
+ */
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof exports === 'object') {
+    module.exports = factory();
+  } else {
+    root.saslUnicode = factory();
+  }
+}(this, function () {
+"use strict";
+
+/**
+ * Parse a table of code points. The table is a string of space-separated
+ * entries, each of which is either a single hexadecimal code point or an
+ * inclusive range of them (e.g., "41-5a"). Entries must be in increasing order.
+ *
+ * @param {String} str  The table to parse.
+ * @returns {Number[][]} An array of [start, end] pairs.
+ */
+function parseRanges(str) {
+  return str.split(" ").map(entry => {
+    let bounds = entry.split("-").map(cp => parseInt(cp, 16));
+    return [bounds[0], bounds[bounds.length - 1]];
+  });
+}
+
+/**
+ * Check whether a code point is present in a table.
+ *
+ * @param {Number[][]} table The table, as returned by parseRanges.
+ * @param {Number} codePoint The code point to look for.
+ * @returns {Boolean}
+ */
+function inTable(table, codePoint) {
+  let low = 0, high = table.length - 1;
+  while (low <= high) {
+    let mid = (low + high) >> 1;
+    if (codePoint < table[mid][0])
+      high = mid - 1;
+    else if (codePoint > table[mid][1])
+      low = mid + 1;
+    else
+      return true;
+  }
+  return false;
+}
+
+// Stringprep tables (RFC 3454, Unicode 3.2).
+
+/**
+ * Table A.1: Unassigned code points in Unicode 3.2.
+ */
+const unassigned = parseRanges(
+  "221 234-24f 2ae-2af 2ef-2ff 350-35f 370-373 376-379 37b-37d 37f-383 38b " +
+  "38d 3a2 3cf 3f7-3ff 487 4cf 4f6-4f7 4fa-4ff 510-530 557-558 560 588 " +
+  "58b-590 5a2 5ba 5c5-5cf 5eb-5ef 5f5-60b 60d-61a 61c-61e 620 63b-63f " +
+  "656-65f 6ee-6ef 6ff 70e 72d-72f 74b-77f 7b2-900 904 93a-93b 94e-94f " +
+  "955-957 971-980 984 98d-98e 991-992 9a9 9b1 9b3-9b5 9ba-9bb 9bd 9c5-9c6 " +
+  "9c9-9ca 9ce-9d6 9d8-9db 9de 9e4-9e5 9fb-a01 a03-a04 a0b-a0e a11-a12 a29 " +
+  "a31 a34 a37 a3a-a3b a3d a43-a46 a49-a4a a4e-a58 a5d a5f-a65 a75-a80 a84 " +
+  "a8c a8e a92 aa9 ab1 ab4 aba-abb ac6 aca ace-acf ad1-adf ae1-ae5 af0-b00 " +
+  "b04 b0d-b0e b11-b12 b29 b31 b34-b35 b3a-b3b b44-b46 b49-b4a b4e-b55 " +
+  "b58-b5b b5e b62-b65 b71-b81 b84 b8b-b8d b91 b96-b98 b9b b9d ba0-ba2 " +
+  "ba5-ba7 bab-bad bb6 bba-bbd bc3-bc5 bc9 bce-bd6 bd8-be6 bf3-c00 c04 c0d " +
+  "c11 c29 c34 c3a-c3d c45 c49 c4e-c54 c57-c5f c62-c65 c70-c81 c84 c8d c91 " +
+  "ca9 cb4 cba-cbd cc5 cc9 cce-cd4 cd7-cdd cdf ce2-ce5 cf0-d01 d04 d0d d11 " +
+  "d29 d3a-d3d d44-d45 d49 d4e-d56 d58-d5f d62-d65 d70-d81 d84 d97-d99 db2 " +
+  "dbc dbe-dbf dc7-dc9 dcb-dce dd5 dd7 de0-df1 df5-e00 e3b-e3e e5c-e80 e83 " +
+  "e85-e86 e89 e8b-e8c e8e-e93 e98 ea0 ea4 ea6 ea8-ea9 eac eba ebe-ebf ec5 " +
+  "ec7 ece-ecf eda-edb ede-eff f48 f6b-f70 f8c-f8f f98 fbd fcd-fce fd0-fff " +
+  "1022 1028 102b 1033-1035 103a-103f 105a-109f 10c6-10cf 10f9-10fa " +
+  "10fc-10ff 115a-115e 11a3-11a7 11fa-11ff 1207 1247 1249 124e-124f 1257 " +
+  "1259 125e-125f 1287 1289 128e-128f 12af 12b1 12b6-12b7 12bf 12c1 " +
+  "12c6-12c7 12cf 12d7 12ef 130f 1311 1316-1317 131f 1347 135b-1360 " +
+  "137d-139f 13f5-1400 1677-167f 169d-169f 16f1-16ff 170d 1715-171f " +
+  "1737-173f 1754-175f 176d 1771 1774-177f 17dd-17df 17ea-17ff 180f " +
+  "181a-181f 1878-187f 18aa-1dff 1e9c-1e9f 1efa-1eff 1f16-1f17 1f1e-1f1f " +
+  "1f46-1f47 1f4e-1f4f 1f58 1f5a 1f5c 1f5e 1f7e-1f7f 1fb5 1fc5 1fd4-1fd5 " +
+  "1fdc 1ff0-1ff1 1ff5 1fff 2053-2056 2058-205e 2064-2069 2072-2073 " +
+  "208f-209f 20b2-20cf 20eb-20ff 213b-213c 214c-2152 2184-218f 23cf-23ff " +
+  "2427-243f 244b-245f 24ff 2614-2615 2618 267e-267f 268a-2700 2705 " +
+  "270a-270b 2728 274c 274e 2753-2755 2757 275f-2760 2795-2797 27b0 " +
+  "27bf-27cf 27ec-27ef 2b00-2e7f 2e9a 2ef4-2eff 2fd6-2fef 2ffc-2fff 3040 " +
+  "3097-3098 3100-3104 312d-3130 318f 31b8-31ef 321d-321f 3244-3250 " +
+  "327c-327e 32cc-32cf 32ff 3377-337a 33de-33df 33ff 4db6-4dff 9fa6-9fff " +
+  "a48d-a48f a4c7-abff d7a4-d7ff fa2e-fa2f fa6b-faff fb07-fb12 fb18-fb1c " +
+  "fb37 fb3d fb3f fb42 fb45 fbb2-fbd2 fd40-fd4f fd90-fd91 fdc8-fdcf " +
+  "fdfd-fdff fe10-fe1f fe24-fe2f fe47-fe48 fe53 fe67 fe6c-fe6f fe75 " +
+  "fefd-fefe ff00 ffbf-ffc1 ffc8-ffc9 ffd0-ffd1 ffd8-ffd9 ffdd-ffdf ffe7 " +
+  "ffef-fff8 10000-102ff 1031f 10324-1032f 1034b-103ff 10426-10427 " +
+  "1044e-1cfff 1d0f6-1d0ff 1d127-1d129 1d1de-1d3ff 1d455 1d49d 1d4a0-1d4a1 " +
+  "1d4a3-1d4a4 1d4a7-1d4a8 1d4ad 1d4ba 1d4bc 1d4c1 1d4c4 1d506 1d50b-1d50c " +
+  "1d515 1d51d 1d53a 1d53f 1d545 1d547-1d549 1d551 1d6a4-1d6a7 1d7ca-1d7cd " +
+  "1d800-1fffd 2a6d7-2f7ff 2fa1e-2fffd 30000-3fffd 40000-4fffd 50000-5fffd " +
+  "60000-6fffd 70000-7fffd 80000-8fffd 90000-9fffd a0000-afffd b0000-bfffd " +
+  "c0000-cfffd d0000-dfffd e0000 e0002-e001f e0080-efffd");
+
+/**
+ * The characters prohibited by SASLprep (RFC 4013, §2.3): tables C.1.2, C.2.1,
+ * C.2.2, C.3, C.4, C.5, C.6, C.7, C.8, and C.9.
+ */
+const prohibited = parseRanges(
+  "0-1f 7f-a0 340-341 6dd 70f 1680 180e 2000-200f 2028-202f 205f-2063 " +
+  "206a-206f 2ff0-2ffb 3000 d800-f8ff fdd0-fdef feff fff9-ffff 1d173-1d17a " +
+  "1fffe-1ffff 2fffe-2ffff 3fffe-3ffff 4fffe-4ffff 5fffe-5ffff 6fffe-6ffff " +
+  "7fffe-7ffff 8fffe-8ffff 9fffe-9ffff afffe-affff bfffe-bffff cfffe-cffff " +
+  "dfffe-dffff e0001 e0020-e007f efffe-ffffd 100000-10ffff");
+
+/**
+ * Table D.1: Characters with bidirectional property "R" or "AL".
+ */
+const randALCat = parseRanges(
+  "5be 5c0 5c3 5d0-5ea 5f0-5f4 61b 61f 621-63a 640-64a 66d-66f 671-6d5 6dd " +
+  "6e5-6e6 6fa-6fe 700-70d 710 712-72c 780-7a5 7b1 200f fb1d fb1f-fb28 " +
+  "fb2a-fb36 fb38-fb3c fb3e fb40-fb41 fb43-fb44 fb46-fbb1 fbd3-fd3d " +
+  "fd50-fd8f fd92-fdc7 fdf0-fdfc fe70-fe74 fe76-fefc");
+
+/**
+ * Table D.2: Characters with bidirectional property "L".
+ */
+const lCat = parseRanges(
+  "41-5a 61-7a aa b5 ba c0-d6 d8-f6 f8-220 222-233 250-2ad 2b0-2b8 2bb-2c1 " +
+  "2d0-2d1 2e0-2e4 2ee 37a 386 388-38a 38c 38e-3a1 3a3-3ce 3d0-3f5 400-482 " +
+  "48a-4ce 4d0-4f5 4f8-4f9 500-50f 531-556 559-55f 561-587 589 903 905-939 " +
+  "93d-940 949-94c 950 958-961 964-970 982-983 985-98c 98f-990 993-9a8 " +
+  "9aa-9b0 9b2 9b6-9b9 9be-9c0 9c7-9c8 9cb-9cc 9d7 9dc-9dd 9df-9e1 9e6-9f1 " +
+  "9f4-9fa a05-a0a a0f-a10 a13-a28 a2a-a30 a32-a33 a35-a36 a38-a39 a3e-a40 " +
+  "a59-a5c a5e a66-a6f a72-a74 a83 a85-a8b a8d a8f-a91 a93-aa8 aaa-ab0 " +
+  "ab2-ab3 ab5-ab9 abd-ac0 ac9 acb-acc ad0 ae0 ae6-aef b02-b03 b05-b0c " +
+  "b0f-b10 b13-b28 b2a-b30 b32-b33 b36-b39 b3d-b3e b40 b47-b48 b4b-b4c b57 " +
+  "b5c-b5d b5f-b61 b66-b70 b83 b85-b8a b8e-b90 b92-b95 b99-b9a b9c b9e-b9f " +
+  "ba3-ba4 ba8-baa bae-bb5 bb7-bb9 bbe-bbf bc1-bc2 bc6-bc8 bca-bcc bd7 " +
+  "be7-bf2 c01-c03 c05-c0c c0e-c10 c12-c28 c2a-c33 c35-c39 c41-c44 c60-c61 " +
+  "c66-c6f c82-c83 c85-c8c c8e-c90 c92-ca8 caa-cb3 cb5-cb9 cbe cc0-cc4 " +
+  "cc7-cc8 cca-ccb cd5-cd6 cde ce0-ce1 ce6-cef d02-d03 d05-d0c d0e-d10 " +
+  "d12-d28 d2a-d39 d3e-d40 d46-d48 d4a-d4c d57 d60-d61 d66-d6f d82-d83 " +
+  "d85-d96 d9a-db1 db3-dbb dbd dc0-dc6 dcf-dd1 dd8-ddf df2-df4 e01-e30 " +
+  "e32-e33 e40-e46 e4f-e5b e81-e82 e84 e87-e88 e8a e8d e94-e97 e99-e9f " +
+  "ea1-ea3 ea5 ea7 eaa-eab ead-eb0 eb2-eb3 ebd ec0-ec4 ec6 ed0-ed9 edc-edd " +
+  "f00-f17 f1a-f34 f36 f38 f3e-f47 f49-f6a f7f f85 f88-f8b fbe-fc5 fc7-fcc " +
+  "fcf 1000-1021 1023-1027 1029-102a 102c 1031 1038 1040-1057 10a0-10c5 " +
+  "10d0-10f8 10fb 1100-1159 115f-11a2 11a8-11f9 1200-1206 1208-1246 1248 " +
+  "124a-124d 1250-1256 1258 125a-125d 1260-1286 1288 128a-128d 1290-12ae " +
+  "12b0 12b2-12b5 12b8-12be 12c0 12c2-12c5 12c8-12ce 12d0-12d6 12d8-12ee " +
+  "12f0-130e 1310 1312-1315 1318-131e 1320-1346 1348-135a 1361-137c " +
+  "13a0-13f4 1401-1676 1681-169a 16a0-16f0 1700-170c 170e-1711 1720-1731 " +
+  "1735-1736 1740-1751 1760-176c 176e-1770 1780-17b6 17be-17c5 17c7-17c8 " +
+  "17d4-17da 17dc 17e0-17e9 1810-1819 1820-1877 1880-18a8 1e00-1e9b " +
+  "1ea0-1ef9 1f00-1f15 1f18-1f1d 1f20-1f45 1f48-1f4d 1f50-1f57 1f59 1f5b " +
+  "1f5d 1f5f-1f7d 1f80-1fb4 1fb6-1fbc 1fbe 1fc2-1fc4 1fc6-1fcc 1fd0-1fd3 " +
+  "1fd6-1fdb 1fe0-1fec 1ff2-1ff4 1ff6-1ffc 200e 2071 207f 2102 2107 " +
+  "210a-2113 2115 2119-211d 2124 2126 2128 212a-212d 212f-2131 2133-2139 " +
+  "213d-213f 2145-2149 2160-2183 2336-237a 2395 249c-24e9 3005-3007 " +
+  "3021-3029 3031-3035 3038-303c 3041-3096 309d-309f 30a1-30fa 30fc-30ff " +
+  "3105-312c 3131-318e 3190-31b7 31f0-321c 3220-3243 3260-327b 327f-32b0 " +
+  "32c0-32cb 32d0-32fe 3300-3376 337b-33dd 33e0-33fe 3400-4db5 4e00-9fa5 " +
+  "a000-a48c ac00-d7a3 d800-fa2d fa30-fa6a fb00-fb06 fb13-fb17 ff21-ff3a " +
+  "ff41-ff5a ff66-ffbe ffc2-ffc7 ffca-ffcf ffd2-ffd7 ffda-ffdc 10300-1031e " +
+  "10320-10323 10330-1034a 10400-10425 10428-1044d 1d000-1d0f5 1d100-1d126 " +
+  "1d12a-1d166 1d16a-1d172 1d183-1d184 1d18c-1d1a9 1d1ae-1d1dd 1d400-1d454 " +
+  "1d456-1d49c 1d49e-1d49f 1d4a2 1d4a5-1d4a6 1d4a9-1d4ac 1d4ae-1d4b9 1d4bb " +
+  "1d4bd-1d4c0 1d4c2-1d4c3 1d4c5-1d505 1d507-1d50a 1d50d-1d514 1d516-1d51c " +
+  "1d51e-1d539 1d53b-1d53e 1d540-1d544 1d546 1d54a-1d550 1d552-1d6a3 " +
+  "1d6a8-1d7c9 20000-2a6d6 2f800-2fa1d f0000-ffffd 100000-10fffd");
+
+// PRECIS tables (current Unicode).
+
+/**
+ * Characters with the bidirectional property R or AL.
+ */
+const bidiRTL = parseRanges(
+  "5be 5c0 5c3 5c6 5d0-5ea 5ef-5f4 608 60b 60d 61b-64a 66d-66f 671-6d5 " +
+  "6e5-6e6 6ee-6ef 6fa-70d 70f-710 712-72f 74d-7a5 7b1 7c0-7ea 7f4-7f5 7fa " +
+  "7fe-815 81a 824 828 830-83e 840-858 85e 860-86a 870-88e 8a0-8c9 200f " +
+  "fb1d fb1f-fb28 fb2a-fb36 fb38-fb3c fb3e fb40-fb41 fb43-fb44 fb46-fbc2 " +
+  "fbd3-fd3d fd50-fd8f fd92-fdc7 fdf0-fdfc fe70-fe74 fe76-fefc 10800-10805 " +
+  "10808 1080a-10835 10837-10838 1083c 1083f-10855 10857-1089e 108a7-108af " +
+  "108e0-108f2 108f4-108f5 108fb-1091b 10920-10939 1093f 10980-109b7 " +
+  "109bc-109cf 109d2-10a00 10a10-10a13 10a15-10a17 10a19-10a35 10a40-10a48 " +
+  "10a50-10a58 10a60-10a9f 10ac0-10ae4 10aeb-10af6 10b00-10b35 10b40-10b55 " +
+  "10b58-10b72 10b78-10b91 10b99-10b9c 10ba9-10baf 10c00-10c48 10c80-10cb2 " +
+  "10cc0-10cf2 10cfa-10d23 10e80-10ea9 10ead 10eb0-10eb1 10f00-10f27 " +
+  "10f30-10f45 10f51-10f59 10f70-10f81 10f86-10f89 10fb0-10fcb 10fe0-10ff6 " +
+  "1e800-1e8c4 1e8c7-1e8cf 1e900-1e943 1e94b 1e950-1e959 1e95e-1e95f " +
+  "1ec71-1ecb4 1ed01-1ed3d 1ee00-1ee03 1ee05-1ee1f 1ee21-1ee22 1ee24 1ee27 " +
+  "1ee29-1ee32 1ee34-1ee37 1ee39 1ee3b 1ee42 1ee47 1ee49 1ee4b 1ee4d-1ee4f " +
+  "1ee51-1ee52 1ee54 1ee57 1ee59 1ee5b 1ee5d 1ee5f 1ee61-1ee62 1ee64 " +
+  "1ee67-1ee6a 1ee6c-1ee72 1ee74-1ee77 1ee79-1ee7c 1ee7e 1ee80-1ee89 " +
+  "1ee8b-1ee9b 1eea1-1eea3 1eea5-1eea9 1eeab-1eebb");
+
+/**
+ * Characters with the bidirectional property AN.
+ */
+const bidiAN = parseRanges(
+  "600-605 660-669 66b-66c 6dd 890-891 8e2 10d30-10d39 10e60-10e7e");
+
+/**
+ * Characters with the bidirectional property EN.
+ */
+const bidiEN = parseRanges(
+  "30-39 b2-b3 b9 6f0-6f9 2070 2074-2079 2080-2089 2488-249b ff10-ff19 " +
+  "102e1-102fb 1d7ce-1d7ff 1f100-1f10a 1fbf0-1fbf9");
+
+/**
+ * Characters with the bidirectional property NSM.
+ */
+const bidiNSM = parseRanges(
+  "300-36f 483-489 591-5bd 5bf 5c1-5c2 5c4-5c5 5c7 610-61a 64b-65f 670 " +
+  "6d6-6dc 6df-6e4 6e7-6e8 6ea-6ed 711 730-74a 7a6-7b0 7eb-7f3 7fd 816-819 " +
+  "81b-823 825-827 829-82d 859-85b 898-89f 8ca-8e1 8e3-902 93a 93c 941-948 " +
+  "94d 951-957 962-963 981 9bc 9c1-9c4 9cd 9e2-9e3 9fe a01-a02 a3c a41-a42 " +
+  "a47-a48 a4b-a4d a51 a70-a71 a75 a81-a82 abc ac1-ac5 ac7-ac8 acd ae2-ae3 " +
+  "afa-aff b01 b3c b3f b41-b44 b4d b55-b56 b62-b63 b82 bc0 bcd c00 c04 c3c " +
+  "c3e-c40 c46-c48 c4a-c4d c55-c56 c62-c63 c81 cbc ccc-ccd ce2-ce3 d00-d01 " +
+  "d3b-d3c d41-d44 d4d d62-d63 d81 dca dd2-dd4 dd6 e31 e34-e3a e47-e4e eb1 " +
+  "eb4-ebc ec8-ece f18-f19 f35 f37 f39 f71-f7e f80-f84 f86-f87 f8d-f97 " +
+  "f99-fbc fc6 102d-1030 1032-1037 1039-103a 103d-103e 1058-1059 105e-1060 " +
+  "1071-1074 1082 1085-1086 108d 109d 135d-135f 1712-1714 1732-1733 " +
+  "1752-1753 1772-1773 17b4-17b5 17b7-17bd 17c6 17c9-17d3 17dd 180b-180d " +
+  "180f 1885-1886 18a9 1920-1922 1927-1928 1932 1939-193b 1a17-1a18 1a1b " +
+  "1a56 1a58-1a5e 1a60 1a62 1a65-1a6c 1a73-1a7c 1a7f 1ab0-1ace 1b00-1b03 " +
+  "1b34 1b36-1b3a 1b3c 1b42 1b6b-1b73 1b80-1b81 1ba2-1ba5 1ba8-1ba9 " +
+  "1bab-1bad 1be6 1be8-1be9 1bed 1bef-1bf1 1c2c-1c33 1c36-1c37 1cd0-1cd2 " +
+  "1cd4-1ce0 1ce2-1ce8 1ced 1cf4 1cf8-1cf9 1dc0-1dff 20d0-20f0 2cef-2cf1 " +
+  "2d7f 2de0-2dff 302a-302d 3099-309a a66f-a672 a674-a67d a69e-a69f " +
+  "a6f0-a6f1 a802 a806 a80b a825-a826 a82c a8c4-a8c5 a8e0-a8f1 a8ff " +
+  "a926-a92d a947-a951 a980-a982 a9b3 a9b6-a9b9 a9bc-a9bd a9e5 aa29-aa2e " +
+  "aa31-aa32 aa35-aa36 aa43 aa4c aa7c aab0 aab2-aab4 aab7-aab8 aabe-aabf " +
+  "aac1 aaec-aaed aaf6 abe5 abe8 abed fb1e fe00-fe0f fe20-fe2f 101fd 102e0 " +
+  "10376-1037a 10a01-10a03 10a05-10a06 10a0c-10a0f 10a38-10a3a 10a3f " +
+  "10ae5-10ae6 10d24-10d27 10eab-10eac 10efd-10eff 10f46-10f50 10f82-10f85 " +
+  "11001 11038-11046 11070 11073-11074 1107f-11081 110b3-110b6 110b9-110ba " +
+  "110c2 11100-11102 11127-1112b 1112d-11134 11173 11180-11181 111b6-111be " +
+  "111c9-111cc 111cf 1122f-11231 11234 11236-11237 1123e 11241 112df " +
+  "112e3-112ea 11300-11301 1133b-1133c 11340 11366-1136c 11370-11374 " +
+  "11438-1143f 11442-11444 11446 1145e 114b3-114b8 114ba 114bf-114c0 " +
+  "114c2-114c3 115b2-115b5 115bc-115bd 115bf-115c0 115dc-115dd 11633-1163a " +
+  "1163d 1163f-11640 116ab 116ad 116b0-116b5 116b7 1171d-1171f 11722-11725 " +
+  "11727-1172b 1182f-11837 11839-1183a 1193b-1193c 1193e 11943 119d4-119d7 " +
+  "119da-119db 119e0 11a01-11a06 11a09-11a0a 11a33-11a38 11a3b-11a3e 11a47 " +
+  "11a51-11a56 11a59-11a5b 11a8a-11a96 11a98-11a99 11c30-11c36 11c38-11c3d " +
+  "11c92-11ca7 11caa-11cb0 11cb2-11cb3 11cb5-11cb6 11d31-11d36 11d3a " +
+  "11d3c-11d3d 11d3f-11d45 11d47 11d90-11d91 11d95 11d97 11ef3-11ef4 " +
+  "11f00-11f01 11f36-11f3a 11f40 11f42 13440 13447-13455 16af0-16af4 " +
+  "16b30-16b36 16f4f 16f8f-16f92 16fe4 1bc9d-1bc9e 1cf00-1cf2d 1cf30-1cf46 " +
+  "1d167-1d169 1d17b-1d182 1d185-1d18b 1d1aa-1d1ad 1d242-1d244 1da00-1da36 " +
+  "1da3b-1da6c 1da75 1da84 1da9b-1da9f 1daa1-1daaf 1e000-1e006 1e008-1e018 " +
+  "1e01b-1e021 1e023-1e024 1e026-1e02a 1e08f 1e130-1e136 1e2ae 1e2ec-1e2ef " +
+  "1e4ec-1e4ef 1e8d0-1e8d6 1e944-1e94a e0100-e01ef");
+
+/**
+ * Characters with the bidirectional property ES, CS, ET, ON, or BN.
+ */
+const bidiNeutral = parseRanges(
+  "0-8 e-1b 21-2f 3a-40 5b-60 7b-84 86-a9 ab-b1 b4 b6-b8 bb-bf d7 f7 " +
+  "2b9-2ba 2c2-2cf 2d2-2df 2e5-2ed 2ef-2ff 374-375 37e 384-385 387 3f6 58a " +
+  "58d-58f 606-607 609-60a 60c 60e-60f 66a 6de 6e9 7f6-7f9 9f2-9f3 9fb af1 " +
+  "bf3-bfa c78-c7e e3f f3a-f3d 1390-1399 1400 169b-169c 17db 17f0-17f9 " +
+  "1800-180a 180e 1940 1944-1945 19de-19ff 1fbd 1fbf-1fc1 1fcd-1fcf " +
+  "1fdd-1fdf 1fed-1fef 1ffd-1ffe 200b-200d 2010-2027 202f-205e 2060-2064 " +
+  "206a-206f 207a-207e 208a-208e 20a0-20c0 2100-2101 2103-2106 2108-2109 " +
+  "2114 2116-2118 211e-2123 2125 2127 2129 212e 213a-213b 2140-2144 " +
+  "214a-214d 2150-215f 2189-218b 2190-2335 237b-2394 2396-2426 2440-244a " +
+  "2460-2487 24ea-26ab 26ad-27ff 2900-2b73 2b76-2b95 2b97-2bff 2ce5-2cea " +
+  "2cf9-2cff 2e00-2e5d 2e80-2e99 2e9b-2ef3 2f00-2fd5 2ff0-2fff 3001-3004 " +
+  "3008-3020 3030 3036-3037 303d-303f 309b-309c 30a0 30fb 31c0-31e3 31ef " +
+  "321d-321e 3250-325f 327c-327e 32b1-32bf 32cc-32cf 3377-337a 33de-33df " +
+  "33ff 4dc0-4dff a490-a4c6 a60d-a60f a673 a67e-a67f a700-a721 a788 " +
+  "a828-a82b a838-a839 a874-a877 ab6a-ab6b fb29 fd3e-fd4f fdcf fdfd-fdff " +
+  "fe10-fe19 fe30-fe52 fe54-fe66 fe68-fe6b feff ff01-ff0f ff1a-ff20 " +
+  "ff3b-ff40 ff5b-ff65 ffe0-ffe6 ffe8-ffee fff9-fffd 10101 10140-1018c " +
+  "10190-1019c 101a0 1091f 10b39-10b3f 11052-11065 11660-1166c 11fd5-11ff1 " +
+  "16fe2 1bca0-1bca3 1d173-1d17a 1d1e9-1d1ea 1d200-1d241 1d245 1d300-1d356 " +
+  "1d6db 1d715 1d74f 1d789 1d7c3 1e2ff 1eef0-1eef1 1f000-1f02b 1f030-1f093 " +
+  "1f0a0-1f0ae 1f0b1-1f0bf 1f0c1-1f0cf 1f0d1-1f0f5 1f10b-1f10f 1f12f " +
+  "1f16a-1f16f 1f1ad 1f260-1f265 1f300-1f6d7 1f6dc-1f6ec 1f6f0-1f6fc " +
+  "1f700-1f776 1f77b-1f7d9 1f7e0-1f7eb 1f7f0 1f800-1f80b 1f810-1f847 " +
+  "1f850-1f859 1f860-1f887 1f890-1f8ad 1f8b0-1f8b1 1f900-1fa53 1fa60-1fa6d " +
+  "1fa70-1fa7c 1fa80-1fa88 1fa90-1fabd 1fabf-1fac5 1face-1fadb 1fae0-1fae8 " +
+  "1faf0-1faf8 1fb00-1fb92 1fb94-1fbca e0001 e0020-e007f");
+
+/**
+ * Characters with the joining type L or D.
+ */
+const joinsLeft = parseRanges(
+  "620 626 628 62a-62e 633-63f 641-647 649-64a 66e-66f 678-687 69a-6bf " +
+  "6c1-6c2 6cc 6ce 6d0-6d1 6fa-6fc 6ff 712-714 71a-71d 71f-727 729 72b " +
+  "72d-72e 74e-758 75c-76a 76d-770 772 775-777 77a-77f 7ca-7ea 841-845 848 " +
+  "84a-853 855 860 862-865 868 886 889-88d 8a0-8a9 8af-8b0 8b3-8b8 8ba-8c8 " +
+  "1807 1820-1878 1887-18a8 18aa a840-a872 10ac0-10ac4 10acd 10ad3-10adc " +
+  "10ade-10ae0 10aeb-10aee 10b80 10b82 10b86-10b88 10b8a-10b8b 10b8d 10b90 " +
+  "10bad-10bae 10d00-10d21 10d23 10f30-10f32 10f34-10f44 10f51-10f53 " +
+  "10f70-10f73 10f76-10f81 10fb0 10fb2-10fb3 10fb8 10fbb-10fbc 10fbe-10fbf " +
+  "10fc1 10fc4 10fca-10fcb 1e900-1e943");
+
+/**
+ * Characters with the joining type R or D.
+ */
+const joinsRight = parseRanges(
+  "620 622-63f 641-64a 66e-66f 671-673 675-6d3 6d5 6ee-6ef 6fa-6fc 6ff 710 " +
+  "712-72f 74d-77f 7ca-7ea 840-858 860 862-865 867-86a 870-882 886 889-88e " +
+  "8a0-8ac 8ae-8c8 1807 1820-1878 1887-18a8 18aa a840-a871 10ac0-10ac5 " +
+  "10ac7 10ac9-10aca 10ace-10ad6 10ad8-10ae1 10ae4 10aeb-10aef 10b80-10b91 " +
+  "10ba9-10bae 10d01-10d23 10f30-10f44 10f51-10f54 10f70-10f81 10fb0 " +
+  "10fb2-10fb6 10fb8-10fbf 10fc1-10fc4 10fc9-10fca 1e900-1e943");
+
+/**
+ * Characters with the joining type T, other than the nonspacing marks,
+ * enclosing marks, and format characters (which have that joining type unless
+ * listed otherwise, and are matched by general category instead).
+ */
+const joinsTransparent = parseRanges(
+  "70f 1885-1886 1e94b");
+
+/**
+ * Characters whose canonical combining class is Virama (9).
+ */
+const virama = parseRanges(
+  "94d 9cd a4d acd b4d bcd c4d ccd d3b-d3c d4d dca e3a eba f84 1039-103a " +
+  "1714-1715 1734 17d2 1a60 1b44 1baa-1bab 1bf2-1bf3 2d7f a806 a82c a8c4 " +
+  "a953 a9c0 aaf6 abed 10a3f 11046 11070 1107f 110b9 11133-11134 111c0 " +
+  "11235 112ea 1134d 11442 114c2 115bf 1163f 116b6 1172b 11839 1193d-1193e " +
+  "119e0 11a34 11a47 11a99 11c3f 11d44-11d45 11d97");
+
+return {
+  inTable: inTable,
+  unassigned: unassigned,
+  prohibited: prohibited,
+  randALCat: randALCat,
+  lCat: lCat,
+  bidiRTL: bidiRTL,
+  bidiAN: bidiAN,
+  bidiEN: bidiEN,
+  bidiNSM: bidiNSM,
+  bidiNeutral: bidiNeutral,
+  joinsLeft: joinsLeft,
+  joinsRight: joinsRight,
+  joinsTransparent: joinsTransparent,
+  virama: virama,
+};
+}));
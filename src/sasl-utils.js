@@ -5,44 +5,121 @@
  */
 (function (root, factory) {
   if (typeof define === 'function' && define.amd) {
-    define([], function () { return factory(TextEncoder, btoa, atob); });
+    define(['./sasl-unicode'], function (saslUnicode) {
+      return factory(TextEncoder, TextDecoder, btoa, atob, saslUnicode);
+    });
   } else if (typeof exports === 'object') {
     // Shim functions for node.js
     function TextEncoder(/*charset*/) {
-      this.encode = function (s) { return new Buffer(s, "utf-8"); };
+      this.encode = function (s) { return Buffer.from(s, "utf-8"); };
+    }
+    function TextDecoder(/*charset*/) {
+      this.decode = function (b) { return Buffer.from(b).toString("utf-8"); };
     }
     function btoa(str) {
-      return new Buffer(str, "binary").toString("base64");
+      return Buffer.from(str, "binary").toString("base64");
     }
     function atob(str) {
-      return new Buffer(str, "base64").toString("binary");
+      return Buffer.from(str, "base64").toString("binary");
     }
-    module.exports = factory(TextEncoder, btoa, atob);
+    module.exports = factory(TextEncoder, TextDecoder, btoa, atob,
+      require('./sasl-unicode'));
   } else {
-    root.saslUtils = factory(root.TextEncoder, btoa, atob);
+    root.saslUtils = factory(root.TextEncoder, root.TextDecoder, btoa, atob,
+      root.saslUnicode);
+  }
+}(this, function (TextEncoder, TextDecoder, btoa, atob, saslUnicode) {
+
+/**
+ * The base class of the errors raised by the SASL mechanisms. Each error has a
+ * code, one of the constants on this class, which is stable across releases
+ * (unlike the message), so that callers can decide how to handle an error
+ * without matching its message:
+ * * MALFORMED_CHALLENGE: a server challenge could not be parsed.
+ * * UNSUPPORTED_CHALLENGE: a server challenge requires a feature (such as a
+ *   mandatory extension) that is not supported.
+ * * INVALID_BASE64: a challenge was not valid base64.
+ * * CHALLENGE_TOO_LARGE: a server challenge exceeded the size limit.
+ * * SIGNATURE_MISMATCH: the server failed to prove that it knows the
+ *   credentials.
+ * * SERVER_ERROR: the server reported an error within the mechanism.
+ * * TOO_MANY_STEPS: the server sent a challenge after the mechanism completed,
+ *   or more challenges than the limit.
+ * * MISSING_CREDENTIALS: a credential needed by the mechanism is not available.
+ * * PROHIBITED_CHARACTERS: a credential contains characters that cannot be
+ *   sent.
+ * * AUTHENTICATION_FAILED: no mechanism succeeded.
+ * * CREDENTIALS_REJECTED: the server rejected the credentials.
+ * * ABORTED: a step was aborted.
+ * * TIMEOUT: a step timed out.
+ * * NO_MECHANISM: a step was attempted while no mechanism was in progress.
+ *
+ * @param {String} code    The error code.
+ * @param {String} message A description of the problem.
+ * @alias module:sasl-utils.SaslError
+ */
+class SaslError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "SaslError";
+    this.code = code;
   }
-}(this, function (TextEncoder, btoa, atob) {
+}
+["MALFORMED_CHALLENGE", "UNSUPPORTED_CHALLENGE", "INVALID_BASE64",
+ "CHALLENGE_TOO_LARGE", "SIGNATURE_MISMATCH", "SERVER_ERROR",
+ "TOO_MANY_STEPS", "MISSING_CREDENTIALS", "PROHIBITED_CHARACTERS",
+ "AUTHENTICATION_FAILED", "CREDENTIALS_REJECTED", "ABORTED",
+ "TIMEOUT", "NO_MECHANISM"].forEach(function (code) {
+  SaslError[code] = code;
+});
+
+/**
+ * An error thrown when a string cannot be prepared, because it contains
+ * characters that the string preparation profile prohibits (or because the
+ * result would be empty, for PRECIS profiles). Its code is
+ * PROHIBITED_CHARACTERS.
+ *
+ * @param {String} message     A description of the problem.
+ * @param {Number} [codePoint] The offending code point, if there is one.
+ * @alias module:sasl-utils.StringPrepError
+ */
+class StringPrepError extends SaslError {
+  constructor(message, codePoint) {
+    super(SaslError.PROHIBITED_CHARACTERS, message);
+    this.name = "StringPrepError";
+    this.codePoint = codePoint;
+  }
+}
+
+function formatCodePoint(codePoint) {
+  var hex = codePoint.toString(16).toUpperCase();
+  return "U+" + "0000".substring(hex.length) + hex;
+}
 
 /**
  * Run the result of SASLprep (RFC 4013 as of this writing) on the input string.
+ * By default, the string is treated as a query string, in which unassigned code
+ * points are permitted; passing storedString as true in the options prohibits
+ * them as well.
  *
- * @param {String} str The string to be prepared (e.g., a username).
- * @returns {String}   The result of SASLprep.
+ * @param {String} str  The string to be prepared (e.g., a username).
+ * @param {Object} [options]
+ * @param {Boolean} [options.storedString] Whether to treat the string as a
+ *                      stored string (see §7 of RFC 3454).
+ * @returns {String}    The result of SASLprep.
+ * @throws {StringPrepError} If the string contains prohibited characters.
  * @alias module:sasl-utils.saslPrep
  */
-function saslPrep(str) {
+function saslPrep(str, options) {
   // If you don't want to go running off to the RFC, here's the basic rules on
   // SASLprep and Stringprep. Stringprep declares mapping, normalization,
   // prohibition, and bidi check phases, with the actual rules for each defined
-  // by profile (in this case, SASLprep). Since we're not storing strings, we're
-  // only querying them (in Stringprep's parlance), we don't have to error out
-  // on unassigned code points.
-  // This code is being even more liberal and ignoring the last two phases: all
-  // they do is reject strings, not change them, and support for querying Bidi
-  // properties in JS is more annoying than its worth.
+  // by profile (in this case, SASLprep). Unassigned code points are only
+  // prohibited in stored strings; when querying, they are let through.
+  var storedString = options && options.storedString;
 
   // Table C.1.2 (Non-ASCII space characters) get mapped to a space
-  str = str.replace(/[\u00a0\u1680\u2000-\u200B\u202f\u205f\u3000]/g, " ");
+  str = str.replace(/[\u00a0\u1680\u2000-\u200b\u202f\u205f\u3000]/g, " ");
   // Table B.1 (Commonly mapped to nothing) get removed
   str = str.replace(
     // Note: \u200b is in both lists... it gets removed by the above.
@@ -50,7 +127,339 @@ function saslPrep(str) {
     "");
 
   // Normalization step: normalize according to KC.
-  return str.normalize("NFKC");
+  str = str.normalize("NFKC");
+
+  // Prohibition step: reject the characters in the C.* tables, as well as the
+  // unassigned code points of table A.1 for stored strings.
+  var codePoints = Array.from(str, c => c.codePointAt(0));
+  codePoints.forEach(function (cp) {
+    if (saslUnicode.inTable(saslUnicode.prohibited, cp)) {
+      throw new StringPrepError("Prohibited character " + formatCodePoint(cp),
+        cp);
+    }
+    if (storedString && saslUnicode.inTable(saslUnicode.unassigned, cp)) {
+      throw new StringPrepError("Unassigned code point " + formatCodePoint(cp),
+        cp);
+    }
+  });
+
+  // Bidi step: if there are any right-to-left characters, there may be no
+  // left-to-right characters, and the string must start and end with
+  // right-to-left characters (see §6 of RFC 3454).
+  var isRandAL = cp => saslUnicode.inTable(saslUnicode.randALCat, cp);
+  if (codePoints.some(isRandAL)) {
+    if (codePoints.some(cp => saslUnicode.inTable(saslUnicode.lCat, cp)) ||
+        !isRandAL(codePoints[0]) ||
+        !isRandAL(codePoints[codePoints.length - 1]))
+      throw new StringPrepError("String violates the bidirectional rules");
+  }
+
+  return str;
+}
+
+// The PRECIS regular expressions require Unicode property escapes, which not
+// all JavaScript engines support, so they are only compiled on first use. That
+// way, SASLprep still works everywhere.
+var precisRegExps = null;
+function getPrecisRegExps() {
+  if (!precisRegExps) {
+    var make = source => new RegExp("^[" + source + "]$", "u");
+    precisRegExps = {
+      unassigned: make("\\p{Cn}"),
+      joinControl: make("\\p{Join_Control}"),
+      oldHangulJamo: make("\\u1100-\\u11ff\\ua960-\\ua97c\\ud7b0-\\ud7c6" +
+        "\\ud7cb-\\ud7fb"),
+      ignorable: make("\\p{Default_Ignorable_Code_Point}" +
+        "\\p{Noncharacter_Code_Point}"),
+      controls: make("\\p{Cc}"),
+      letterDigits: make("\\p{Ll}\\p{Lu}\\p{Lo}\\p{Nd}\\p{Lm}\\p{Mn}\\p{Mc}"),
+      otherLetterDigits: make("\\p{Lt}\\p{Nl}\\p{No}\\p{Me}"),
+      spaces: make("\\p{Zs}"),
+      symbols: make("\\p{Sm}\\p{Sc}\\p{Sk}\\p{So}"),
+      punctuation: make("\\p{Pc}\\p{Pd}\\p{Ps}\\p{Pe}\\p{Pi}\\p{Pf}\\p{Po}"),
+      transparent: make("\\p{Mn}\\p{Me}\\p{Cf}"),
+      greek: make("\\p{Script=Greek}"),
+      hebrew: make("\\p{Script=Hebrew}"),
+      japanese: make("\\p{Script=Hiragana}\\p{Script=Katakana}" +
+        "\\p{Script=Han}"),
+    };
+  }
+  return precisRegExps;
+}
+
+// The exceptions to the derived property values (see §2.6 of RFC 5892).
+var precisExceptions = {
+  0x00df: "PVALID", 0x03c2: "PVALID", 0x06fd: "PVALID", 0x06fe: "PVALID",
+  0x0f0b: "PVALID", 0x3007: "PVALID",
+  0x00b7: "CONTEXTO", 0x0375: "CONTEXTO", 0x05f3: "CONTEXTO",
+  0x05f4: "CONTEXTO", 0x30fb: "CONTEXTO",
+  0x0640: "DISALLOWED", 0x07fa: "DISALLOWED", 0x302e: "DISALLOWED",
+  0x302f: "DISALLOWED", 0x3031: "DISALLOWED", 0x3032: "DISALLOWED",
+  0x3033: "DISALLOWED", 0x3034: "DISALLOWED", 0x3035: "DISALLOWED",
+  0x303b: "DISALLOWED",
+};
+for (var digit = 0; digit < 10; digit++) {
+  precisExceptions[0x0660 + digit] = "CONTEXTO";
+  precisExceptions[0x06f0 + digit] = "CONTEXTO";
+}
+
+/**
+ * Compute the PRECIS derived property of a code point (see §8 of RFC 8264).
+ * The ID_DIS and FREE_PVAL values are resolved to either PVALID or DISALLOWED,
+ * depending on whether the FreeformClass or IdentifierClass is in use.
+ */
+function precisProperty(cp, freeform) {
+  var re = getPrecisRegExps();
+  var ch = String.fromCodePoint(cp);
+  if (cp in precisExceptions)
+    return precisExceptions[cp];
+  if (re.unassigned.test(ch) && !re.ignorable.test(ch))
+    return "UNASSIGNED";
+  if (cp >= 0x21 && cp <= 0x7e)
+    return "PVALID";
+  if (re.joinControl.test(ch))
+    return "CONTEXTJ";
+  if (re.oldHangulJamo.test(ch) || re.ignorable.test(ch) ||
+      re.controls.test(ch))
+    return "DISALLOWED";
+  var freeformValue = freeform ? "PVALID" : "DISALLOWED";
+  if (ch.normalize("NFKC") != ch)
+    return freeformValue;
+  if (re.letterDigits.test(ch))
+    return "PVALID";
+  if (re.otherLetterDigits.test(ch) || re.spaces.test(ch) ||
+      re.symbols.test(ch) || re.punctuation.test(ch))
+    return freeformValue;
+  return "DISALLOWED";
+}
+
+/**
+ * Check the contextual rule for a CONTEXTJ or CONTEXTO code point (see
+ * Appendix A of RFC 5892).
+ */
+function precisContextRule(codePoints, i) {
+  var re = getPrecisRegExps();
+  var cp = codePoints[i];
+  var test = (regexp, cp) => cp !== undefined &&
+    regexp.test(String.fromCodePoint(cp));
+  var isTransparent = cp => cp !== 0x200c && cp !== 0x200d &&
+    (saslUnicode.inTable(saslUnicode.joinsTransparent, cp) ||
+     test(re.transparent, cp));
+
+  if (cp == 0x200c || cp == 0x200d) {
+    if (i > 0 && saslUnicode.inTable(saslUnicode.virama, codePoints[i - 1]))
+      return true;
+    if (cp == 0x200d)
+      return false;
+    // ZERO WIDTH NON-JOINER is also permitted between two characters that
+    // would otherwise join.
+    var before = i - 1, after = i + 1;
+    while (before >= 0 && isTransparent(codePoints[before]))
+      before--;
+    while (after < codePoints.length && isTransparent(codePoints[after]))
+      after++;
+    return before >= 0 && after < codePoints.length &&
+      saslUnicode.inTable(saslUnicode.joinsLeft, codePoints[before]) &&
+      saslUnicode.inTable(saslUnicode.joinsRight, codePoints[after]);
+  }
+  if (cp == 0x00b7)
+    return codePoints[i - 1] == 0x6c && codePoints[i + 1] == 0x6c;
+  if (cp == 0x0375)
+    return test(re.greek, codePoints[i + 1]);
+  if (cp == 0x05f3 || cp == 0x05f4)
+    return test(re.hebrew, codePoints[i - 1]);
+  if (cp == 0x30fb)
+    return codePoints.some(c => c != 0x30fb && test(re.japanese, c));
+  if (cp >= 0x0660 && cp <= 0x0669)
+    return !codePoints.some(c => c >= 0x06f0 && c <= 0x06f9);
+  if (cp >= 0x06f0 && cp <= 0x06f9)
+    return !codePoints.some(c => c >= 0x0660 && c <= 0x0669);
+  return false;
+}
+
+/**
+ * Check that a string satisfies the Bidi Rule of RFC 5893. Strings that do not
+ * contain any right-to-left characters trivially satisfy the rule.
+ */
+function precisBidiRule(codePoints) {
+  var inTable = saslUnicode.inTable;
+  var isRTL = cp => inTable(saslUnicode.bidiRTL, cp);
+  var isAN = cp => inTable(saslUnicode.bidiAN, cp);
+  var isEN = cp => inTable(saslUnicode.bidiEN, cp);
+  var isNSM = cp => inTable(saslUnicode.bidiNSM, cp);
+  if (!codePoints.some(cp => isRTL(cp) || isAN(cp)))
+    return true;
+
+  // Rule 1: the first character must be R or AL.
+  if (!isRTL(codePoints[0]))
+    return false;
+  // Rule 2: only R, AL, AN, EN, ES, CS, ET, ON, BN, and NSM are allowed.
+  if (!codePoints.every(cp => isRTL(cp) || isAN(cp) || isEN(cp) ||
+      isNSM(cp) || inTable(saslUnicode.bidiNeutral, cp)))
+    return false;
+  // Rule 3: the end must be R, AL, EN, or AN, followed by any number of NSM.
+  var end = codePoints.length - 1;
+  while (end > 0 && isNSM(codePoints[end]))
+    end--;
+  var last = codePoints[end];
+  if (!isRTL(last) && !isEN(last) && !isAN(last))
+    return false;
+  // Rule 4: EN and AN may not both be present.
+  return !(codePoints.some(isEN) && codePoints.some(isAN));
+}
+
+/**
+ * Check that every code point of a string is valid in a PRECIS string class.
+ */
+function precisCheckClass(str, freeform) {
+  var codePoints = Array.from(str, c => c.codePointAt(0));
+  codePoints.forEach(function (cp, i) {
+    var property = precisProperty(cp, freeform);
+    if (property == "PVALID")
+      return;
+    if ((property == "CONTEXTJ" || property == "CONTEXTO") &&
+        precisContextRule(codePoints, i))
+      return;
+    throw new StringPrepError("Disallowed character " + formatCodePoint(cp),
+      cp);
+  });
+  return codePoints;
+}
+
+/**
+ * Prepare a username using the PRECIS UsernameCaseMapped profile (see §3.3 of
+ * RFC 8265). This maps fullwidth and halfwidth characters to their ordinary
+ * forms and uppercase characters to lowercase, and normalizes to NFC.
+ *
+ * @param {String} str The username to be prepared.
+ * @returns {String}   The prepared username.
+ * @throws {StringPrepError} If the username is not valid under the profile.
+ * @alias module:sasl-utils.precisUsernameCaseMapped
+ */
+function precisUsernameCaseMapped(str) {
+  // Width mapping: the characters in the Halfwidth and Fullwidth Forms block
+  // are the ones with <wide> or <narrow> decompositions.
+  str = str.replace(/[\uff01-\uffef]/g, c => c.normalize("NFKC"));
+  str = str.toLowerCase().normalize("NFC");
+  var codePoints = precisCheckClass(str, false);
+  if (!precisBidiRule(codePoints))
+    throw new StringPrepError("String violates the Bidi Rule");
+  if (str.length == 0)
+    throw new StringPrepError("String is empty");
+  return str;
+}
+
+/**
+ * Prepare a password using the PRECIS OpaqueString profile (see §4.2 of RFC
+ * 8265). This maps non-ASCII spaces to ASCII spaces and normalizes to NFC.
+ *
+ * @param {String} str The password to be prepared.
+ * @returns {String}   The prepared password.
+ * @throws {StringPrepError} If the password is not valid under the profile.
+ * @alias module:sasl-utils.precisOpaqueString
+ */
+function precisOpaqueString(str) {
+  str = str.replace(/[\u00a0\u1680\u2000-\u200a\u202f\u205f\u3000]/g, " ")
+           .normalize("NFC");
+  precisCheckClass(str, true);
+  if (str.length == 0)
+    throw new StringPrepError("String is empty");
+  return str;
+}
+
+/**
+ * Prepare a username (or other identity) with a string preparation profile.
+ * The profile is one of "saslprep" (the default), "precis" (the PRECIS
+ * UsernameCaseMapped profile), or "none".
+ *
+ * @param {String} str       The username to be prepared.
+ * @param {String} [profile] The string preparation profile to use.
+ * @returns {String}         The prepared username.
+ * @alias module:sasl-utils.prepareUsername
+ */
+function prepareUsername(str, profile) {
+  switch (profile || "saslprep") {
+    case "saslprep": return saslPrep(str);
+    case "precis": return precisUsernameCaseMapped(str);
+    case "none": return str;
+  }
+  throw new Error("Unknown string preparation profile " + profile);
+}
+
+/**
+ * Prepare a password with a string preparation profile. The profile is one of
+ * "saslprep" (the default), "precis" (the PRECIS OpaqueString profile), or
+ * "none".
+ *
+ * @param {String} str       The password to be prepared.
+ * @param {String} [profile] The string preparation profile to use.
+ * @param {Object} [options] Options to pass to
+ *                           [saslPrep]{@link module:sasl-utils.saslPrep}.
+ * @returns {String}         The prepared password.
+ * @alias module:sasl-utils.preparePassword
+ */
+function preparePassword(str, profile, options) {
+  switch (profile || "saslprep") {
+    case "saslprep": return saslPrep(str, options);
+    case "precis": return precisOpaqueString(str);
+    case "none": return str;
+  }
+  throw new Error("Unknown string preparation profile " + profile);
+}
+
+/**
+ * Encode a string as a saslname, the form used for identities in GS2-style
+ * headers (see RFC 5801, §4). The characters ',' and '=' are not permitted
+ * verbatim, and are replaced with "=2C" and "=3D", respectively.
+ *
+ * @param {String} str The string to encode (e.g., an authorization identity).
+ * @returns {String}   The encoded saslname.
+ * @alias module:sasl-utils.encodeSaslName
+ */
+function encodeSaslName(str) {
+  return str.replace(/=/g, "=3D").replace(/,/g, "=2C");
+}
+
+/**
+ * Decode a saslname, reversing the escaping performed by
+ * [encodeSaslName]{@link module:sasl-utils.encodeSaslName}.
+ *
+ * @param {String} str The saslname to decode.
+ * @returns {String}   The decoded string.
+ * @throws {SaslError} If the saslname contains an invalid escape sequence
+ *                     (with the MALFORMED_CHALLENGE code).
+ * @alias module:sasl-utils.decodeSaslName
+ */
+function decodeSaslName(str) {
+  if (/,|=(?!2C|3D)/.test(str))
+    throw new SaslError(SaslError.MALFORMED_CHALLENGE,
+      "Invalid saslname " + str);
+  return str.replace(/=2C/g, ",").replace(/=3D/g, "=");
+}
+
+/**
+ * Resolve a credential given to a SASL module, which may either be the value
+ * itself or a function returning the value (or a Promise for it). Mechanisms
+ * call this only when they need the credential, so that callers need not, for
+ * example, prompt for a password unless a mechanism uses it.
+ *
+ * @param {String|Function} value The credential, or a function providing it.
+ * @param {String} [name]         A description of the credential (e.g.,
+ *                                "password"). If present, the credential is
+ *                                required.
+ * @returns {Promise<String>}     The credential.
+ * @throws {SaslError} If a required credential is empty (with the code
+ *                     MISSING_CREDENTIALS).
+ * @alias module:sasl-utils.resolveCredential
+ */
+function resolveCredential(value, name) {
+  return Promise.resolve(typeof value == "function" ? value() : value)
+    .then(function (value) {
+      if (name && !value)
+        throw new SaslError(SaslError.MISSING_CREDENTIALS,
+          "No " + name + " is available");
+      return value;
+    });
 }
 
 /**
@@ -65,6 +474,19 @@ function stringToBase64UTF8(str) {
   return arrayBufferToBase64(stringToArrayBuffer(str));
 }
 
+/**
+ * Convert the base64 representation of UTF-8-encoded bytes into a Unicode
+ * string. This is the inverse of
+ * [stringToBase64UTF8]{@link module:sasl-utils.stringToBase64UTF8}.
+ *
+ * @param {String} str The base64-encoded string.
+ * @returns {String}   The decoded string.
+ * @alias module:sasl-utils.base64UTF8ToString
+ */
+function base64UTF8ToString(str) {
+  return new TextDecoder("UTF-8").decode(base64ToArrayBuffer(str));
+}
+
 /**
  * Convert a Unicode string into a Uint8Array of its UTF-8-encoded bytes.
  *
@@ -97,10 +519,12 @@ function arrayBufferToBase64(buf) {
  *
  * @param {String} str   The base64-encoded string.
  * @returns {Uint8Array} The decoded array buffer.
+ * @throws {SaslError}   If the string is not valid base64 (with the code
+ *                       INVALID_BASE64).
  * @alias module:sasl-utils.base64ToArrayBuffer
  */
 function base64ToArrayBuffer(str) {
-  str = atob(str);
+  str = base64ToBinaryString(str);
   var buf = new Uint8Array(str.length);
   for (var i = 0; i < str.length; i++)
     buf[i] = str.charCodeAt(i);
@@ -108,21 +532,38 @@ function base64ToArrayBuffer(str) {
 }
 
 /**
- * Convert a string containing base64-encoded data into a Uint8Array containing
- * that data.
+ * Convert a string containing base64-encoded data into a binary string
+ * containing that data (i.e., one character per byte).
  *
  * @param {String} str The base64-encoded string.
  * @returns {String}   The resulting base64-decoded string.
+ * @throws {SaslError} If the string is not valid base64 (with the code
+ *                     INVALID_BASE64).
  * @alias module:sasl-utils.base64ToBinaryString
  */
 function base64ToBinaryString(str) {
+  // Not all implementations of atob reject invalid input (and the one we use
+  // on Node.js ignores it), so we check it ourselves.
+  if (!/^(?:[A-Za-z0-9+\/]{4})*(?:[A-Za-z0-9+\/]{2}==|[A-Za-z0-9+\/]{3}=)?$/
+      .test(str))
+    throw new SaslError(SaslError.INVALID_BASE64, "Invalid base64 data");
   return atob(str);
 }
 
 return {
+  SaslError: SaslError,
+  StringPrepError: StringPrepError,
   arrayBufferToBase64: arrayBufferToBase64,
   base64ToArrayBuffer: base64ToArrayBuffer,
   base64ToBinaryString: base64ToBinaryString,
+  base64UTF8ToString: base64UTF8ToString,
+  decodeSaslName: decodeSaslName,
+  encodeSaslName: encodeSaslName,
+  precisOpaqueString: precisOpaqueString,
+  precisUsernameCaseMapped: precisUsernameCaseMapped,
+  preparePassword: preparePassword,
+  prepareUsername: prepareUsername,
+  resolveCredential: resolveCredential,
   saslPrep: saslPrep,
   stringToArrayBuffer: stringToArrayBuffer,
   stringToBase64UTF8: stringToBase64UTF8,
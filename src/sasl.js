@@ -4,15 +4,22 @@
  */
 (function (root, factory) {
   if (typeof define === 'function' && define.amd) {
-    define(['./sasl-utils', './sasl-cram'], factory);
+    define(['./sasl-utils', './sasl-crypto', './sasl-cram', './sasl-server',
+      './sasl-protocols', './sasl-memory'], factory);
   } else if (typeof exports === 'object') {
-    module.exports = factory(require('./sasl-utils'), require('./sasl-cram'));
+    module.exports = factory(require('./sasl-utils'), require('./sasl-crypto'),
+      require('./sasl-cram'), require('./sasl-server'),
+      require('./sasl-protocols'), require('./sasl-memory'));
   } else {
-    root.sasl = factory(root.saslUtils, root.saslCram);
+    root.sasl = factory(root.saslUtils, root.saslCrypto, root.saslCram,
+      root.saslServer, root.saslProtocols, root.saslMemory);
   }
-}(this, function (saslUtils, saslCram) {
+}(this, function (saslUtils, saslCrypto, saslCram, saslServer, saslProtocols,
+    saslMemory) {
 "use strict";
 
+const SaslError = saslUtils.SaslError;
+
 /**
  * A class to run the SASL authentication procedures. This class handles the
  * responsibility both of negotiating the SASL mechanism to use (via
@@ -27,8 +34,40 @@
  * @param {Object} options     An options dictionary. See the particular
  *                             mechanism for documentation about which
  *                             parameters are needed and which are optional.
- * @param {String} options.user The username to use for authentication.
- * @param {String} options.pass The password to use for authentication.
+ * @param {String|Function} options.user The username to use for
+ *                             authentication.
+ * @param {String|Function} options.pass The password to use for
+ *                             authentication.
+ * @param {String|Function} [options.oauthbearer] The OAuth 2.0 bearer token,
+ *                             for the XOAUTH2 and OAUTHBEARER mechanisms.
+ *                             These credentials may be given as functions
+ *                             that return the value (or a Promise for it),
+ *                             which are only called when a mechanism needs
+ *                             the credential, and at most once.
+ * @param {Function} [options.refreshToken] A function returning a Promise for
+ *                             a new bearer token, which is called (with the
+ *                             server's error) when the server rejects the
+ *                             token as invalid or expired. The mechanism is
+ *                             then retried once with the new token. This only
+ *                             applies to [authenticate]{@link
+ *                             module:sasl~Authenticator#authenticate}; when
+ *                             the steps are driven with tryNextAuth and
+ *                             authStep, the function is not called.
+ * @param {String} [options.authzid] The authorization identity, if it differs
+ *                             from the authentication identity. Mechanisms
+ *                             that cannot send an authorization identity are
+ *                             not used if this is present.
+ * @param {Boolean} [options.clientCertificate] Whether the connection is
+ *                             authenticated with a TLS client certificate,
+ *                             which enables the EXTERNAL mechanism.
+ * @param {Number} [options.port] The port the server is connected on, which
+ *                             some mechanisms (e.g., OAUTHBEARER) send to the
+ *                             server.
+ * @param {String|Object} [options.stringPrep] The string preparation profile
+ *                             to apply to usernames and passwords: "saslprep"
+ *                             (the default), "precis", or "none". An object
+ *                             maps mechanism names to profiles, with the
+ *                             "default" key used for unlisted mechanisms.
  * @param {String[]|String} options.desiredAuthMethods
  *                             If present, this overrides the default
  *                             authentication method list for which methods are
@@ -37,6 +76,52 @@
  *                             Alternatively, the value "encrypted" selects only
  *                             methods that do challenge-response password-based
  *                             authentication (e.g., CRAM-MD5, SCRAM-SHA-1).
+ * @param {Object} [options.securityPolicy] The security properties that the
+ *                             mechanisms must have. The properties are
+ *                             noPlaintext (no mechanisms that send plaintext
+ *                             credentials, unless options.transportSecure is
+ *                             true), noAnonymous, noDictionary (only
+ *                             mechanisms that resist offline dictionary
+ *                             attacks), mutualAuth, and channelBinding. With a
+ *                             policy, mechanisms that send plaintext
+ *                             credentials are also tried last over an
+ *                             insecure transport.
+ * @param {Boolean} [options.transportSecure] Whether the connection to the
+ *                             server is protected by TLS.
+ * @param {Number|Object} [options.maxSteps] The maximum number of server
+ *                             challenges a mechanism may receive (10 by
+ *                             default). An object maps mechanism names to
+ *                             limits, as for stringPrep.
+ * @param {Number|Object} [options.maxChallengeLength] The maximum length of a
+ *                             base64-encoded server challenge (65536 by
+ *                             default), or an object mapping mechanism names
+ *                             to limits.
+ * @param {Function} [options.trace] If present, a function that is called with
+ *                             each line of a human-readable trace of the
+ *                             authentication. Secrets are redacted from the
+ *                             trace.
+ * @param {Number|Object} [options.stepTimeout] The time (in milliseconds)
+ *                             after which a step of a mechanism fails with a
+ *                             TIMEOUT error (none by default), or an object
+ *                             mapping mechanism names to times.
+ * @param {Object} [options.crypto] The crypto provider that the mechanisms
+ *                             use for hashes and random values, instead of
+ *                             the default provider (see
+ *                             [setCryptoProvider]{@link
+ *                             module:sasl.setCryptoProvider}).
+ * @param {Boolean} [options.scramWorker] Whether SCRAM mechanisms may derive
+ *                             their keys from the password in a worker, so
+ *                             that a high iteration count does not block the
+ *                             calling thread (true by default). The worker is
+ *                             only used with crypto providers that wrap the
+ *                             platform's own crypto.
+ * @param {MechanismMemory} [options.mechanismMemory] A memory of the
+ *                             mechanisms that succeeded and failed with
+ *                             servers. The mechanism that last succeeded with
+ *                             this server and user is tried first, and those
+ *                             that failed since are tried last; the outcome
+ *                             of each attempt is recorded. The memory is not
+ *                             used if options.user is a function.
  */
 class Authenticator {
   constructor(serviceName, hostname, supportedMechanisms, options) {
@@ -54,7 +139,11 @@ class Authenticator {
 
     this.service = serviceName;
     this.hostname = hostname;
-    this.options = options || {};
+    this.options = Object.assign({}, options);
+    for (let name of ["user", "pass", "oauthbearer"]) {
+      if (typeof this.options[name] == "function")
+        this.options[name] = memoizeCredential(this.options[name]);
+    }
 
     // Choose the methods to try in order. The list is reversed, since we pop
     // off in #tryNextAuth below.
@@ -66,7 +155,87 @@ class Authenticator {
 
     this._authMethods = authMethods.filter(
       m => supportedMechanisms.indexOf(m) >= 0);
+    // A server that offers a -PLUS mechanism supports channel binding, which
+    // the SCRAM mechanisms without it must know (see §6 of RFC 5802).
+    this._serverSupportsChannelBinding =
+      supportedMechanisms.some(m => /^SCRAM-.*-PLUS$/.test(m));
+    let memory = this.options.mechanismMemory;
+    if (memory && typeof this.options.user != "function") {
+      this._authMethods = memory.sortMechanisms(this.service, this.hostname,
+        this.options.user, this._authMethods);
+    }
+    // Under a security policy, mechanisms that would expose the credentials to
+    // eavesdroppers are only tried after all the others.
+    if (this.options.securityPolicy && !this.options.transportSecure) {
+      let isPlaintext = m => securityProperties(m).plaintext;
+      this._authMethods = this._authMethods.filter(m => !isPlaintext(m))
+        .concat(this._authMethods.filter(isPlaintext));
+    }
     this._authMethods.reverse();
+
+    this._listeners = {};
+    /**
+     * Whether the server rejected the credentials (see [authFailed]{@link
+     * module:sasl~Authenticator#authFailed}).
+     * @type {Boolean}
+     */
+    this.credentialsRejected = false;
+    if (this.options.trace)
+      addTraceListeners(this, this.options.trace);
+    if (memory && typeof this.options.user != "function")
+      addMemoryListeners(this, memory);
+  }
+
+  /**
+   * Add a listener for an authentication event. The listener is called with
+   * an object describing the event, whose mechanism property is the name of the
+   * mechanism concerned. The events are:
+   * * skipped: the mechanism is not usable (e.g., because the credentials it
+   *   needs are missing). The reason property describes why.
+   * * started: an attempt to authenticate with the mechanism has begun.
+   * * sent, received: a client response or server challenge was exchanged.
+   *   The data property contains the base64-encoded message, and the trace
+   *   property a decoded form of it, with any secrets redacted.
+   * * failed: the attempt failed. The error property contains the error, or
+   *   null if the server rejected the authentication, and the outcome
+   *   property how it failed (see [authFailed]{@link
+   *   module:sasl~Authenticator#authFailed}), or null if it is not known.
+   * * succeeded: the attempt succeeded.
+   *
+   * @param {String} event      The name of the event.
+   * @param {Function} listener The function to call.
+   * @returns {Authenticator} This object.
+   */
+  on(event, listener) {
+    if (!this._listeners[event])
+      this._listeners[event] = [];
+    this._listeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener added with [on]{@link module:sasl~Authenticator#on}.
+   *
+   * @param {String} event      The name of the event.
+   * @param {Function} listener The function to remove.
+   * @returns {Authenticator} This object.
+   */
+  off(event, listener) {
+    let listeners = this._listeners[event] || [];
+    let index = listeners.indexOf(listener);
+    if (index >= 0)
+      listeners.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Call the listeners of an event.
+   * @private
+   */
+  _emit(event, detail) {
+    detail.mechanism = this._currentAuthMethod;
+    for (let listener of (this._listeners[event] || []).slice())
+      listener(detail);
   }
 
   /**
@@ -80,49 +249,551 @@ class Authenticator {
    *                   above.
    */
   tryNextAuth() {
-    // Do we have another auth method left to try?
-    while (this._authMethods.length != 0) {
+    // Do we have another auth method left to try? Any steps of the previous
+    // mechanism are abandoned. Once the server has rejected the credentials,
+    // trying them with other mechanisms only adds failed logins.
+    if (this._attempt) {
+      this._cancelAttempt(new SaslError(SaslError.ABORTED,
+        "The authentication was abandoned"));
+    }
+    while (this._authMethods.length != 0 && !this.credentialsRejected) {
       this._currentAuthMethod = this._authMethods.pop();
       let authClass = saslModules[this._currentAuthMethod];
+      let violation = this._policyViolation(this._currentAuthMethod);
+      if (violation) {
+        this._authModule = null;
+        this._emit("skipped", {reason: violation});
+        continue;
+      }
       this._authModule = new (authClass)(this.service, this.hostname,
-        this.options);
-      if (!this._authModule.isValid())
+        this._mechanismOptions(this._currentAuthMethod));
+      if (!this._authModule.isValid()) {
+        this._emit("skipped", {
+          reason: this._authModule.invalidReason ?
+            this._authModule.invalidReason() :
+            "The credentials the mechanism requires are not available",
+        });
         continue;
+      }
 
+      this._attemptDone = false;
+      this._attempt = {cancelled: null, cancelStep: null};
+      this._stepCounts = {sent: 0, received: 0};
+      this._limits = {
+        maxSteps: optionForMechanism(this.options.maxSteps,
+          this._currentAuthMethod) || defaultLimits.maxSteps,
+        maxChallengeLength: optionForMechanism(this.options.maxChallengeLength,
+          this._currentAuthMethod) || defaultLimits.maxChallengeLength,
+      };
+      this._emit("started", {});
       return [this._currentAuthMethod, authClass.isClientFirst];
     }
 
     // Reset auth parameters
     this._authModule = null;
-    this._authSteps = null;
+    this._attempt = null;
     this._currentAuthMethod = '';
 
     return null;
   }
 
+  /**
+   * Check a mechanism against the security policy.
+   * @returns {?String} Why the policy forbids the mechanism, or null if it
+   *                    does not.
+   * @private
+   */
+  _policyViolation(mechanism) {
+    let policy = this.options.securityPolicy;
+    if (!policy)
+      return null;
+    let properties = securityProperties(mechanism);
+    if (policy.noAnonymous && properties.anonymous)
+      return "The security policy forbids anonymous mechanisms";
+    if (policy.noPlaintext && properties.plaintext &&
+        !this.options.transportSecure)
+      return "The security policy forbids sending plaintext credentials " +
+        "over an insecure transport";
+    if (policy.noDictionary && !properties.dictionaryResistant)
+      return "The security policy requires resistance to dictionary attacks";
+    if (policy.mutualAuth && !properties.mutualAuth)
+      return "The security policy requires mutual authentication";
+    if (policy.channelBinding && !properties.channelBinding)
+      return "The security policy requires channel binding";
+    return null;
+  }
+
+  /**
+   * Compute the options to pass to a mechanism's module. This resolves the
+   * per-mechanism forms of options (currently only stringPrep), and adds
+   * serverSupportsChannelBinding, which says whether the server offered a
+   * -PLUS mechanism.
+   * @private
+   */
+  _mechanismOptions(mechanism) {
+    let options = Object.assign({}, this.options, {
+      serverSupportsChannelBinding: this._serverSupportsChannelBinding,
+    });
+    let stringPrep = this.options.stringPrep;
+    if (stringPrep && typeof stringPrep != "string")
+      options.stringPrep = optionForMechanism(stringPrep, mechanism);
+    return options;
+  }
+
   /**
    * Perform a single authentication step. For a client initial-response, pass
    * in the empty string as the server's first challenge. All values are
    * expected to be base64-encoded strings, which means no translation is
    * necessary when using IMAP, SMTP, or similar protocols (except for stripping
    * CRLF or protocol tags).
+   *
+   * The mechanism's executeSteps may be either a generator (which may yield
+   * Promises) or an async generator. Any error raised by the mechanism rejects
+   * the returned Promise, and ends the attempt as failed.
+   *
+   * A step that is aborted (through the signal, or with [abort]{@link
+   * module:sasl~Authenticator#abort}) or that times out rejects with an
+   * ABORTED or TIMEOUT error, and ends the attempt: the mechanism is closed,
+   * and the exchange should be cancelled. Work that cannot be interrupted
+   * (e.g., a PBKDF2 computation) still runs to completion, but its result is
+   * discarded.
    * @param {String} serverStep The base64-encoded server challenge.
+   * @param {Object} [options]  Options for this step.
+   * @param {AbortSignal} [options.signal] A signal that aborts the step.
+   * @param {Number} [options.timeout] The time (in milliseconds) after which
+   *                            the step fails, instead of the stepTimeout
+   *                            option of the authenticator.
    * @returns {Promise<String>} The base64-encoded client response.
    */
-  authStep(serverStep) {
+  async authStep(serverStep, options) {
+    if (!this._currentAuthMethod)
+      throw new SaslError(SaslError.NO_MECHANISM,
+        "No authentication mechanism is in progress");
+    let attempt = this._attempt;
+    if (attempt.cancelled)
+      throw attempt.cancelled;
+    options = options || {};
+    try {
+      if (options.signal && options.signal.aborted)
+        throw abortError();
+      return await this._cancellable(this._step(serverStep, attempt),
+        attempt, options);
+    } catch (e) {
+      // If the attempt was abandoned while the step ran, the authenticator
+      // may have moved on to the next mechanism, which is left alone.
+      if (this._attempt === attempt) {
+        if (e.code == SaslError.ABORTED || e.code == SaslError.TIMEOUT)
+          this._cancelAttempt(e);
+        this.authFailed(e);
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Abort the current attempt: any step in progress is rejected with an
+   * ABORTED error, and the mechanism is closed. The authenticator is then
+   * ready for the next mechanism ([tryNextAuth]{@link
+   * module:sasl~Authenticator#tryNextAuth}).
+   *
+   * @returns {?String} The token that cancels the exchange ("*"), which the
+   *                    caller should send to the server (in the form the
+   *                    protocol requires) if it has started the exchange, or
+   *                    null if no attempt was in progress.
+   */
+  abort() {
+    if (!this._attempt || this._attemptDone)
+      return null;
+    let error = abortError();
+    this._cancelAttempt(error);
+    this.authFailed(error);
+    return "*";
+  }
+
+  /**
+   * End the current attempt with an error: the step in progress (if any) is
+   * rejected, later steps are rejected, and the mechanism is closed.
+   * @private
+   */
+  _cancelAttempt(error) {
+    let attempt = this._attempt;
+    if (!attempt.cancelled)
+      attempt.cancelled = error;
+    if (attempt.cancelStep)
+      attempt.cancelStep(error);
+    let steps = this._authSteps;
+    this._authSteps = null;
+    if (steps) {
+      // An async generator that is still running is closed once its pending
+      // step completes.
+      Promise.resolve().then(() => steps.return()).catch(() => {});
+    }
+  }
+
+  /**
+   * Return a Promise for the result of a step, which is rejected early if the
+   * step is aborted or times out.
+   * @private
+   */
+  _cancellable(promise, attempt, options) {
+    let signal = options.signal;
+    let timeout = options.timeout !== undefined ? options.timeout :
+      optionForMechanism(this.options.stepTimeout, this._currentAuthMethod);
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let onAbort = () => attempt.cancelStep(abortError());
+      let cleanup = () => {
+        clearTimeout(timer);
+        if (signal)
+          signal.removeEventListener("abort", onAbort);
+        attempt.cancelStep = null;
+      };
+      attempt.cancelStep = error => {
+        cleanup();
+        reject(error);
+      };
+      if (timeout) {
+        timer = setTimeout(() => attempt.cancelStep(new SaslError(
+          SaslError.TIMEOUT, "The authentication step timed out")), timeout);
+      }
+      if (signal)
+        signal.addEventListener("abort", onAbort);
+      promise.then(value => {
+        cleanup();
+        resolve(value);
+      }, error => {
+        cleanup();
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Run the next step of the mechanism, emitting the messages exchanged.
+   * Nothing is emitted once the attempt has been cancelled.
+   * @private
+   */
+  async _step(serverStep, attempt) {
+    // The empty challenge of a client initial response is not a message from
+    // the server.
+    if (this._authSteps || serverStep ||
+        !this._authModule.constructor.isClientFirst) {
+      if (this._stepCounts.received >= this._limits.maxSteps)
+        throw new SaslError(SaslError.TOO_MANY_STEPS, "Too many steps");
+      if (serverStep.length > this._limits.maxChallengeLength) {
+        throw new SaslError(SaslError.CHALLENGE_TOO_LARGE,
+          "Server challenge is too large");
+      }
+      this._emitStep("received", serverStep);
+    }
+
     let result;
-    if (this._currentAuthMethod && !this._authSteps) {
+    if (!this._authSteps) {
       this._authSteps = this._authModule.executeSteps(serverStep);
-      result = this._authSteps.next();
+      result = await this._authSteps.next();
     } else {
-      result = this._authSteps.next(serverStep);
+      result = await this._authSteps.next(serverStep);
     }
     if (result.done)
-      return Promise.reject(new Error("Too many steps"));
-    return Promise.resolve(result.value);
+      throw new SaslError(SaslError.TOO_MANY_STEPS, "Too many steps");
+    let response = await result.value;
+    if (attempt.cancelled)
+      throw attempt.cancelled;
+    this._emitStep("sent", response);
+    return response;
+  }
+
+  /**
+   * Emit a sent or received event for a message of the exchange.
+   * @private
+   */
+  _emitStep(event, data) {
+    let index = this._stepCounts[event]++;
+    if (!this._listeners[event] || this._listeners[event].length == 0)
+      return;
+    this._emit(event, {
+      data: data,
+      trace: describeStep(this._authModule, data, event == "sent", index),
+    });
+  }
+
+  /**
+   * Report that the server accepted the authentication with the current
+   * mechanism. This emits the succeeded event; it is called by
+   * [authenticate]{@link module:sasl~Authenticator#authenticate}, so only
+   * callers that run the exchange themselves need to call it.
+   */
+  authSucceeded() {
+    if (!this._currentAuthMethod || this._attemptDone)
+      return;
+    this._attemptDone = true;
+    this._emit("succeeded", {});
+  }
+
+  /**
+   * Report that the authentication with the current mechanism failed. This
+   * emits the failed event, unless it has already been emitted for this
+   * attempt (e.g., because authStep was rejected).
+   *
+   * The outcome says how the attempt failed, as far as the server's reply
+   * tells (see, e.g., [classifyImapFailure]{@link
+   * module:sasl.classifyImapFailure}):
+   * * credentials: the server rejected the credentials. No other mechanism is
+   *   tried afterwards (tryNextAuth returns null), since they would fail too
+   *   and could get the account locked.
+   * * mechanism: the mechanism cannot be used with this server.
+   * * unavailable: the server cannot authenticate anyone for now.
+   * If the outcome is not given, it is taken from the outcome property of the
+   * error, if there is one (e.g., for the SCRAM invalid-proof error).
+   *
+   * @param {Error} [error]     The reason for the failure, if it is not simply
+   *                            that the server rejected the authentication.
+   * @param {String} [outcome]  How the attempt failed, as described above.
+   */
+  authFailed(error, outcome) {
+    if (!this._currentAuthMethod || this._attemptDone)
+      return;
+    this._attemptDone = true;
+    outcome = outcome || (error && error.outcome) || null;
+    if (outcome == "credentials")
+      this.credentialsRejected = true;
+    this._emit("failed", {error: error || null, outcome: outcome});
+  }
+
+  /**
+   * Run the entire authentication, trying each mechanism in turn until one
+   * succeeds.
+   *
+   * The transport carries the exchange over the protocol in use. It has a
+   * supportsInitialResponse property, which says whether an initial response
+   * may be sent, and three methods, each of which returns a Promise for the
+   * server's reply:
+   * * start(mechanism, initialResponse) starts an exchange, where the initial
+   *   response is null if none is to be sent.
+   * * respond(response) sends a response to a challenge.
+   * * cancel() cancels the exchange.
+   * The server's reply is an object whose type is "continuation" (for a
+   * challenge, whose base64-encoded value is in data), "success" (optionally
+   * with additional data in data), or "failure" (optionally with the outcome
+   * of the failure in outcome, as for [authFailed]{@link
+   * module:sasl~Authenticator#authFailed}).
+   *
+   * @param {Object} transport The transport, as described above.
+   * @param {Object} [options]  Options for the steps, as for [authStep]{@link
+   *                            module:sasl~Authenticator#authStep}. Once the
+   *                            signal is aborted, the exchange is cancelled,
+   *                            and no other mechanism is tried. A step that
+   *                            times out cancels the exchange, and the next
+   *                            mechanism is tried.
+   * @returns {Promise<String>} The name of the mechanism that succeeded. The
+   *                            Promise is rejected if none did, with the
+   *                            CREDENTIALS_REJECTED code if the server
+   *                            rejected the credentials, or with the ABORTED
+   *                            code if the signal was aborted.
+   */
+  async authenticate(transport, options) {
+    let method;
+    let refreshed = false;
+    while ((method = this.tryNextAuth()) != null) {
+      if (await this._runMechanism(transport, method[0], method[1], options))
+        return method[0];
+      // If the server rejected the token, retry the mechanism once with a new
+      // one.
+      if (!refreshed && this._authModule.invalidToken &&
+          this.options.refreshToken) {
+        refreshed = true;
+        if (await this._refreshToken()) {
+          // The rejected credentials have been replaced.
+          this.credentialsRejected = false;
+          this._authMethods.push(method[0]);
+        }
+      }
+    }
+    if (this.credentialsRejected) {
+      throw new SaslError(SaslError.CREDENTIALS_REJECTED,
+        "The server rejected the credentials");
+    }
+    throw new SaslError(SaslError.AUTHENTICATION_FAILED,
+      "Authentication failed");
+  }
+
+  /**
+   * Replace the bearer token with a new one from the refreshToken option.
+   * @returns {Promise<Boolean>} Whether a new token was obtained.
+   * @private
+   */
+  async _refreshToken() {
+    let token;
+    try {
+      token = await this.options.refreshToken(this._authModule.serverError);
+    } catch (e) {
+      // Without a new token, we simply fall back to the next mechanism.
+      return false;
+    }
+    if (!token)
+      return false;
+    this.options.oauthbearer = token;
+    return true;
+  }
+
+  /**
+   * Run a single mechanism over a transport.
+   * @returns {Promise<Boolean>} Whether the mechanism succeeded.
+   * @private
+   */
+  async _runMechanism(transport, mechanism, clientFirst, options) {
+    let initialResponse = null;
+    if (clientFirst && transport.supportsInitialResponse) {
+      try {
+        initialResponse = await this.authStep("", options);
+      } catch (e) {
+        if (e.code == SaslError.ABORTED)
+          throw e;
+        // If we can't even produce the initial response (e.g., because the
+        // credentials are unusable), the mechanism is skipped.
+        return false;
+      }
+    }
+
+    let reply = await transport.start(mechanism, initialResponse);
+    while (reply.type == "continuation") {
+      let response;
+      try {
+        response = await this.authStep(reply.data, options);
+      } catch (e) {
+        // The challenge is unacceptable, so cancel the exchange. The server
+        // then reports a failure.
+        await transport.cancel();
+        if (e.code == SaslError.ABORTED)
+          throw e;
+        return false;
+      }
+      reply = await transport.respond(response);
+    }
+
+    if (reply.type != "success") {
+      this.authFailed(null, reply.outcome);
+      return false;
+    }
+    // Any additional data with the success (e.g., the SCRAM server signature)
+    // must still be verified.
+    if (reply.data)
+      await this.authStep(reply.data, options);
+    // A mechanism that authenticates the server has not done so until it has
+    // checked the server's proof, which a success alone is not.
+    let module = this._authModule;
+    if (module.isComplete && !module.isComplete()) {
+      let error = new SaslError(SaslError.SIGNATURE_MISMATCH,
+        "The server did not prove its identity");
+      this.authFailed(error);
+      throw error;
+    }
+    this.authSucceeded();
+    return true;
+  }
+}
+
+const defaultLimits = {
+  maxSteps: 10,
+  maxChallengeLength: 65536,
+};
+
+/**
+ * Create the error of an aborted step.
+ */
+function abortError() {
+  return new SaslError(SaslError.ABORTED, "The authentication was aborted");
+}
+
+/**
+ * Resolve an option that may either be a single value, or an object mapping
+ * mechanism names to values (with the "default" key used for unlisted
+ * mechanisms).
+ */
+function optionForMechanism(value, mechanism) {
+  if (!value || typeof value != "object")
+    return value;
+  return mechanism in value ? value[mechanism] : value.default;
+}
+
+/**
+ * Return the security properties declared by a mechanism's module. Modules
+ * that do not declare them are assumed to have none of the properties.
+ */
+function securityProperties(mechanism) {
+  let module = saslModules[mechanism];
+  return (module && module.securityProperties) || {};
+}
+
+/**
+ * Wrap a credential callback so that it is called at most once, however many
+ * mechanisms need the credential.
+ */
+function memoizeCredential(callback) {
+  let result;
+  return () => result || (result = Promise.resolve().then(() => callback()));
+}
+
+const REDACTED = "[redacted]";
+
+/**
+ * Decode a message of the exchange for a trace. Secrets are redacted by the
+ * module's redact method; the client messages of modules without one are
+ * redacted entirely.
+ */
+function describeStep(module, data, sent, index) {
+  let message;
+  try {
+    message = saslUtils.base64ToBinaryString(data);
+  } catch (e) {
+    return "(invalid base64) " + data;
   }
+  if (module.redact)
+    message = module.redact(message, sent, index);
+  else if (sent && message)
+    message = REDACTED;
+  return message.replace(/[^\x20-\x7e]/g,
+    c => "\\x" + ("0" + c.charCodeAt(0).toString(16)).slice(-2));
 }
 
+/**
+ * Record the outcome of each attempt of an authenticator, for the
+ * mechanismMemory option.
+ */
+function addMemoryListeners(authenticator, memory) {
+  let service = authenticator.service;
+  let hostname = authenticator.hostname;
+  let user = authenticator.options.user;
+  authenticator.on("succeeded", event => {
+    memory.recordSuccess(service, hostname, user, event.mechanism);
+  }).on("failed", event => {
+    // Only failures of the mechanism itself say anything about the mechanism.
+    let aborted = event.error && event.error.code == SaslError.ABORTED;
+    if (event.outcome != "credentials" && event.outcome != "unavailable" &&
+        !aborted)
+      memory.recordFailure(service, hostname, user, event.mechanism);
+  });
+}
+
+/**
+ * Log the events of an authenticator as lines of text, for the trace option.
+ */
+function addTraceListeners(authenticator, trace) {
+  authenticator.on("skipped", event => {
+    trace("* Skipping " + event.mechanism + ": " + event.reason);
+  }).on("started", event => {
+    trace("* Trying " + event.mechanism);
+  }).on("sent", event => {
+    trace("C: " + event.trace);
+  }).on("received", event => {
+    trace("S: " + event.trace);
+  }).on("failed", event => {
+    trace("* " + event.mechanism + " failed: " +
+      (event.error ? event.error.message : "rejected by the server"));
+  }).on("succeeded", event => {
+    trace("* " + event.mechanism + " succeeded");
+  });
+}
 
 let saslModules = {};
 
@@ -148,19 +819,33 @@ class AuthPlainModule {
   constructor(server, hostname, options) {
     this.user = options.user;
     this.pass = options.pass;
+    this.authzid = options.authzid || "";
+    this.stringPrep = options.stringPrep;
   }
 
   isValid() {
     return this.user && this.pass;
   }
 
-  *executeSteps() {
-    let message = "\0" + saslUtils.saslPrep(this.user) + "\0" +
-      saslUtils.saslPrep(this.pass);
+  async *executeSteps() {
+    let user = await saslUtils.resolveCredential(this.user, "user name");
+    let pass = await saslUtils.resolveCredential(this.pass, "password");
+    // The authzid is not SASLprep'd (see §2 of RFC 4616).
+    let message = this.authzid + "\0" +
+      saslUtils.prepareUsername(user, this.stringPrep) + "\0" +
+      saslUtils.preparePassword(pass, this.stringPrep);
     yield saslUtils.stringToBase64UTF8(message);
   }
+
+  redact(message, sent) {
+    let parts = message.split("\0");
+    if (sent && parts.length == 3)
+      parts[2] = REDACTED;
+    return parts.join("\0");
+  }
 }
 AuthPlainModule.isClientFirst = true;
+AuthPlainModule.securityProperties = {plaintext: true};
 addSaslModule("PLAIN", AuthPlainModule);
 
 /**
@@ -172,19 +857,37 @@ class AuthLoginModule {
   constructor(server, hostname, options) {
     this.user = options.user;
     this.pass = options.pass;
+    this.authzid = options.authzid;
+    this.stringPrep = options.stringPrep;
   }
 
   isValid() {
-    return this.user && this.pass;
+    // There is no way to send an authorization identity.
+    return this.user && this.pass && !this.authzid;
   }
 
-  *executeSteps() {
+  invalidReason() {
+    return this.authzid ? "LOGIN cannot send an authorization identity" :
+      "A user name and password are required";
+  }
+
+  async *executeSteps() {
     // Ignore what the server sends.
-    yield saslUtils.stringToBase64UTF8(saslUtils.saslPrep(this.user));
-    yield saslUtils.stringToBase64UTF8(saslUtils.saslPrep(this.pass));
+    let user = await saslUtils.resolveCredential(this.user, "user name");
+    yield saslUtils.stringToBase64UTF8(
+      saslUtils.prepareUsername(user, this.stringPrep));
+    let pass = await saslUtils.resolveCredential(this.pass, "password");
+    yield saslUtils.stringToBase64UTF8(
+      saslUtils.preparePassword(pass, this.stringPrep));
+  }
+
+  redact(message, sent, index) {
+    // The second response is the password.
+    return sent && index == 1 ? REDACTED : message;
   }
 }
 AuthLoginModule.isClientFirst = false;
+AuthLoginModule.securityProperties = {plaintext: true};
 addSaslModule("LOGIN", AuthLoginModule);
 
 /**
@@ -195,22 +898,104 @@ addSaslModule("LOGIN", AuthLoginModule);
  */
 class AuthAnonModule {
   constructor(server, hostname, options) {
-    this.user = options.user || "";
+    this.user = options.user;
+    this.authzid = options.authzid;
   }
 
   isValid() {
-    return true;
+    // The trace information is not an authorization identity, so we can't
+    // send one of those.
+    return !this.authzid;
   }
 
-  *executeSteps() {
+  invalidReason() {
+    return "ANONYMOUS cannot send an authorization identity";
+  }
+
+  async *executeSteps() {
     // No SASLprep--the user is really an authzid here, and that's not
     // SASLprep'd (see §3 of RFC 4505 for more information).
-    yield saslUtils.stringToBase64UTF8(this.user);
+    let user = await saslUtils.resolveCredential(this.user);
+    yield saslUtils.stringToBase64UTF8(user || "");
+  }
+
+  redact(message) {
+    // The trace information is not secret.
+    return message;
   }
 }
 AuthAnonModule.isClientFirst = true;
+AuthAnonModule.securityProperties = {anonymous: true,
+  dictionaryResistant: true};
 addSaslModule("ANONYMOUS", AuthAnonModule);
 
+/**
+ * EXTERNAL SASL mechanism -- see RFC 4422, Appendix A for details. The client
+ * is authenticated by the transport (here, by a TLS client certificate), so
+ * the only thing sent is the authorization identity, if any.
+ * @private
+ */
+class AuthExternalModule {
+  constructor(server, hostname, options) {
+    this.clientCertificate = options.clientCertificate;
+    this.authzid = options.authzid || "";
+  }
+
+  isValid() {
+    return !!this.clientCertificate;
+  }
+
+  invalidReason() {
+    return "No client certificate is in use";
+  }
+
+  *executeSteps() {
+    // Any challenge (which should be empty) is ignored. If we have no
+    // authorization identity, the response is empty, in which case the server
+    // derives it from the certificate.
+    yield saslUtils.stringToBase64UTF8(this.authzid);
+  }
+
+  redact(message) {
+    // The authorization identity is not secret.
+    return message;
+  }
+}
+AuthExternalModule.isClientFirst = true;
+// The security of the mechanism is that of the TLS layer beneath it. Nothing
+// in the exchange proves the server's identity: that depends on whether the
+// caller verified the server's certificate, which the library cannot know.
+AuthExternalModule.securityProperties = {dictionaryResistant: true};
+addSaslModule("EXTERNAL", AuthExternalModule);
+
+/**
+ * Parse the JSON error challenge of XOAUTH2 or OAUTHBEARER, returning null if
+ * it is not valid.
+ */
+function parseTokenError(challenge) {
+  try {
+    return JSON.parse(saslUtils.base64ToBinaryString(challenge));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether an XOAUTH2 or OAUTHBEARER error says that the token is invalid (or
+ * expired), in which case a new token may succeed.
+ */
+function isInvalidTokenError(serverError) {
+  return !!serverError &&
+    (serverError.status == "401" || serverError.status == "invalid_token");
+}
+
+/**
+ * Redact the token from the auth field of an XOAUTH2 or OAUTHBEARER message.
+ */
+function redactBearerToken(message) {
+  return message.replace(/(auth=Bearer )[^\x01]*/, "$1" + REDACTED);
+}
+
 /**
  * XOAUTH2 SASL mechanism -- see
  * <https://developers.google.com/gmail/xoauth2_protocol> for details. This is
@@ -221,46 +1006,147 @@ class AuthXOAuth2Module {
   constructor(server, hostname, options) {
     this.user = options.user;
     this.bearer = options.oauthbearer;
+    this.authzid = options.authzid;
+    this.stringPrep = options.stringPrep;
   }
 
   isValid() {
     return this.user && this.bearer;
   }
 
-  *executeSteps() {
+  async *executeSteps() {
+    // The user field names the mailbox being accessed, while the token itself
+    // identifies who is authenticating. An authzid therefore replaces the user
+    // (this is how delegated access to shared mailboxes works).
+    let user = this.authzid || saslUtils.prepareUsername(
+      await saslUtils.resolveCredential(this.user, "user name"),
+      this.stringPrep);
+    let bearer = await saslUtils.resolveCredential(this.bearer, "token");
     let error = yield saslUtils.stringToBase64UTF8(
-      "user=" + saslUtils.saslPrep(this.user) + "\x01auth=Bearer " +
-      this.bearer + "\x01\x01");
+      "user=" + user + "\x01auth=Bearer " + bearer + "\x01\x01");
 
     // If we succeeded, the server sends a success message instead of a
-    // continuation, so we're only here if an error occurred. We still need to
-    // send an empty response, though.
+    // continuation, so we're only here if an error occurred. The challenge is a
+    // JSON object describing the error, and we still need to send an empty
+    // response.
+    this.serverError = parseTokenError(error);
+    this.invalidToken = isInvalidTokenError(this.serverError);
     yield "";
   }
+
+  redact(message) {
+    return redactBearerToken(message);
+  }
 }
 AuthXOAuth2Module.isClientFirst = true;
+// The bearer token is sent in the clear, but it is not derived from a password.
+AuthXOAuth2Module.securityProperties = {plaintext: true,
+  dictionaryResistant: true};
 addSaslModule("XOAUTH2", AuthXOAuth2Module);
 
+/**
+ * OAUTHBEARER SASL mechanism -- see RFC 7628 for details.
+ * @private
+ */
+class AuthOAuthBearerModule {
+  constructor(server, hostname, options) {
+    this.user = options.user;
+    this.bearer = options.oauthbearer;
+    this.authzid = options.authzid;
+    this.stringPrep = options.stringPrep;
+    this.hostname = hostname;
+    this.port = options.port;
+  }
+
+  isValid() {
+    return !!this.bearer;
+  }
+
+  async *executeSteps() {
+    // The authorization identity is optional, but most servers expect it to
+    // be the user whose mailbox is being accessed.
+    let gs2Header = "n,";
+    let user = this.authzid ? null :
+      await saslUtils.resolveCredential(this.user);
+    if (this.authzid) {
+      gs2Header += "a=" + saslUtils.encodeSaslName(this.authzid);
+    } else if (user) {
+      gs2Header += "a=" +
+        saslUtils.encodeSaslName(
+          saslUtils.prepareUsername(user, this.stringPrep));
+    }
+    gs2Header += ",";
+
+    let bearer = await saslUtils.resolveCredential(this.bearer, "token");
+    let message = gs2Header + "\x01host=" + this.hostname + "\x01";
+    if (this.port)
+      message += "port=" + this.port + "\x01";
+    message += "auth=Bearer " + bearer + "\x01\x01";
+    let error = yield saslUtils.stringToBase64UTF8(message);
+
+    // If we succeeded, the server sends a success message instead of a
+    // continuation, so we're only here if an error occurred. The challenge is a
+    // JSON object describing the error (see RFC 7628, §3.2.2), and we have to
+    // respond with a lone ^A to receive the final failure message.
+    this.serverError = parseTokenError(error);
+    this.invalidToken = isInvalidTokenError(this.serverError);
+    yield saslUtils.stringToBase64UTF8("\x01");
+  }
+
+  redact(message) {
+    return redactBearerToken(message);
+  }
+}
+AuthOAuthBearerModule.isClientFirst = true;
+AuthOAuthBearerModule.securityProperties = {plaintext: true,
+  dictionaryResistant: true};
+addSaslModule("OAUTHBEARER", AuthOAuthBearerModule);
+
 // Import the encrypted methods from sasl-cram.js.
 let encryptedMethods = [];
-for (let method in saslCram) {
-  addSaslModule(method, saslCram[method]);
+for (let method in saslCram.mechanisms) {
+  addSaslModule(method, saslCram.mechanisms[method]);
   encryptedMethods.push(method);
 }
 // The saslCram list comes in increasing order of security.
 encryptedMethods.reverse();
 
-// Build the desired authentication mechanism list. We prefer SSO mechanisms
-// first (since they'll be disabled if there's insufficient information), then
-// encrypted passwords, then unencrypted mechanisms.
-let desiredAuthMethods = ["XOAUTH2"].concat(encryptedMethods).concat([
-  "PLAIN", "LOGIN"
-]);
+// Build the desired authentication mechanism list. We prefer client
+// certificates and SSO mechanisms first (since they'll be disabled if there's
+// insufficient information), then encrypted passwords, then unencrypted
+// mechanisms.
+let desiredAuthMethods = ["EXTERNAL", "OAUTHBEARER", "XOAUTH2"]
+  .concat(encryptedMethods).concat(["PLAIN", "LOGIN"]);
 
 
 return {
   Authenticator: Authenticator,
+  ImapDriver: saslProtocols.ImapDriver,
+  ManageSieveDriver: saslProtocols.ManageSieveDriver,
+  MechanismMemory: saslMemory.MechanismMemory,
+  NodeCryptoProvider: saslCrypto.NodeCryptoProvider,
+  Pop3Driver: saslProtocols.Pop3Driver,
+  SaslError: saslUtils.SaslError,
+  ScramServerError: saslCram.ScramServerError,
+  ServerAuthenticator: saslServer.ServerAuthenticator,
+  SmtpDriver: saslProtocols.SmtpDriver,
+  StringPrepError: saslUtils.StringPrepError,
+  WebCryptoProvider: saslCrypto.WebCryptoProvider,
   addSaslModule: addSaslModule,
-  desiredAuthMethods: desiredAuthMethods
+  canonicalizeMechanisms: saslProtocols.canonicalizeMechanisms,
+  classifyImapFailure: saslProtocols.classifyImapFailure,
+  classifyManageSieveFailure: saslProtocols.classifyManageSieveFailure,
+  classifyPop3Failure: saslProtocols.classifyPop3Failure,
+  classifySmtpFailure: saslProtocols.classifySmtpFailure,
+  desiredAuthMethods: desiredAuthMethods,
+  deterministicRandom: saslCrypto.deterministicRandom,
+  getCryptoProvider: saslCrypto.getProvider,
+  makeSCRAMModule: saslCram.makeSCRAMModule,
+  parseImapCapabilities: saslProtocols.parseImapCapabilities,
+  parseManageSieveCapabilities: saslProtocols.parseManageSieveCapabilities,
+  parsePop3Capa: saslProtocols.parsePop3Capa,
+  parseSmtpEhlo: saslProtocols.parseSmtpEhlo,
+  parseXmppMechanisms: saslProtocols.parseXmppMechanisms,
+  setCryptoProvider: saslCrypto.setDefaultProvider
 };
 }));
@@ -1,5 +1,13 @@
 var assert = require("assert");
 var sasl = require("sasl");
+var saslutils = require("sasl-utils");
+
+// The platform's WebCrypto object. node.js only has it as a global from
+// version 19 on, and not at all before version 15, where the tests that need
+// it are skipped.
+var platformCrypto = typeof crypto !== "undefined" ? crypto :
+  require("crypto").webcrypto;
+var webCryptoTest = platformCrypto ? test : test.skip;
 
 function quickAuth(mechanism, opts) {
   return new sasl.Authenticator("imap", "localhost.localdomain",
@@ -17,6 +25,26 @@ function expectAndSend(auth, expected, send) {
   };
 }
 
+// A transport that plays a script of server replies, recording the calls.
+function scriptedTransport(replies, supportsInitialResponse) {
+  return {
+    supportsInitialResponse: supportsInitialResponse !== false,
+    calls: [],
+    start: function (mechanism, initialResponse) {
+      this.calls.push(["start", mechanism, initialResponse]);
+      return Promise.resolve(replies.shift());
+    },
+    respond: function (response) {
+      this.calls.push(["respond", response]);
+      return Promise.resolve(replies.shift());
+    },
+    cancel: function () {
+      this.calls.push(["cancel"]);
+      return Promise.resolve(replies.shift());
+    },
+  };
+}
+
 // Note: the test vectors for successful auth parameters are derived, wherever
 // possible, from the official test vectors in their specifications.
 
@@ -63,11 +91,27 @@ suite('sasl.Authenticator', function () {
     assert.equal(auth.tryNextAuth()[0], "PLAIN");
     assert.equal(auth.tryNextAuth(), null);
 
+    auth = makeAuth(["PLAIN", "DIGEST-MD5", "CRAM-MD5", "SCRAM-SHA-1"]);
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1");
+    assert.equal(auth.tryNextAuth()[0], "DIGEST-MD5");
+    assert.equal(auth.tryNextAuth()[0], "CRAM-MD5");
+    assert.equal(auth.tryNextAuth()[0], "PLAIN");
+    assert.equal(auth.tryNextAuth(), null);
+
     auth = makeAuth(["SCRAM-SHA-256", "SCRAM-SHA-1"]);
     assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256");
     assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1");
     assert.equal(auth.tryNextAuth(), null);
 
+    auth = makeAuth(["SCRAM-SHA-1", "SCRAM-SHA-256", "SCRAM-SHA-384",
+      "SCRAM-SHA-512", "SCRAM-SHA3-512"]);
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA3-512");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-512");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-384");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1");
+    assert.equal(auth.tryNextAuth(), null);
+
     auth = makeAuth(["XOAUTH2", "SCRAM-SHA-1", "PLAIN"]);
     assert.equal(auth.tryNextAuth()[0], "XOAUTH2");
     assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1");
@@ -88,6 +132,12 @@ suite('sasl.Authenticator', function () {
     auth = makeAuth(["XOAUTH2", "SCRAM-SHA-1", "PLAIN"], {});
     assert.equal(auth.tryNextAuth(), null);
 
+    auth = makeAuth(["XOAUTH2", "PLAIN", "OAUTHBEARER"]);
+    assert.equal(auth.tryNextAuth()[0], "OAUTHBEARER");
+    assert.equal(auth.tryNextAuth()[0], "XOAUTH2");
+    assert.equal(auth.tryNextAuth()[0], "PLAIN");
+    assert.equal(auth.tryNextAuth(), null);
+
     // Why would you ever do this? ... Oh well.
     auth = makeAuth(["SCRAM-SHA-1", "PLAIN"],
       {user: "a", pass: "b", desiredAuthMethods: ["PLAIN", "SCRAM-SHA-1"]});
@@ -123,6 +173,789 @@ suite('sasl.Authenticator', function () {
   });
 });
 
+suite('Asynchronous API', function () {
+  // A mechanism implemented as an async generator, which checks that the
+  // server echoes its first message.
+  class EchoModule {
+    constructor(server, hostname, options) {
+      this.token = options.echoToken;
+    }
+    isValid() {
+      return !!this.token;
+    }
+    async *executeSteps() {
+      let echo = yield this.token;
+      await Promise.resolve();
+      if (echo != this.token)
+        throw new Error("Server did not echo");
+      yield "";
+    }
+  }
+  EchoModule.isClientFirst = true;
+  sasl.addSaslModule("X-ECHO", EchoModule);
+
+  test('Async generator modules', function () {
+    var auth = new sasl.Authenticator("imap", "localhost", ["X-ECHO"],
+      {echoToken: "dG9r", desiredAuthMethods: ["X-ECHO"]});
+    assert.deepEqual(auth.tryNextAuth(), ["X-ECHO", true]);
+    return auth.authStep("")
+      .then(expectAndSend(auth, "dG9r", "bm9wZQ=="))
+      .then(function (e) { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.message, "Server did not echo"); });
+  });
+  test('Errors reject instead of throwing', function () {
+    var auth = quickAuth('SCRAM-SHA-1', {user: "user", pass: "pencil"});
+    auth.tryNextAuth();
+    var result = auth.authStep("");
+    assert.ok(result instanceof Promise);
+    result = auth.authStep("bm9wZQ==");
+    assert.ok(result instanceof Promise);
+    return result
+      .then(function (e) { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.message, "Malformed server response"); });
+  });
+  test('authenticate', function () {
+    var auth = new sasl.Authenticator("imap", "localhost", ["PLAIN", "X-ECHO"],
+      {user: "tim", pass: "tanstaaftanstaaf", echoToken: "dG9r",
+       desiredAuthMethods: ["X-ECHO", "PLAIN"]});
+    var transport = scriptedTransport([
+      {type: "continuation", data: "bm9wZQ=="},
+      {type: "failure"},
+      {type: "success"},
+    ]);
+    return auth.authenticate(transport).then(function (mechanism) {
+      assert.equal(mechanism, "PLAIN");
+      assert.deepEqual(transport.calls, [
+        ["start", "X-ECHO", "dG9r"],
+        ["cancel"],
+        ["start", "PLAIN", "AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ]);
+    });
+  });
+  test('authenticate without initial responses', function () {
+    var auth = quickAuth('X-ECHO',
+      {echoToken: "dG9r", desiredAuthMethods: ["X-ECHO"]});
+    var transport = scriptedTransport([
+      {type: "continuation", data: ""},
+      {type: "continuation", data: "dG9r"},
+      {type: "success"},
+    ], false);
+    return auth.authenticate(transport).then(function (mechanism) {
+      assert.equal(mechanism, "X-ECHO");
+      assert.deepEqual(transport.calls, [
+        ["start", "X-ECHO", null],
+        ["respond", "dG9r"],
+        ["respond", ""],
+      ]);
+    });
+  });
+  test('authenticate verifies the server', function () {
+    var serverFirst = "cj1meWtvK2QybGJiRmdPTlJ2OXFreGRhd0wzcmZjTkhZSlkxWlZ2V1ZzN2oscz1RU1hDUitRNnNlazhiZjkyLGk9NDA5Ng==";
+    var serverFinal = "dj1ybUY5cHFWOFM3c3VBb1pXamE0ZEpSa0ZzS1E9";
+    function run(replies) {
+      var auth = quickAuth('SCRAM-SHA-1', {user: "user", pass: "pencil",
+        securityPolicy: {mutualAuth: true}});
+      auth.on("started", function () {
+        auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+      });
+      return auth.authenticate(scriptedTransport(replies));
+    }
+    return run([
+      {type: "continuation", data: serverFirst},
+      {type: "success", data: serverFinal},
+    ]).then(function (mechanism) {
+      assert.equal(mechanism, "SCRAM-SHA-1");
+      return run([
+        {type: "continuation", data: serverFirst},
+        {type: "continuation", data: serverFinal},
+        {type: "success"},
+      ]);
+    }).then(function (mechanism) {
+      assert.equal(mechanism, "SCRAM-SHA-1");
+      // A success without the server signature proves nothing.
+      return run([
+        {type: "continuation", data: serverFirst},
+        {type: "success"},
+      ]);
+    }).then(function () {
+      throw new Error("Expected error");
+    }, function (e) {
+      assert.equal(e.code, "SIGNATURE_MISMATCH");
+    });
+  });
+  test('authenticate failure', function () {
+    var auth = quickAuth('PLAIN', {user: "tim", pass: "tanstaaftanstaaf"});
+    return auth.authenticate(scriptedTransport([{type: "failure"}]))
+      .then(function (e) { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.message, "Authentication failed"); });
+  });
+  test('Rejected credentials', function () {
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["CRAM-MD5", "PLAIN"], {user: "tim", pass: "tanstaaftanstaaf"});
+    var outcomes = [];
+    auth.on("failed", function (event) { outcomes.push(event.outcome); });
+    assert.equal(auth.tryNextAuth()[0], "CRAM-MD5");
+    auth.authFailed(null, "mechanism");
+    assert.equal(auth.credentialsRejected, false);
+    assert.equal(auth.tryNextAuth()[0], "PLAIN");
+    auth.authFailed(null, "credentials");
+    assert.equal(auth.credentialsRejected, true);
+    assert.deepEqual(outcomes, ["mechanism", "credentials"]);
+
+    auth = new sasl.Authenticator("imap", "localhost",
+      ["CRAM-MD5", "PLAIN"], {user: "tim", pass: "tanstaaftanstaaf"});
+    auth.tryNextAuth();
+    auth.authFailed(null, "credentials");
+    assert.equal(auth.tryNextAuth(), null);
+  });
+  test('authenticate with rejected credentials', function () {
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["CRAM-MD5", "PLAIN"], {user: "tim", pass: "tanstaaftanstaaf"});
+    var transport = scriptedTransport([
+      {type: "continuation", data: "PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzd" +
+        "G9uLm1jaS5uZXQ+"},
+      {type: "failure", outcome: "credentials"},
+    ]);
+    return auth.authenticate(transport).then(function () {
+      throw new Error("Expected error");
+    }, function (e) {
+      assert.equal(e.code, "CREDENTIALS_REJECTED");
+      assert.equal(transport.calls.length, 2);
+    });
+  });
+  test('Outcomes of errors', function () {
+    var auth = quickAuth('SCRAM-SHA-1', {user: "user", pass: "pencil"});
+    var outcome;
+    auth.on("failed", function (event) { outcome = event.outcome; });
+    auth.tryNextAuth();
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("").then(function () {
+      return auth.authStep(saslutils.stringToBase64UTF8(
+        "r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92," +
+        "i=4096"));
+    }).then(function () {
+      return auth.authStep(saslutils.stringToBase64UTF8("e=invalid-proof"));
+    }).then(function () { throw new Error("Expected error"); }, function (e) {
+      assert.equal(e.serverError, "invalid-proof");
+      assert.equal(outcome, "credentials");
+      assert.equal(auth.credentialsRejected, true);
+    });
+  });
+});
+
+suite('Events and tracing', function () {
+  var cramChallenge =
+    "PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+";
+
+  function fallbackAuth(opts) {
+    return new sasl.Authenticator("imap", "localhost",
+      ["PLAIN", "CRAM-MD5", "SCRAM-SHA-1-PLUS"], Object.assign({
+        user: "tim", pass: "tanstaaftanstaaf",
+        desiredAuthMethods: ["SCRAM-SHA-1-PLUS", "CRAM-MD5", "PLAIN"],
+      }, opts));
+  }
+
+  function fallbackTransport() {
+    return scriptedTransport([
+      {type: "continuation", data: cramChallenge},
+      {type: "failure"},
+      {type: "success"},
+    ]);
+  }
+
+  // Run the authentication with a trace, returning the trace whether or not
+  // the authentication succeeded.
+  function trace(mechanism, opts, replies) {
+    var lines = [];
+    opts.trace = function (line) { lines.push(line); };
+    opts.desiredAuthMethods = [mechanism];
+    var auth = new sasl.Authenticator("imap", "localhost", [mechanism], opts);
+    var done = function () { return lines; };
+    return auth.authenticate(scriptedTransport(replies)).then(done, done);
+  }
+
+  test('Events', function () {
+    var auth = fallbackAuth();
+    var events = [];
+    ["skipped", "started", "sent", "received", "failed", "succeeded"]
+      .forEach(function (name) {
+        auth.on(name, function (event) { events.push([name, event]); });
+      });
+    return auth.authenticate(fallbackTransport()).then(function () {
+      assert.deepEqual(events.map(function (e) {
+        return [e[0], e[1].mechanism];
+      }), [
+        ["skipped", "SCRAM-SHA-1-PLUS"],
+        ["started", "CRAM-MD5"],
+        ["received", "CRAM-MD5"],
+        ["sent", "CRAM-MD5"],
+        ["failed", "CRAM-MD5"],
+        ["started", "PLAIN"],
+        ["sent", "PLAIN"],
+        ["succeeded", "PLAIN"],
+      ]);
+      assert.equal(events[0][1].reason,
+        "No supported channel binding is available");
+      assert.equal(events[2][1].data, cramChallenge);
+      assert.equal(events[3][1].data,
+        "dGltIGI5MTNhNjAyYzdlZGE3YTQ5NWI0ZTZlNzMzNGQzODkw");
+      assert.equal(events[3][1].trace, "tim [redacted]");
+      assert.strictEqual(events[4][1].error, null);
+    });
+  });
+  test('Trace', function () {
+    var lines = [];
+    var auth = fallbackAuth({trace: function (line) { lines.push(line); }});
+    return auth.authenticate(fallbackTransport()).then(function () {
+      assert.deepEqual(lines, [
+        "* Skipping SCRAM-SHA-1-PLUS: No supported channel binding is " +
+          "available",
+        "* Trying CRAM-MD5",
+        "S: <1896.697170952@postoffice.reston.mci.net>",
+        "C: tim [redacted]",
+        "* CRAM-MD5 failed: rejected by the server",
+        "* Trying PLAIN",
+        "C: \\x00tim\\x00[redacted]",
+        "* PLAIN succeeded",
+      ]);
+    });
+  });
+  test('Removing listeners', function () {
+    var auth = fallbackAuth();
+    var count = 0;
+    var listener = function () { count++; };
+    auth.on("started", listener).off("started", listener);
+    return auth.authenticate(fallbackTransport()).then(function () {
+      assert.equal(count, 0);
+    });
+  });
+  test('Errors end the attempt', function () {
+    var auth = quickAuth('SCRAM-SHA-1', {user: "user", pass: "pencil"});
+    var failures = [];
+    auth.on("failed", function (event) { failures.push(event.error); });
+    auth.tryNextAuth();
+    return auth.authStep("")
+      .then(function () { return auth.authStep("bm9wZQ=="); })
+      .then(function () { throw new Error("Expected error"); },
+            function (e) {
+              // Reporting the failure again has no effect.
+              auth.authFailed();
+              assert.deepEqual(failures, [e]);
+            });
+  });
+  test('LOGIN redaction', function () {
+    return trace("LOGIN", {user: "tim", pass: "tanstaaftanstaaf"}, [
+      {type: "continuation", data: "VXNlciBOYW1lAA=="},
+      {type: "continuation", data: "UGFzc3dvcmQA"},
+      {type: "success"},
+    ]).then(function (lines) {
+      assert.deepEqual(lines.slice(1, 5), [
+        "S: User Name\\x00", "C: tim", "S: Password\\x00", "C: [redacted]",
+      ]);
+    });
+  });
+  test('SCRAM redaction', function () {
+    var lines = [];
+    var auth = quickAuth('SCRAM-SHA-1', {user: "user", pass: "pencil",
+      trace: function (line) { lines.push(line); }});
+    auth.tryNextAuth();
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "biwsbj11c2VyLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdM",
+        "cj1meWtvK2QybGJiRmdPTlJ2OXFreGRhd0wzcmZjTkhZSlkxWlZ2V1ZzN2oscz1RU1hDUitRNnNlazhiZjkyLGk9NDA5Ng=="))
+      .then(function () {
+        assert.deepEqual(lines.slice(1), [
+          "C: n,,n=user,r=fyko+d2lbbFgONRv9qkxdawL",
+          "S: r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j," +
+            "s=QSXCR+Q6sek8bf92,i=4096",
+          "C: c=biws,r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j," +
+            "p=[redacted]",
+        ]);
+      });
+  });
+  test('Bearer token redaction', function () {
+    var opts = {user: "user@example.com", oauthbearer: "secrettoken"};
+    return Promise.all([
+      trace("XOAUTH2", opts, [{type: "success"}]),
+      trace("OAUTHBEARER", Object.assign({}, opts), [{type: "success"}]),
+    ]).then(function (traces) {
+      assert.equal(traces[0][1], "C: user=user@example.com\\x01" +
+        "auth=Bearer [redacted]\\x01\\x01");
+      assert.equal(traces[1][1], "C: n,a=user@example.com,\\x01" +
+        "host=localhost\\x01auth=Bearer [redacted]\\x01\\x01");
+    });
+  });
+  test('DIGEST-MD5 redaction', function () {
+    var opts = {user: "chris", pass: "secret"};
+    return trace("DIGEST-MD5", opts, [
+      {type: "continuation", data: saslutils.stringToBase64UTF8(
+        'nonce="OA6MG9tEQGm2hh",qop="auth",algorithm=md5-sess')},
+      {type: "failure"},
+    ]).then(function (lines) {
+      assert.ok(/^C: username="chris",.*,response=\[redacted\],qop=auth$/
+        .test(lines[2]), lines[2]);
+    });
+  });
+  test('Modules without redaction', function () {
+    return trace("X-ECHO", {echoToken: "dG9r"}, [
+      {type: "continuation", data: "dG9r"},
+      {type: "success"},
+    ]).then(function (lines) {
+      assert.deepEqual(lines, ["* Trying X-ECHO", "C: [redacted]", "S: tok",
+        "C: ", "* X-ECHO succeeded"]);
+    });
+  });
+});
+
+suite('Credential callbacks', function () {
+  function counted(value) {
+    var callback = function () {
+      callback.calls++;
+      return Promise.resolve(value);
+    };
+    callback.calls = 0;
+    return callback;
+  }
+
+  function xoauth2Response(user, token) {
+    return saslutils.stringToBase64UTF8(
+      "user=" + user + "\x01auth=Bearer " + token + "\x01\x01");
+  }
+
+  var tokenError = saslutils.stringToBase64UTF8(
+    '{"status":"401","schemes":"bearer","scope":"https://mail.google.com/"}');
+
+  test('Credentials are resolved lazily', function () {
+    var pass = counted("tanstaaftanstaaf");
+    var auth = quickAuth('PLAIN', {user: "tim", pass: pass});
+    assert.deepEqual(auth.tryNextAuth(), ["PLAIN", true]);
+    assert.equal(pass.calls, 0);
+    return auth.authStep("")
+      .then(expectStr("AHRpbQB0YW5zdGFhZnRhbnN0YWFm"))
+      .then(function () { assert.equal(pass.calls, 1); });
+  });
+  test('Credentials are resolved once', function () {
+    var user = counted("tim");
+    var pass = counted("tanstaaftanstaaf");
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["PLAIN", "CRAM-MD5"], {user: user, pass: pass});
+    var transport = scriptedTransport([
+      {type: "continuation",
+       data: "PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+"},
+      {type: "failure"},
+      {type: "success"},
+    ]);
+    return auth.authenticate(transport).then(function (mechanism) {
+      assert.equal(mechanism, "PLAIN");
+      assert.equal(transport.calls[1][1],
+        "dGltIGI5MTNhNjAyYzdlZGE3YTQ5NWI0ZTZlNzMzNGQzODkw");
+      assert.equal(user.calls, 1);
+      assert.equal(pass.calls, 1);
+    });
+  });
+  test('Unused credentials are not resolved', function () {
+    var pass = counted("tanstaaftanstaaf");
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["PLAIN", "XOAUTH2"],
+      {user: "tim", pass: pass, oauthbearer: function () { return "tok"; }});
+    var transport = scriptedTransport([{type: "success"}]);
+    return auth.authenticate(transport).then(function (mechanism) {
+      assert.equal(mechanism, "XOAUTH2");
+      assert.deepEqual(transport.calls,
+        [["start", "XOAUTH2", xoauth2Response("tim", "tok")]]);
+      assert.equal(pass.calls, 0);
+    });
+  });
+  test('Missing credentials', function () {
+    var auth = quickAuth('SCRAM-SHA-1',
+      {user: "user", pass: function () { return null; }});
+    auth.tryNextAuth();
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("")
+      .then(function () {
+        return auth.authStep(saslutils.stringToBase64UTF8(
+          "r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j," +
+          "s=QSXCR+Q6sek8bf92,i=4096"));
+      })
+      .then(function () { throw new Error("Expected error"); },
+            function (e) {
+              assert.equal(e.code, sasl.SaslError.MISSING_CREDENTIALS);
+              assert.equal(e.message, "No password is available");
+            });
+  });
+  test('Expired tokens are refreshed', function () {
+    var errors = [];
+    var auth = new sasl.Authenticator("imap", "localhost", ["XOAUTH2"], {
+      user: "tim",
+      oauthbearer: counted("old"),
+      refreshToken: function (error) {
+        errors.push(error);
+        return Promise.resolve("new");
+      },
+    });
+    var transport = scriptedTransport([
+      {type: "continuation", data: tokenError},
+      {type: "failure"},
+      {type: "success"},
+    ]);
+    return auth.authenticate(transport).then(function (mechanism) {
+      assert.equal(mechanism, "XOAUTH2");
+      assert.deepEqual(transport.calls, [
+        ["start", "XOAUTH2", xoauth2Response("tim", "old")],
+        ["respond", ""],
+        ["start", "XOAUTH2", xoauth2Response("tim", "new")],
+      ]);
+      assert.deepEqual(errors, [{status: "401", schemes: "bearer",
+        scope: "https://mail.google.com/"}]);
+    });
+  });
+  test('Refreshed tokens are new credentials', function () {
+    var auth = new sasl.Authenticator("imap", "localhost", ["XOAUTH2"], {
+      user: "tim",
+      oauthbearer: "old",
+      refreshToken: function () { return Promise.resolve("new"); },
+    });
+    var transport = scriptedTransport([
+      {type: "continuation", data: tokenError},
+      {type: "failure", outcome: "credentials"},
+      {type: "success"},
+    ]);
+    return auth.authenticate(transport).then(function (mechanism) {
+      assert.equal(mechanism, "XOAUTH2");
+      assert.equal(auth.credentialsRejected, false);
+    });
+  });
+  test('Tokens are refreshed once', function () {
+    var refreshes = 0;
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["OAUTHBEARER", "PLAIN"], {
+        user: "tim", pass: "tanstaaftanstaaf", oauthbearer: "old",
+        refreshToken: function () { return "new" + (++refreshes); },
+      });
+    var invalidToken = {type: "continuation",
+      data: saslutils.stringToBase64UTF8('{"status":"invalid_token"}')};
+    var transport = scriptedTransport([
+      invalidToken, {type: "failure"},
+      invalidToken, {type: "failure"},
+      {type: "success"},
+    ]);
+    return auth.authenticate(transport).then(function (mechanism) {
+      assert.equal(mechanism, "PLAIN");
+      assert.equal(refreshes, 1);
+      assert.deepEqual(transport.calls.map(function (call) {
+        return call[0] + " " + (call[1] || "");
+      }), ["start OAUTHBEARER", "respond AQ==", "start OAUTHBEARER",
+           "respond AQ==", "start PLAIN"]);
+      assert.ok(saslutils.base64ToBinaryString(transport.calls[2][2])
+        .indexOf("auth=Bearer new1\x01") >= 0);
+    });
+  });
+  test('Other errors are not refreshed', function () {
+    var refreshes = 0;
+    var auth = new sasl.Authenticator("imap", "localhost", ["XOAUTH2"], {
+      user: "tim", oauthbearer: "tok",
+      refreshToken: function () { refreshes++; return "new"; },
+    });
+    var transport = scriptedTransport([
+      {type: "continuation",
+       data: saslutils.stringToBase64UTF8('{"status":"400"}')},
+      {type: "failure"},
+    ]);
+    return auth.authenticate(transport)
+      .then(function () { throw new Error("Expected error"); },
+            function (e) {
+              assert.equal(e.code, sasl.SaslError.AUTHENTICATION_FAILED);
+              assert.equal(refreshes, 0);
+            });
+  });
+});
+
+suite('Security policy', function () {
+  var creds = {user: "tim", pass: "tanstaaftanstaaf", oauthbearer: "tok",
+    channelBinding: {type: "tls-unique", data: new Uint8Array(12)}};
+
+  // Return the mechanisms the authenticator tries, in order.
+  function mechanismsTried(mechanisms, opts) {
+    var auth = new sasl.Authenticator("imap", "localhost", mechanisms,
+      Object.assign({}, creds, opts));
+    var tried = [];
+    var method;
+    while ((method = auth.tryNextAuth()) != null)
+      tried.push(method[0]);
+    return tried;
+  }
+
+  test('Without a policy', function () {
+    assert.deepEqual(mechanismsTried(["PLAIN", "XOAUTH2", "SCRAM-SHA-1"]),
+      ["XOAUTH2", "SCRAM-SHA-1", "PLAIN"]);
+  });
+  test('Plaintext is tried last over insecure transports', function () {
+    assert.deepEqual(mechanismsTried(["PLAIN", "XOAUTH2", "SCRAM-SHA-1"],
+      {securityPolicy: {}}), ["SCRAM-SHA-1", "XOAUTH2", "PLAIN"]);
+    assert.deepEqual(mechanismsTried(["PLAIN", "XOAUTH2", "SCRAM-SHA-1"],
+      {securityPolicy: {}, transportSecure: true}),
+      ["XOAUTH2", "SCRAM-SHA-1", "PLAIN"]);
+  });
+  test('noPlaintext', function () {
+    var mechanisms = ["PLAIN", "LOGIN", "XOAUTH2", "CRAM-MD5"];
+    assert.deepEqual(mechanismsTried(mechanisms,
+      {securityPolicy: {noPlaintext: true}}), ["CRAM-MD5"]);
+    assert.deepEqual(mechanismsTried(mechanisms,
+      {securityPolicy: {noPlaintext: true}, transportSecure: true}),
+      ["XOAUTH2", "CRAM-MD5", "PLAIN", "LOGIN"]);
+  });
+  test('noAnonymous', function () {
+    assert.deepEqual(mechanismsTried(["ANONYMOUS", "PLAIN"],
+      {desiredAuthMethods: ["ANONYMOUS", "PLAIN"],
+       securityPolicy: {noAnonymous: true}}), ["PLAIN"]);
+  });
+  test('noDictionary', function () {
+    assert.deepEqual(mechanismsTried(["PLAIN", "SCRAM-SHA-1", "XOAUTH2"],
+      {securityPolicy: {noDictionary: true}, transportSecure: true}),
+      ["XOAUTH2"]);
+  });
+  test('mutualAuth', function () {
+    assert.deepEqual(mechanismsTried(
+      ["PLAIN", "CRAM-MD5", "DIGEST-MD5", "SCRAM-SHA-1", "EXTERNAL"],
+      {securityPolicy: {mutualAuth: true}, clientCertificate: true}),
+      ["SCRAM-SHA-1", "DIGEST-MD5"]);
+  });
+  test('channelBinding', function () {
+    assert.deepEqual(mechanismsTried(
+      ["PLAIN", "SCRAM-SHA-1", "SCRAM-SHA-1-PLUS"],
+      {securityPolicy: {channelBinding: true}}), ["SCRAM-SHA-1-PLUS"]);
+  });
+  test('Skipped mechanisms are reported', function () {
+    var auth = new sasl.Authenticator("imap", "localhost", ["PLAIN"],
+      Object.assign({securityPolicy: {noPlaintext: true}}, creds));
+    var reasons = [];
+    auth.on("skipped", function (event) {
+      reasons.push([event.mechanism, event.reason]);
+    });
+    assert.equal(auth.tryNextAuth(), null);
+    assert.deepEqual(reasons, [["PLAIN", "The security policy forbids " +
+      "sending plaintext credentials over an insecure transport"]]);
+  });
+  test('Step limits', function () {
+    var auth = quickAuth('LOGIN', {user: "tim", pass: "tanstaaftanstaaf",
+      maxSteps: {LOGIN: 1, default: 5}});
+    auth.tryNextAuth();
+    return auth.authStep("VXNlciBOYW1lAA==")
+      .then(expectAndSend(auth, "dGlt", "UGFzc3dvcmQA"))
+      .then(function () { throw new Error("Expected error"); },
+            function (e) {
+              assert.equal(e.code, sasl.SaslError.TOO_MANY_STEPS);
+            });
+  });
+  test('Initial responses do not count as steps', function () {
+    var auth = quickAuth('PLAIN', {user: "tim", pass: "tanstaaftanstaaf",
+      maxSteps: 1});
+    auth.tryNextAuth();
+    return auth.authStep("")
+      .then(expectStr("AHRpbQB0YW5zdGFhZnRhbnN0YWFm"));
+  });
+  test('Challenge size limits', function () {
+    var auth = quickAuth('CRAM-MD5', {user: "tim", pass: "tanstaaftanstaaf",
+      maxChallengeLength: 16});
+    auth.tryNextAuth();
+    return auth.authStep(
+      "PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+")
+      .then(function () { throw new Error("Expected error"); },
+            function (e) {
+              assert.equal(e.code, sasl.SaslError.CHALLENGE_TOO_LARGE);
+            });
+  });
+});
+
+suite('Error codes', function () {
+  function expectCode(code) {
+    return [
+      function (e) { throw new Error("Expected error"); },
+      function (e) {
+        assert.ok(e instanceof sasl.SaslError);
+        assert.equal(e.code, code);
+        return e;
+      },
+    ];
+  }
+
+  function scramAuth() {
+    var auth = quickAuth('SCRAM-SHA-1', {user: "user", pass: "pencil"});
+    auth.tryNextAuth();
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth;
+  }
+
+  test('No mechanism in progress', function () {
+    var auth = quickAuth('PLAIN', {user: "tim", pass: "tanstaaftanstaaf"});
+    var p = auth.authStep("");
+    return p.then.apply(p, expectCode(sasl.SaslError.NO_MECHANISM));
+  });
+  webCryptoTest('Unsupported hash functions', function () {
+    var provider = new sasl.WebCryptoProvider(platformCrypto);
+    var data = new Uint8Array(1);
+    return Promise.all([
+      provider.digest("SHA3-512", data),
+      provider.hmac("SHA3-512", data, data),
+      provider.pbkdf2("SHA3-512", data, data, 1, 64),
+    ].map(function (p) {
+      return p.then.apply(p, expectCode(sasl.SaslError.UNSUPPORTED_CHALLENGE));
+    }));
+  });
+  test('Too many steps', function () {
+    var auth = quickAuth('PLAIN', {user: "tim", pass: "tanstaaftanstaaf"});
+    auth.tryNextAuth();
+    var p = auth.authStep("")
+      .then(function () { return auth.authStep(""); });
+    return p.then.apply(p, expectCode(sasl.SaslError.TOO_MANY_STEPS));
+  });
+  test('Invalid base64', function () {
+    var auth = scramAuth();
+    var p = auth.authStep("")
+      .then(function () { return auth.authStep("cj1meWtv!!"); });
+    return p.then.apply(p, expectCode(sasl.SaslError.INVALID_BASE64));
+  });
+  test('Malformed challenge', function () {
+    var auth = scramAuth();
+    var p = auth.authStep("")
+      .then(function () { return auth.authStep("bm9wZQ=="); });
+    return p.then.apply(p, expectCode(sasl.SaslError.MALFORMED_CHALLENGE));
+  });
+  test('Signature mismatch', function () {
+    var auth = scramAuth();
+    var p = auth.authStep("")
+      .then(expectAndSend(auth,
+        "biwsbj11c2VyLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdM",
+        "cj1meWtvK2QybGJiRmdPTlJ2OXFreGRhd0wzcmZjTkhZSlkxWlZ2V1ZzN2oscz1RU1hDUitRNnNlazhiZjkyLGk9NDA5Ng=="))
+      .then(function () {
+        return auth.authStep("dj1ybUY5cHFWOFM3c3VAAAAAAAAAAAAAAAAAAAAA");
+      });
+    return p.then.apply(p, expectCode(sasl.SaslError.SIGNATURE_MISMATCH));
+  });
+  test('Server errors', function () {
+    var error = new sasl.ScramServerError("invalid-proof");
+    assert.ok(error instanceof sasl.SaslError);
+    assert.equal(error.code, sasl.SaslError.SERVER_ERROR);
+    assert.equal(error.name, "ScramServerError");
+  });
+  test('Missing credentials', function () {
+    var auth = quickAuth('SCRAM-SHA-256-PLUS', {user: "user", pass: "pencil",
+      channelBinding: {type: "tls-unique", data: function () { return null; }}});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-256-PLUS", true]);
+    auth._authModule.nonce = 'abcdef';
+    // The channel binding data is only needed for the client-final message.
+    var p = auth.authStep("").then(function () {
+      return auth.authStep(saslutils.stringToBase64UTF8(
+        "r=abcdefghijk,s=QSXCR+Q6sek8bf92,i=4096"));
+    });
+    return p.then.apply(p, expectCode(sasl.SaslError.MISSING_CREDENTIALS));
+  });
+  test('Prohibited characters', function () {
+    var auth = quickAuth('PLAIN', {user: "tim", pass: "bad\u0007"});
+    auth.tryNextAuth();
+    var p = auth.authStep("");
+    return p.then.apply(p, expectCode(sasl.SaslError.PROHIBITED_CHARACTERS))
+      .then(function (e) { assert.ok(e instanceof sasl.StringPrepError); });
+  });
+  test('Authentication failed', function () {
+    var auth = quickAuth('PLAIN', {user: "tim", pass: "tanstaaftanstaaf"});
+    var transport = {
+      supportsInitialResponse: true,
+      start: function () { return Promise.resolve({type: "failure"}); },
+    };
+    var p = auth.authenticate(transport);
+    return p.then.apply(p, expectCode(sasl.SaslError.AUTHENTICATION_FAILED));
+  });
+});
+
+suite('Authorization identity', function () {
+  test('Mechanism selection', function () {
+    var auth = new sasl.Authenticator("imap", "localhost.localdomain",
+      ["PLAIN", "LOGIN", "CRAM-MD5", "SCRAM-SHA-1", "XOAUTH2", "OAUTHBEARER"],
+      {user: "a", pass: "b", oauthbearer: "tok", authzid: "c"});
+    assert.equal(auth.tryNextAuth()[0], "OAUTHBEARER");
+    assert.equal(auth.tryNextAuth()[0], "XOAUTH2");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1");
+    assert.equal(auth.tryNextAuth()[0], "PLAIN");
+    assert.equal(auth.tryNextAuth(), null);
+
+    auth = quickAuth("ANONYMOUS",
+      {authzid: "c", desiredAuthMethods: ["ANONYMOUS"]});
+    assert.equal(auth.tryNextAuth(), null);
+  });
+  test('PLAIN', function () {
+    var auth = quickAuth('PLAIN',
+      {user: "Kurt", pass: "xipj3plmq", authzid: "Ursel"});
+    assert.deepEqual(auth.tryNextAuth(), ["PLAIN", true]);
+    return auth.authStep("")
+      .then(expectStr("VXJzZWwAS3VydAB4aXBqM3BsbXE="));
+  });
+  test('SCRAM-SHA-1', function () {
+    var auth = quickAuth('SCRAM-SHA-1',
+      {user: "user", pass: "pencil", authzid: "ad=min"});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-1", true]);
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "bixhPWFkPTNEbWluLG49dXNlcixyPWZ5a28rZDJsYmJGZ09OUnY5cWt4ZGF3TA==",
+        "cj1meWtvK2QybGJiRmdPTlJ2OXFreGRhd0wzcmZjTkhZSlkxWlZ2V1ZzN2oscz1RU1hDUitRNnNlazhiZjkyLGk9NDA5Ng=="))
+      .then(expectAndSend(auth,
+        "Yz1iaXhoUFdGa1BUTkViV2x1TEE9PSxyPWZ5a28rZDJsYmJGZ09OUnY5cWt4ZGF3TDNyZmNOSFlKWTFaVnZXVnM3aixwPUZYdlFSK05xZExqSmhkRThLSlRwNTg2OERtVT0=",
+        "dj1vdVVaRUFtK0JpaFZxRXN5U2RlREFlSHdheFk9"))
+      .then(expectStr(""));
+  });
+  test('OAUTHBEARER', function () {
+    var auth = new sasl.Authenticator("imap", "server.example.com",
+      ["OAUTHBEARER"],
+      {user: "me@example.com", oauthbearer: "tok",
+       authzid: "shared@example.com"});
+    assert.deepEqual(auth.tryNextAuth(), ["OAUTHBEARER", true]);
+    return auth.authStep("")
+      .then(expectStr("bixhPXNoYXJlZEBleGFtcGxlLmNvbSwBaG9zdD1zZXJ2ZXIuZXhhbXBsZS5jb20BYXV0aD1CZWFyZXIgdG9rAQE="));
+  });
+  test('XOAUTH2', function () {
+    var auth = quickAuth('XOAUTH2',
+      {user: "me@example.com", oauthbearer: "tok",
+       authzid: "shared@example.com"});
+    assert.deepEqual(auth.tryNextAuth(), ["XOAUTH2", true]);
+    return auth.authStep("")
+      .then(expectStr("dXNlcj1zaGFyZWRAZXhhbXBsZS5jb20BYXV0aD1CZWFyZXIgdG9rAQE="));
+  });
+});
+
+suite('String preparation', function () {
+  test('Prohibited characters', function () {
+    var auth = quickAuth('PLAIN', {user: "tim\u0007", pass: "tanstaaf"});
+    assert.deepEqual(auth.tryNextAuth(), ["PLAIN", true]);
+    return auth.authStep("")
+      .then(function (e) { throw new Error("Expected error"); },
+            function (e) { assert.ok(e instanceof saslutils.StringPrepError); });
+  });
+  test('PRECIS profiles', function () {
+    var auth = quickAuth('PLAIN',
+      {user: "TIM", pass: "tanstaaf\u3000tanstaaf", stringPrep: "precis"});
+    assert.deepEqual(auth.tryNextAuth(), ["PLAIN", true]);
+    return auth.authStep("")
+      .then(expectStr("AHRpbQB0YW5zdGFhZiB0YW5zdGFhZg=="));
+  });
+  test('Per-mechanism profiles', function () {
+    var auth = new sasl.Authenticator("imap", "localhost.localdomain",
+      ["SCRAM-SHA-1", "PLAIN"],
+      {user: "User", pass: "pencil",
+       stringPrep: {"SCRAM-SHA-1": "precis", default: "none"}});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-1", true]);
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("")
+      .then(expectStr("biwsbj11c2VyLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdM"))
+      .then(function () {
+        assert.deepEqual(auth.tryNextAuth(), ["PLAIN", true]);
+        return auth.authStep("");
+      })
+      .then(expectStr("AFVzZXIAcGVuY2ls"));
+  });
+});
+
 suite('PLAIN', function () {
   test('Basic support', function () {
     var auth = quickAuth('PLAIN', {user: "tim", pass: "tanstaaftanstaaf"});
@@ -198,6 +1031,75 @@ suite('CRAM-MD5', function () {
   });
 });
 
+suite('DIGEST-MD5', function () {
+  // See RFC 2831, §4
+  var challenge = "cmVhbG09ImVsd29vZC5pbm5vc29mdC5jb20iLG5vbmNlPSJPQTZNRzl0RVFHbTJoaCIscW9wPSJhdXRoIixhbGdvcml0aG09bWQ1LXNlc3MsY2hhcnNldD11dGYtOA==";
+  function digestAuth(opts) {
+    var auth = new sasl.Authenticator("imap", "elwood.innosoft.com",
+      ["DIGEST-MD5"], opts);
+    assert.deepEqual(auth.tryNextAuth(), ["DIGEST-MD5", false]);
+    auth._authModule.cnonce = "OA6MHXh6VqTrRk";
+    return auth;
+  }
+  test('Basic support', function () {
+    var auth = digestAuth({user: "chris", pass: "secret"});
+    return auth.authStep(challenge)
+      .then(expectAndSend(auth,
+        "Y2hhcnNldD11dGYtOCx1c2VybmFtZT0iY2hyaXMiLHJlYWxtPSJlbHdvb2QuaW5ub3NvZnQuY29tIixub25jZT0iT0E2TUc5dEVRR20yaGgiLG5jPTAwMDAwMDAxLGNub25jZT0iT0E2TUhYaDZWcVRyUmsiLGRpZ2VzdC11cmk9ImltYXAvZWx3b29kLmlubm9zb2Z0LmNvbSIscmVzcG9uc2U9ZDM4OGRhZDkwZDRiYmQ3NjBhMTUyMzIxZjIxNDNhZjcscW9wPWF1dGg=",
+        "cnNwYXV0aD1lYTQwZjYwMzM1YzQyN2I1NTI3Yjg0ZGJhYmNkZmZmZA=="))
+      .then(expectStr(""));
+  });
+  test('Authorization identity', function () {
+    var auth = digestAuth({user: "chris", pass: "secret", authzid: "admin"});
+    return auth.authStep(challenge)
+      .then(expectAndSend(auth,
+        "Y2hhcnNldD11dGYtOCx1c2VybmFtZT0iY2hyaXMiLHJlYWxtPSJlbHdvb2QuaW5ub3NvZnQuY29tIixub25jZT0iT0E2TUc5dEVRR20yaGgiLG5jPTAwMDAwMDAxLGNub25jZT0iT0E2TUhYaDZWcVRyUmsiLGRpZ2VzdC11cmk9ImltYXAvZWx3b29kLmlubm9zb2Z0LmNvbSIscmVzcG9uc2U9MjNlOTBjNTc3MzY3ZDhmOTE3ZWZhNmJhMGNiN2VlYmMscW9wPWF1dGgsYXV0aHppZD0iYWRtaW4i",
+        "cnNwYXV0aD05YTM5MTUwMzBjYzg5MjIwOTdjZDYyN2EyNWVlMmI5ZQ=="))
+      .then(expectStr(""));
+  });
+  test('Character sets', function () {
+    // With charset=utf-8, the username is sent in UTF-8, but hashed in
+    // ISO-8859-1.
+    var auth = digestAuth({user: "chr\u00efs", pass: "secret"});
+    return auth.authStep(challenge)
+      .then(expectStr("Y2hhcnNldD11dGYtOCx1c2VybmFtZT0iY2hyw69zIixyZWFsbT0iZWx3b29kLmlubm9zb2Z0LmNvbSIsbm9uY2U9Ik9BNk1HOXRFUUdtMmhoIixuYz0wMDAwMDAwMSxjbm9uY2U9Ik9BNk1IWGg2VnFUclJrIixkaWdlc3QtdXJpPSJpbWFwL2Vsd29vZC5pbm5vc29mdC5jb20iLHJlc3BvbnNlPWFhNjdlYjM4OTVlNWRkNzRlMTNmMmFmMDdkMjYwYjVlLHFvcD1hdXRo"))
+      .then(function () {
+        // Without it, everything is in ISO-8859-1.
+        var auth = digestAuth({user: "chr\u00efs", pass: "secret"});
+        return auth.authStep("cmVhbG09ImVsd29vZC5pbm5vc29mdC5jb20iLG5vbmNlPSJPQTZNRzl0RVFHbTJoaCIscW9wPSJhdXRoIixhbGdvcml0aG09bWQ1LXNlc3M=");
+      })
+      .then(expectStr("dXNlcm5hbWU9ImNocu9zIixyZWFsbT0iZWx3b29kLmlubm9zb2Z0LmNvbSIsbm9uY2U9Ik9BNk1HOXRFUUdtMmhoIixuYz0wMDAwMDAwMSxjbm9uY2U9Ik9BNk1IWGg2VnFUclJrIixkaWdlc3QtdXJpPSJpbWFwL2Vsd29vZC5pbm5vc29mdC5jb20iLHJlc3BvbnNlPWFhNjdlYjM4OTVlNWRkNzRlMTNmMmFmMDdkMjYwYjVlLHFvcD1hdXRo"));
+  });
+  test('Unsupported challenges', function () {
+    var challenges = [
+      // No auth quality of protection
+      "cmVhbG09ImVsd29vZC5pbm5vc29mdC5jb20iLG5vbmNlPSJPQTZNRzl0RVFHbTJoaCIscW9wPSJhdXRoLWludCxhdXRoLWNvbmYiLGFsZ29yaXRobT1tZDUtc2VzcyxjaGFyc2V0PXV0Zi04",
+      // algorithm=md5
+      "cmVhbG09ImVsd29vZC5pbm5vc29mdC5jb20iLG5vbmNlPSJPQTZNRzl0RVFHbTJoaCIscW9wPSJhdXRoIixhbGdvcml0aG09bWQ1LGNoYXJzZXQ9dXRmLTg=",
+      // Garbage
+      saslutils.stringToBase64UTF8("nonce=\"abc"),
+    ];
+    return Promise.all(challenges.map(function (challenge) {
+      var auth = digestAuth({user: "chris", pass: "secret"});
+      return auth.authStep(challenge)
+        .then(function (e) { throw new Error("Expected error"); },
+              function (e) { assert.notEqual(e.message, "Expected error"); });
+    }));
+  });
+  test('Misauthenticated server', function () {
+    var auth = digestAuth({user: "chris", pass: "secret"});
+    return auth.authStep(challenge)
+      .then(function () {
+        return auth.authStep(
+          "cnNwYXV0aD0wMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMA==");
+      })
+      .then(function (e) { throw new Error("Expected error"); },
+            function (e) {
+              assert.equal(e.message, "Server's final response is unexpected");
+            });
+  });
+});
+
 suite('SCRAM-SHA-1', function () {
   test('Basic support', function () {
     var auth = quickAuth('SCRAM-SHA-1', {user: "user", pass: "pencil"});
@@ -281,6 +1183,110 @@ suite('SCRAM-SHA-1', function () {
   });
 });
 
+suite('SCRAM validation', function () {
+  var clientFirst = "biwsbj11c2VyLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdM";
+  var clientFinal = "Yz1iaXdzLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdMM3JmY05IWUpZMVpWdldWczdqLHA9djBYOHYzQnoyVDBDSkdiSlF5RjBYK0hJNFRzPQ==";
+  var serverFirst = "r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j," +
+    "s=QSXCR+Q6sek8bf92,i=4096";
+
+  function startAuth(opts) {
+    opts = opts || {};
+    opts.user = "user";
+    opts.pass = "pencil";
+    var auth = quickAuth('SCRAM-SHA-1', opts);
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-1", true]);
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth;
+  }
+
+  function expectServerFirstError(serverFirst, message, opts) {
+    var auth = startAuth(opts);
+    return auth.authStep("")
+      .then(expectAndSend(auth, clientFirst,
+        saslutils.stringToBase64UTF8(serverFirst)))
+      .then(function (e) { assert.fail(false, true, "Server should fail"); },
+        function (e) { assert.equal(e.message, message); });
+  }
+
+  function expectServerFinalError(serverFinal, message) {
+    var auth = startAuth();
+    return auth.authStep("")
+      .then(expectAndSend(auth, clientFirst,
+        saslutils.stringToBase64UTF8(serverFirst)))
+      .then(expectAndSend(auth, clientFinal,
+        saslutils.stringToBase64UTF8(serverFinal)))
+      .then(function (e) { assert.fail(false, true, "Server should fail"); },
+        function (e) {
+          assert.equal(e.message, message);
+          return e;
+        });
+  }
+
+  test('Server nonce must extend the client nonce', function () {
+    return Promise.all([
+      expectServerFirstError("r=AAAA+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j," +
+        "s=QSXCR+Q6sek8bf92,i=4096",
+        "Server nonce does not match the client nonce"),
+      expectServerFirstError("r=fyko+d2lbbFgONRv9qkxdawL," +
+        "s=QSXCR+Q6sek8bf92,i=4096",
+        "Server nonce does not match the client nonce"),
+    ]);
+  });
+  test('Mandatory extensions are rejected', function () {
+    return expectServerFirstError("m=ext," + serverFirst,
+      "Server requires an unsupported SCRAM extension");
+  });
+  test('Iteration count must be sane', function () {
+    var prefix = "r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j," +
+      "s=QSXCR+Q6sek8bf92,";
+    return Promise.all([
+      expectServerFirstError(prefix + "i=0", "Malformed server response"),
+      expectServerFirstError(prefix + "i=", "Malformed server response"),
+      expectServerFirstError(prefix + "i=NaN", "Malformed server response"),
+      expectServerFirstError(prefix + "i=-4096", "Malformed server response"),
+      expectServerFirstError(prefix + "i=4096.5", "Malformed server response"),
+      expectServerFirstError(prefix + "i=1000",
+        "Iteration count 1000 is out of range"),
+      expectServerFirstError(prefix + "i=100000000",
+        "Iteration count 100000000 is out of range"),
+      expectServerFirstError(prefix + "i=4096",
+        "Iteration count 4096 is out of range", {scramMinIterations: 10000}),
+      expectServerFirstError(prefix + "i=20000",
+        "Iteration count 20000 is out of range", {scramMaxIterations: 10000}),
+    ]);
+  });
+  test('Empty salt', function () {
+    return expectServerFirstError(
+      "r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=,i=4096",
+      "Malformed server response");
+  });
+  test('Server-final errors', function () {
+    return Promise.all([
+      expectServerFinalError("e=invalid-proof",
+        "Server reported SCRAM error: invalid-proof").then(function (e) {
+          assert.ok(e instanceof sasl.ScramServerError);
+          assert.equal(e.serverError, "invalid-proof");
+        }),
+      expectServerFinalError("e=unknown-user",
+        "Server reported SCRAM error: unknown-user").then(function (e) {
+          assert.ok(e instanceof sasl.ScramServerError);
+          assert.equal(e.serverError, "unknown-user");
+        }),
+      expectServerFinalError("x=rmF9pqV8S7suAoZWja4dJRkFsKQ=",
+        "Malformed server response"),
+    ]);
+  });
+  test('Server-final extensions are ignored', function () {
+    var auth = startAuth();
+    return auth.authStep("")
+      .then(expectAndSend(auth, clientFirst,
+        saslutils.stringToBase64UTF8(serverFirst)))
+      .then(expectAndSend(auth, clientFinal,
+        saslutils.stringToBase64UTF8("v=rmF9pqV8S7suAoZWja4dJRkFsKQ=,x=y")))
+      .then(expectStr(""));
+  });
+});
+
 suite('SCRAM-SHA-256', function () {
   test('Basic support', function () {
     var auth = quickAuth('SCRAM-SHA-256', {user: "user", pass: "pencil"});
@@ -311,6 +1317,175 @@ suite('SCRAM-SHA-256', function () {
   });
 });
 
+suite('SCRAM-SHA-512', function () {
+  test('Basic support', function () {
+    var auth = quickAuth('SCRAM-SHA-512', {user: "user", pass: "pencil"});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-512", true]);
+    auth._authModule.nonce = 'rOprNGfwEbeRWgbNEkqO';
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "biwsbj11c2VyLHI9ck9wck5HZndFYmVSV2diTkVrcU8=",
+        "cj1yT3ByTkdmd0ViZVJXZ2JORWtxTyVodllEcFdVYTJSYVRDQWZ1eEZJbGopaE5sRiRrMCxzPVcyMlphSjBTTlk3c29Fc1VFamI2Z1E9PSxpPTQwOTY="))
+      .then(expectAndSend(auth,
+        "Yz1iaXdzLHI9ck9wck5HZndFYmVSV2diTkVrcU8laHZZRHBXVWEyUmFUQ0FmdXhGSWxqKWhObEYkazAscD1nTUdYUmNldlNjTnR4WjYvOGxRWXBHdG5zTkFjM21HY21Ob212K3hub09NdyszUjJ4TkpkTU5uek1sVE44UFBDNndkcDZkeWJFbURZWFlUeHduWVBKUT09",
+        "dj1aUW5ZRWdXUU1GbW1zTThhUU1GMG5EREN5L0FnQ3prd2s4Q21NWlljTWcwdlNWbEtEYW5la0x0aWZEU2VWR1Q0KzVaeFhuSnExOTlSVkcyclI3Tjdadz09"))
+      .then(expectStr(""));
+  });
+});
+
+suite('SCRAM-SHA3-512', function () {
+  test('Basic support', function () {
+    var auth = quickAuth('SCRAM-SHA3-512', {user: "user", pass: "pencil"});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA3-512", true]);
+    auth._authModule.nonce = 'rOprNGfwEbeRWgbNEkqO';
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "biwsbj11c2VyLHI9ck9wck5HZndFYmVSV2diTkVrcU8=",
+        "cj1yT3ByTkdmd0ViZVJXZ2JORWtxTyVodllEcFdVYTJSYVRDQWZ1eEZJbGopaE5sRiRrMCxzPVcyMlphSjBTTlk3c29Fc1VFamI2Z1E9PSxpPTQwOTY="))
+      .then(expectAndSend(auth,
+        "Yz1iaXdzLHI9ck9wck5HZndFYmVSV2diTkVrcU8laHZZRHBXVWEyUmFUQ0FmdXhGSWxqKWhObEYkazAscD0zN1JzQzIyYktxVURmZG1KNW9qZnZpSHZKbGxTZE5tMnB5aTlRVnZJZE9pSHlGMHdUM1lvekV2ZjNnc2h0ejgyVm1kT1ZodWJ1RGRxZnhNK3hRWjVoZz09",
+        "dj1lZG1oZ1Zlbk8xWmpOMjgvQ3ZXL2JJMU03cFNiWlh5dkI3ejEzNnhVRHovRG82bnZ6WFpvQk5KeDVwUVErVnQvN1BUM3lHQWY5WXY2Q3lIRmVUOXdJQT09"))
+      .then(expectStr(""));
+  });
+});
+
+suite('makeSCRAMModule', function () {
+  test('Well-known hashes', function () {
+    var module = sasl.makeSCRAMModule("SHA-384");
+    var instance = new module("imap", "localhost.localdomain",
+      {user: "user", pass: "pencil"});
+    assert.ok(instance.isValid());
+    // The nonce is as long as the hash output (48 bytes).
+    assert.equal(instance.nonce.length, 64);
+    assert.equal(module.isClientFirst, true);
+  });
+  test('Custom hashes', function () {
+    assert.throws(function () {
+      sasl.makeSCRAMModule("SHA-224");
+    });
+    var module = sasl.makeSCRAMModule("SHA-224", 28);
+    var instance = new module("imap", "localhost.localdomain",
+      {user: "user", pass: "pencil"});
+    assert.equal(instance.nonce.length, 40);
+  });
+  test('-PLUS variants', function () {
+    var module = sasl.makeSCRAMModule("SHA-512", 0, true);
+    var instance = new module("imap", "localhost.localdomain",
+      {user: "user", pass: "pencil"});
+    assert.ok(!instance.isValid());
+    instance = new module("imap", "localhost.localdomain",
+      {user: "user", pass: "pencil",
+       channelBinding: {type: "tls-unique", data: new Uint8Array(12)}});
+    assert.ok(instance.isValid());
+  });
+});
+
+suite('SCRAM-*-PLUS', function () {
+  var cbData = new Uint8Array(32);
+  for (var i = 0; i < cbData.length; i++)
+    cbData[i] = i;
+
+  test('Mechanism selection', function () {
+    var mechs = ["SCRAM-SHA-1", "SCRAM-SHA-256", "SCRAM-SHA-1-PLUS",
+      "SCRAM-SHA-256-PLUS"];
+    var auth = new sasl.Authenticator("imap", "localhost.localdomain", mechs,
+      {user: "user", pass: "pencil",
+       channelBinding: {type: "tls-exporter", data: cbData}});
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256-PLUS");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1-PLUS");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1");
+    assert.equal(auth.tryNextAuth(), null);
+
+    // No channel binding, no -PLUS.
+    auth = new sasl.Authenticator("imap", "localhost.localdomain", mechs,
+      {user: "user", pass: "pencil"});
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1");
+    assert.equal(auth.tryNextAuth(), null);
+
+    // Unknown channel binding types aren't usable either.
+    auth = new sasl.Authenticator("imap", "localhost.localdomain", mechs,
+      {user: "user", pass: "pencil",
+       channelBinding: {type: "tls-bogus", data: cbData}});
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-1");
+    assert.equal(auth.tryNextAuth(), null);
+  });
+  test('SCRAM-SHA-256-PLUS', function () {
+    var auth = quickAuth('SCRAM-SHA-256-PLUS', {user: "user", pass: "pencil",
+      channelBinding: {type: "tls-exporter", data: cbData}});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-256-PLUS", true]);
+    auth._authModule.nonce = 'rOprNGfwEbeRWgbNEkqO';
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "cD10bHMtZXhwb3J0ZXIsLG49dXNlcixyPXJPcHJOR2Z3RWJlUldnYk5Fa3FP",
+        "cj1yT3ByTkdmd0ViZVJXZ2JORWtxTyVodllEcFdVYTJSYVRDQWZ1eEZJbGopaE5sRiRrMCxzPVcyMlphSjBTTlk3c29Fc1VFamI2Z1E9PSxpPTQwOTY="))
+      .then(expectAndSend(auth,
+        "Yz1jRDEwYkhNdFpYaHdiM0owWlhJc0xBQUJBZ01FQlFZSENBa0tDd3dORGc4UUVSSVRGQlVXRnhnWkdoc2NIUjRmLHI9ck9wck5HZndFYmVSV2diTkVrcU8laHZZRHBXVWEyUmFUQ0FmdXhGSWxqKWhObEYkazAscD1RQzZDUzIwcXVBRFFSYjNtVDk5WVVIK24zVkp4VXZ6dUswSzBFMVZyczJNPQ==",
+        "dj0yR2lBZ2FwRXBwTFZsVVhieFVEa3NMM1ZnWUh6dXFpSzV0UjRtaEpHZ3ZzPQ=="))
+      .then(expectStr(""));
+  });
+  test('Channel binding data callback', function () {
+    var requestedType;
+    var auth = quickAuth('SCRAM-SHA-256-PLUS', {user: "user", pass: "pencil",
+      channelBinding: {type: "tls-exporter", data: function (type) {
+        requestedType = type;
+        return Promise.resolve(cbData);
+      }}});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-256-PLUS", true]);
+    auth._authModule.nonce = 'rOprNGfwEbeRWgbNEkqO';
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "cD10bHMtZXhwb3J0ZXIsLG49dXNlcixyPXJPcHJOR2Z3RWJlUldnYk5Fa3FP",
+        "cj1yT3ByTkdmd0ViZVJXZ2JORWtxTyVodllEcFdVYTJSYVRDQWZ1eEZJbGopaE5sRiRrMCxzPVcyMlphSjBTTlk3c29Fc1VFamI2Z1E9PSxpPTQwOTY="))
+      .then(expectStr(
+        "Yz1jRDEwYkhNdFpYaHdiM0owWlhJc0xBQUJBZ01FQlFZSENBa0tDd3dORGc4UUVSSVRGQlVXRnhnWkdoc2NIUjRmLHI9ck9wck5HZndFYmVSV2diTkVrcU8laHZZRHBXVWEyUmFUQ0FmdXhGSWxqKWhObEYkazAscD1RQzZDUzIwcXVBRFFSYjNtVDk5WVVIK24zVkp4VXZ6dUswSzBFMVZyczJNPQ=="))
+      .then(function () { assert.equal(requestedType, "tls-exporter"); });
+  });
+  test('Missing channel binding data', function () {
+    var auth = quickAuth('SCRAM-SHA-1-PLUS', {user: "user", pass: "pencil",
+      channelBinding: {type: "tls-unique", data: function () { return null; }}});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-1-PLUS", true]);
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "cD10bHMtdW5pcXVlLCxuPXVzZXIscj1meWtvK2QybGJiRmdPTlJ2OXFreGRhd0w=",
+        "cj1meWtvK2QybGJiRmdPTlJ2OXFreGRhd0wzcmZjTkhZSlkxWlZ2V1ZzN2oscz1RU1hDUitRNnNlazhiZjkyLGk9NDA5Ng=="))
+      .then(function (e) { assert.fail(false, true, "Should fail"); },
+        function (e) {
+          assert.equal(e.message, "No channel binding data is available");
+        });
+  });
+  test('Server without channel binding', function () {
+    // The client supports channel binding, but the server didn't offer it.
+    var auth = quickAuth('SCRAM-SHA-1', {user: "user", pass: "pencil",
+      channelBinding: {type: "tls-unique", data: cbData}});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-1", true]);
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "eSwsbj11c2VyLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdM",
+        "cj1meWtvK2QybGJiRmdPTlJ2OXFreGRhd0wzcmZjTkhZSlkxWlZ2V1ZzN2oscz1RU1hDUitRNnNlazhiZjkyLGk9NDA5Ng=="))
+      .then(expectAndSend(auth,
+        "Yz1lU3dzLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdMM3JmY05IWUpZMVpWdldWczdqLHA9QmpaRjVkVitFa0QzWUNiM3BIM0lQOHJpTUd3PQ==",
+        "dj1kc3ByUTVSMkFHWXQxa240YlFSd1RBRTBQVFU9"))
+      .then(expectStr(""));
+  });
+  test('Falling back from -PLUS', function () {
+    // The server supports channel binding, so the client must not claim that
+    // it thinks otherwise.
+    var auth = new sasl.Authenticator("imap", "localhost.localdomain",
+      ["SCRAM-SHA-1", "SCRAM-SHA-1-PLUS"], {user: "user", pass: "pencil",
+        channelBinding: {type: "tls-unique", data: cbData}});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-1-PLUS", true]);
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-1", true]);
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("")
+      .then(expectStr("biwsbj11c2VyLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdM"));
+  });
+});
+
 suite('XOAUTH2', function () {
   test('Basic support', function () {
     var auth = quickAuth('XOAUTH2', {
@@ -335,6 +1510,48 @@ suite('XOAUTH2', function () {
   });
 });
 
+suite('OAUTHBEARER', function () {
+  test('Basic support', function () {
+    var auth = new sasl.Authenticator("imap", "server.example.com",
+      ["OAUTHBEARER"], {
+        user: "user@example.com",
+        oauthbearer: "vF9dft4qmTc2Nvb3RlckBhdHRhdmlzdGEuY29tCg==",
+        port: 143
+      });
+    assert.deepEqual(auth.tryNextAuth(), ["OAUTHBEARER", true]);
+    return auth.authStep("")
+      .then(expectStr("bixhPXVzZXJAZXhhbXBsZS5jb20sAWhvc3Q9c2VydmVyLmV4YW1wbGUuY29tAXBvcnQ9MTQzAWF1dGg9QmVhcmVyIHZGOWRmdDRxbVRjMk52YjNSbGNrQmhkSFJoZG1semRHRXVZMjl0Q2c9PQEB"));
+  });
+  test('No user or port', function () {
+    var auth = new sasl.Authenticator("imap", "server.example.com",
+      ["OAUTHBEARER"], {oauthbearer: "tok"});
+    assert.deepEqual(auth.tryNextAuth(), ["OAUTHBEARER", true]);
+    return auth.authStep("")
+      .then(expectStr("biwsAWhvc3Q9c2VydmVyLmV4YW1wbGUuY29tAWF1dGg9QmVhcmVyIHRvawEB"));
+  });
+  test('Server auth error', function () {
+    var auth = new sasl.Authenticator("imap", "server.example.com",
+      ["OAUTHBEARER"], {
+        user: "user@example.com",
+        oauthbearer: "vF9dft4qmTc2Nvb3RlckBhdHRhdmlzdGEuY29tCg==",
+        port: 143
+      });
+    assert.deepEqual(auth.tryNextAuth(), ["OAUTHBEARER", true]);
+    return auth.authStep("")
+      .then(expectAndSend(auth,
+        "bixhPXVzZXJAZXhhbXBsZS5jb20sAWhvc3Q9c2VydmVyLmV4YW1wbGUuY29tAXBvcnQ9MTQzAWF1dGg9QmVhcmVyIHZGOWRmdDRxbVRjMk52YjNSbGNrQmhkSFJoZG1semRHRXVZMjl0Q2c9PQEB",
+        "eyJzdGF0dXMiOiJpbnZhbGlkX3Rva2VuIiwic2NvcGUiOiJleGFtcGxlX3Njb3BlIiwib3BlbmlkLWNvbmZpZ3VyYXRpb24iOiJodHRwczovL2V4YW1wbGUuY29tLy53ZWxsLWtub3duL29wZW5pZC1jb25maWd1cmF0aW9uIn0="))
+      .then(expectStr("AQ=="))
+      .then(function () {
+        assert.equal(auth._authModule.serverError.status, "invalid_token");
+      });
+  });
+  test('Requires a bearer token', function () {
+    var auth = quickAuth('OAUTHBEARER', {user: "user@example.com"});
+    assert.equal(auth.tryNextAuth(), null);
+  });
+});
+
 suite('ANONYMOUS', function () {
   test('Basic support', function () {
     var auth = quickAuth('ANONYMOUS', {user: "sirhc",
@@ -355,3 +1572,768 @@ suite('ANONYMOUS', function () {
   });
 });
 
+
+suite('EXTERNAL', function () {
+  test('Basic support', function () {
+    var auth = quickAuth('EXTERNAL', {clientCertificate: true});
+    assert.deepEqual(auth.tryNextAuth(), ["EXTERNAL", true]);
+    return auth.authStep("")
+      .then(expectStr(""));
+  });
+  test('Authorization identity', function () {
+    var auth = quickAuth('EXTERNAL',
+      {clientCertificate: true, authzid: "shared\u00e9"});
+    assert.deepEqual(auth.tryNextAuth(), ["EXTERNAL", true]);
+    return auth.authStep("")
+      .then(expectStr("c2hhcmVkw6k="));
+  });
+  test('Only with a client certificate', function () {
+    var auth = quickAuth('EXTERNAL', {user: "tim", pass: "tanstaaftanstaaf"});
+    var reasons = [];
+    auth.on("skipped", function (event) { reasons.push(event.reason); });
+    assert.equal(auth.tryNextAuth(), null);
+    assert.deepEqual(reasons, ["No client certificate is in use"]);
+  });
+  test('Preferred over passwords', function () {
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["PLAIN", "SCRAM-SHA-256", "EXTERNAL"],
+      {user: "tim", pass: "tanstaaftanstaaf", clientCertificate: true});
+    assert.equal(auth.tryNextAuth()[0], "EXTERNAL");
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256");
+  });
+  test('Excessively chatty server', function () {
+    var auth = quickAuth('EXTERNAL', {clientCertificate: true});
+    assert.deepEqual(auth.tryNextAuth(), ["EXTERNAL", true]);
+    return auth.authStep("")
+      .then(expectAndSend(auth, "", ""))
+      .then(function (e) { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.message, "Too many steps"); });
+  });
+});
+
+suite('NTLM', function () {
+  function fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g), function (b) {
+      return parseInt(b, 16);
+    });
+  }
+  function toHex(bytes) {
+    return Array.from(bytes, function (b) {
+      return (b < 16 ? "0" : "") + b.toString(16);
+    }).join("");
+  }
+  function utf16(str) {
+    return toHex(Array.from(str, function (c) {
+      return [c.charCodeAt(0), 0];
+    }).reduce(function (a, b) { return a.concat(b); }, []));
+  }
+  // Return the payload of the field at the given offset of a message.
+  function field(message, offset) {
+    var view = new DataView(message.buffer, message.byteOffset);
+    var start = view.getUint32(offset + 4, true);
+    return message.subarray(start, start + view.getUint16(offset, true));
+  }
+  // The CHALLENGE_MESSAGE of MS-NLMP, §4.2.4.3.
+  var targetInfo = "02000c00" + utf16("Domain") + "01000c00" + utf16("Server") +
+    "00000000";
+  function challengeMessage(info) {
+    var length = toHex([info.length / 2, 0]);
+    return saslutils.arrayBufferToBase64(fromHex("4e544c4d5353500002000000" +
+      "0c000c0038000000" + "33828ae2" + "0123456789abcdef" + "0000000000000000" +
+      length + length + "44000000" + "060070170000000f" + utf16("Server") +
+      info));
+  }
+  function startNtlm(opts) {
+    var auth = quickAuth('NTLM', Object.assign(
+      {user: "User", pass: "Password", ntlmDomain: "Domain"}, opts));
+    assert.deepEqual(auth.tryNextAuth(), ["NTLM", true]);
+    auth._authModule.clientChallenge = fromHex("aaaaaaaaaaaaaaaa");
+    auth._authModule.timestamp = new Uint8Array(8);
+    return auth;
+  }
+  function authenticateMessage(auth, challenge) {
+    return auth.authStep("").then(function () {
+      return auth.authStep(challenge);
+    }).then(function (response) {
+      return saslutils.base64ToArrayBuffer(response);
+    });
+  }
+
+  test('Negotiate message', function () {
+    var auth = startNtlm();
+    return auth.authStep("").then(function (response) {
+      assert.equal(toHex(saslutils.base64ToArrayBuffer(response)),
+        "4e544c4d5353500001000000058208a0" +
+        "00000000200000000000000020000000");
+    });
+  });
+  test('NTLMv2 responses', function () {
+    // See MS-NLMP, §4.2.4
+    var auth = startNtlm();
+    return authenticateMessage(auth, challengeMessage(targetInfo))
+        .then(function (message) {
+      assert.equal(toHex(message.subarray(0, 12)), "4e544c4d5353500003000000");
+      assert.equal(toHex(message.subarray(60, 64)), "018208a0");
+      assert.equal(toHex(field(message, 12)),
+        "86c35097ac9cec102554764a57cccc19aaaaaaaaaaaaaaaa");
+      assert.equal(toHex(field(message, 20)),
+        "68cd0ab851e51c96aabc927bebef6a1c" + "0101000000000000" +
+        "0000000000000000" + "aaaaaaaaaaaaaaaa" + "00000000" + targetInfo +
+        "00000000");
+      assert.equal(toHex(field(message, 28)), utf16("Domain"));
+      assert.equal(toHex(field(message, 36)), utf16("User"));
+      assert.equal(toHex(field(message, 44)), "");
+      assert.equal(toHex(field(message, 52)), "");
+    });
+  });
+  test('Server timestamp', function () {
+    var info = "02000c00" + utf16("Domain") + "07000800" + "0011223344556677" +
+      "00000000";
+    var auth = startNtlm();
+    return authenticateMessage(auth, challengeMessage(info))
+        .then(function (message) {
+      assert.equal(toHex(field(message, 12)), "00".repeat(24));
+      assert.equal(toHex(field(message, 20)).substring(32, 64),
+        "01010000000000000011223344556677");
+    });
+  });
+  test('Domain in the user name', function () {
+    var auth = startNtlm({user: "Domain\\User", ntlmDomain: undefined,
+      ntlmWorkstation: "WS"});
+    return authenticateMessage(auth, challengeMessage(targetInfo))
+        .then(function (message) {
+      assert.equal(toHex(field(message, 20)).substring(0, 32),
+        "68cd0ab851e51c96aabc927bebef6a1c");
+      assert.equal(toHex(field(message, 28)), utf16("Domain"));
+      assert.equal(toHex(field(message, 36)), utf16("User"));
+      assert.equal(toHex(field(message, 44)), utf16("WS"));
+    });
+  });
+  test('NTLMv1 servers are not supported', function () {
+    var auth = startNtlm();
+    var message = saslutils.base64ToArrayBuffer(challengeMessage(targetInfo));
+    message[22] &= ~0x80;
+    return authenticateMessage(auth, saslutils.arrayBufferToBase64(message))
+      .then(function (e) { throw new Error("Expected error"); },
+            function (e) {
+        assert.equal(e.code, sasl.SaslError.UNSUPPORTED_CHALLENGE);
+        assert.equal(e.message, "Server does not support NTLMv2");
+      });
+  });
+  test('Malformed challenges', function () {
+    var bad = [
+      saslutils.arrayBufferToBase64(fromHex("4e544c4d53535000")),
+      challengeMessage(targetInfo.substring(0, 40)),
+      challengeMessage(targetInfo).replace(/^TlRMTVNTUAAC/, "TlRMTVNTUAAD"),
+    ];
+    return Promise.all(bad.map(function (challenge) {
+      return authenticateMessage(startNtlm(), challenge)
+        .then(function (e) { throw new Error("Expected error"); },
+              function (e) {
+          assert.equal(e.code, sasl.SaslError.MALFORMED_CHALLENGE);
+        });
+    }));
+  });
+  test('No authorization identity', function () {
+    var auth = quickAuth('NTLM', {user: "User", pass: "Password",
+      authzid: "admin"});
+    var reasons = [];
+    auth.on("skipped", function (event) { reasons.push(event.reason); });
+    assert.equal(auth.tryNextAuth(), null);
+    assert.deepEqual(reasons, ["NTLM cannot send an authorization identity"]);
+  });
+});
+
+suite('Crypto providers', function () {
+  var cramChallenge = "PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+";
+  var cramResponse = "dGltIGI5MTNhNjAyYzdlZGE3YTQ5NWI0ZTZlNzMzNGQzODkw";
+  function firstMessage(opts) {
+    var auth = quickAuth('SCRAM-SHA-256',
+      Object.assign({user: "user", pass: "pencil"}, opts));
+    auth.tryNextAuth();
+    return auth.authStep("");
+  }
+  test('Deterministic random values', function () {
+    return Promise.all([
+      firstMessage({crypto: sasl.deterministicRandom(42)}),
+      firstMessage({crypto: sasl.deterministicRandom(42)}),
+      firstMessage({crypto: sasl.deterministicRandom(43)}),
+    ]).then(function (messages) {
+      assert.equal(messages[0], messages[1]);
+      assert.notEqual(messages[0], messages[2]);
+    });
+  });
+  test('Per-authenticator provider', function () {
+    var calls = [];
+    var base = sasl.getCryptoProvider();
+    var provider = {
+      digest: base.digest.bind(base),
+      pbkdf2: base.pbkdf2.bind(base),
+      randomBytes: base.randomBytes.bind(base),
+      hmac: function (hashName, key, data) {
+        calls.push(hashName);
+        return base.hmac(hashName, key, data);
+      },
+    };
+    var auth = quickAuth('CRAM-MD5',
+      {user: "tim", pass: "tanstaaftanstaaf", crypto: provider});
+    auth.tryNextAuth();
+    return auth.authStep(cramChallenge).then(function (response) {
+      assert.equal(response, cramResponse);
+      assert.deepEqual(calls, ["MD5"]);
+    });
+  });
+  test('Default provider', function () {
+    var original = sasl.getCryptoProvider();
+    function seededMessage() {
+      sasl.setCryptoProvider(sasl.deterministicRandom(7, original));
+      var message = firstMessage({});
+      sasl.setCryptoProvider(original);
+      return message;
+    }
+    return Promise.all([seededMessage(), seededMessage(), firstMessage({})])
+      .then(function (messages) {
+        assert.equal(messages[0], messages[1]);
+        assert.notEqual(messages[2], messages[0]);
+      });
+  });
+  test('WebCrypto without MD5', function () {
+    var noMD5 = {
+      getRandomValues: function (array) {
+        return platformCrypto.getRandomValues(array);
+      },
+      subtle: {
+        digest: function (hashName, data) {
+          if (hashName == "MD5")
+            return Promise.reject(new Error("Unsupported hash function"));
+          return platformCrypto.subtle.digest(hashName, data);
+        },
+      },
+    };
+    var auth = quickAuth('CRAM-MD5', {user: "tim", pass: "tanstaaftanstaaf",
+      crypto: new sasl.WebCryptoProvider(noMD5)});
+    auth.tryNextAuth();
+    return auth.authStep(cramChallenge).then(expectStr(cramResponse));
+  });
+  webCryptoTest('Unsupported hash functions', function () {
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["SCRAM-SHA3-512", "SCRAM-SHA-512"], {user: "user", pass: "pencil",
+        crypto: new sasl.WebCryptoProvider(platformCrypto)});
+    var skipped = [];
+    auth.on("skipped", function (event) { skipped.push(event.reason); });
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-512", true]);
+    assert.deepEqual(skipped,
+      ["The crypto provider does not support SHA3-512"]);
+    // Providers that do not say which hash functions they support are
+    // assumed to support them all.
+    var base = sasl.getCryptoProvider();
+    auth = quickAuth('SCRAM-SHA3-512', {user: "user", pass: "pencil",
+      crypto: {randomBytes: base.randomBytes.bind(base)}});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA3-512", true]);
+  });
+  test('node.js without WebCrypto', function () {
+    // Before node.js 15, the crypto module has no webcrypto property.
+    var provider = new sasl.NodeCryptoProvider({
+      randomBytes: function (length) {
+        return new Uint8Array(length).fill(7);
+      },
+    });
+    assert.deepEqual(provider.randomBytes(3), new Uint8Array([7, 7, 7]));
+    var auth = quickAuth('SCRAM-SHA-256',
+      {user: "user", pass: "pencil", crypto: provider});
+    assert.deepEqual(auth.tryNextAuth(), ["SCRAM-SHA-256", true]);
+  });
+  webCryptoTest('Server with a provider', function () {
+    var server = new sasl.ServerAuthenticator("imap", "localhost",
+      ["SCRAM-SHA-256"], {
+        lookup: function () { return {pass: "pencil"}; },
+        crypto: sasl.deterministicRandom(1),
+      });
+    var auth = quickAuth('SCRAM-SHA-256', {user: "user", pass: "pencil",
+      crypto: new sasl.WebCryptoProvider(platformCrypto)});
+    auth.tryNextAuth();
+    return auth.authStep("").then(function (response) {
+      return server.start("SCRAM-SHA-256", response);
+    }).then(function (result) {
+      return auth.authStep(result.challenge);
+    }).then(function (response) {
+      return server.authStep(response);
+    }).then(function (result) {
+      return auth.authStep(result.challenge);
+    }).then(function (response) {
+      return server.authStep(response);
+    }).then(function (result) {
+      assert.ok(result.success);
+    });
+  });
+});
+
+suite('Mechanism memory', function () {
+  var mechanisms = ["SCRAM-SHA-256", "CRAM-MD5", "PLAIN"];
+  var creds = {user: "tim", pass: "tanstaaftanstaaf"};
+
+  // A clock that the tests can move forward.
+  function makeMemory(maxAge) {
+    var clock = {time: 1000};
+    var memory = new sasl.MechanismMemory({
+      maxAge: maxAge,
+      now: function () { return clock.time; },
+    });
+    memory.clock = clock;
+    return memory;
+  }
+
+  function makeAuth(memory, opts) {
+    return new sasl.Authenticator("imap", "localhost.localdomain", mechanisms,
+      Object.assign({mechanismMemory: memory}, creds, opts));
+  }
+
+  // Every mechanism but PLAIN is rejected by the server.
+  function onlyPlain(auth) {
+    var attempts = [];
+    return auth.authenticate({
+      supportsInitialResponse: true,
+      start: function (mechanism) {
+        attempts.push(mechanism);
+        return Promise.resolve({type: mechanism == "PLAIN" ?
+          "success" : "failure"});
+      },
+      respond: function () {},
+      cancel: function () {},
+    }).then(function (mechanism) {
+      assert.equal(mechanism, "PLAIN");
+      return attempts;
+    });
+  }
+
+  test('Recording and reordering', function () {
+    var memory = makeMemory();
+    return onlyPlain(makeAuth(memory)).then(function (attempts) {
+      assert.deepEqual(attempts, mechanisms);
+      assert.deepEqual(memory.lookup("IMAP", "LOCALHOST.localdomain", "tim"), {
+        succeeded: "PLAIN",
+        failed: ["SCRAM-SHA-256", "CRAM-MD5"],
+      });
+      return onlyPlain(makeAuth(memory));
+    }).then(function (attempts) {
+      assert.deepEqual(attempts, ["PLAIN"]);
+      // Other users and servers are not affected.
+      assert.equal(makeAuth(memory, {user: "bob"}).tryNextAuth()[0],
+        "SCRAM-SHA-256");
+      assert.deepEqual(memory.sortMechanisms("smtp", "localhost.localdomain",
+        "tim", mechanisms), mechanisms);
+    });
+  });
+  test('Failures', function () {
+    var memory = makeMemory();
+    memory.recordFailure("imap", "localhost.localdomain", "tim",
+      "SCRAM-SHA-256");
+    var auth = makeAuth(memory);
+    assert.equal(auth.tryNextAuth()[0], "CRAM-MD5");
+    auth.authFailed();
+    assert.equal(auth.tryNextAuth()[0], "PLAIN");
+    auth.authSucceeded();
+    // A mechanism that fails is no longer the one that succeeded.
+    memory.recordFailure("imap", "localhost.localdomain", "tim", "PLAIN");
+    assert.deepEqual(memory.lookup("imap", "localhost.localdomain", "tim"), {
+      succeeded: null,
+      failed: ["SCRAM-SHA-256", "CRAM-MD5", "PLAIN"],
+    });
+    memory.forget("imap", "localhost.localdomain", "tim");
+    assert.equal(makeAuth(memory).tryNextAuth()[0], "SCRAM-SHA-256");
+  });
+  test('Expiry', function () {
+    var memory = makeMemory(60000);
+    memory.recordFailure("imap", "localhost.localdomain", "tim",
+      "SCRAM-SHA-256");
+    memory.clock.time += 30000;
+    memory.recordSuccess("imap", "localhost.localdomain", "tim", "PLAIN");
+    memory.clock.time += 40000;
+    assert.deepEqual(memory.lookup("imap", "localhost.localdomain", "tim"),
+      {succeeded: "PLAIN", failed: []});
+    assert.equal(makeAuth(memory).tryNextAuth()[0], "PLAIN");
+    memory.clock.time += 30000;
+    assert.deepEqual(memory.toJSON(), {});
+    assert.equal(makeAuth(memory).tryNextAuth()[0], "SCRAM-SHA-256");
+  });
+  test('Security policy', function () {
+    // A plaintext mechanism is still tried last over an insecure transport.
+    var memory = makeMemory();
+    memory.recordSuccess("imap", "localhost.localdomain", "tim", "PLAIN");
+    memory.recordSuccess("imap", "localhost.localdomain", "tim", "CRAM-MD5");
+    var auth = makeAuth(memory, {securityPolicy: {}});
+    assert.equal(auth.tryNextAuth()[0], "CRAM-MD5");
+    memory.recordSuccess("imap", "localhost.localdomain", "tim", "PLAIN");
+    auth = makeAuth(memory, {securityPolicy: {}});
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256");
+    auth = makeAuth(memory, {securityPolicy: {}, transportSecure: true});
+    assert.equal(auth.tryNextAuth()[0], "PLAIN");
+    // Forbidden mechanisms are never tried.
+    auth = makeAuth(memory, {securityPolicy: {noPlaintext: true},
+      desiredAuthMethods: ["PLAIN"]});
+    assert.equal(auth.tryNextAuth(), null);
+  });
+  test('Persistence', function () {
+    var memory = makeMemory();
+    memory.recordSuccess("imap", "localhost.localdomain", "tim", "PLAIN");
+    var restored = new sasl.MechanismMemory({
+      entries: JSON.parse(JSON.stringify(memory)),
+      now: function () { return 2000; },
+    });
+    assert.equal(makeAuth(restored).tryNextAuth()[0], "PLAIN");
+  });
+  test('Rejected credentials', function () {
+    var memory = makeMemory();
+    var auth = makeAuth(memory);
+    auth.tryNextAuth();
+    auth.authFailed(null, "credentials");
+    auth = makeAuth(memory);
+    auth.tryNextAuth();
+    auth.authFailed(null, "unavailable");
+    assert.deepEqual(memory.toJSON(), {});
+  });
+  test('User callbacks', function () {
+    var memory = makeMemory();
+    memory.recordSuccess("imap", "localhost.localdomain", "tim", "PLAIN");
+    var auth = makeAuth(memory, {user: function () { return "tim"; }});
+    assert.equal(auth.tryNextAuth()[0], "SCRAM-SHA-256");
+    auth.authFailed();
+    assert.deepEqual(memory.lookup("imap", "localhost.localdomain", "tim"),
+      {succeeded: "PLAIN", failed: []});
+  });
+});
+
+suite('Cancellation', function () {
+  var serverFirst = saslutils.stringToBase64UTF8(
+    "r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096");
+
+  // A crypto provider whose PBKDF2 only completes when it is released.
+  function slowCrypto() {
+    var base = sasl.getCryptoProvider();
+    var provider = {
+      digest: base.digest.bind(base),
+      hmac: base.hmac.bind(base),
+      randomBytes: base.randomBytes.bind(base),
+      pbkdf2: function () {
+        var args = arguments;
+        return new Promise(function (resolve) {
+          provider.release = function () {
+            resolve(base.pbkdf2.apply(base, args));
+          };
+        });
+      },
+    };
+    return provider;
+  }
+
+  // Start a SCRAM-SHA-1 exchange, up to the step that runs PBKDF2.
+  function startScram(opts) {
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["SCRAM-SHA-1", "PLAIN"], Object.assign({
+        user: "user", pass: "pencil", crypto: slowCrypto(),
+      }, opts));
+    auth.tryNextAuth();
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("").then(function () { return auth; });
+  }
+
+  function expectCode(code) {
+    return [function () { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.code, code); }];
+  }
+
+  // A minimal stand-in for an AbortController, which node.js only has from
+  // version 15 on. Its signal has just what the Authenticator uses.
+  function makeController() {
+    var listeners = [];
+    var signal = {
+      aborted: false,
+      addEventListener: function (type, listener) {
+        if (type == "abort")
+          listeners.push(listener);
+      },
+      removeEventListener: function (type, listener) {
+        var index = listeners.indexOf(listener);
+        if (type == "abort" && index >= 0)
+          listeners.splice(index, 1);
+      },
+    };
+    return {
+      signal: signal,
+      abort: function () {
+        if (signal.aborted)
+          return;
+        signal.aborted = true;
+        listeners.slice().forEach(function (listener) {
+          listener.call(signal, {type: "abort"});
+        });
+      },
+    };
+  }
+
+  test('AbortSignal', function () {
+    var controller = makeController();
+    return startScram().then(function (auth) {
+      var events = [];
+      auth.on("sent", function () { events.push("sent"); });
+      auth.on("failed", function (event) { events.push(event.error.code); });
+      var step = auth.authStep(serverFirst, {signal: controller.signal});
+      controller.abort();
+      return step.then.apply(step, expectCode("ABORTED")).then(function () {
+        // The result of the computation is discarded.
+        auth.options.crypto.release();
+        return new Promise(function (resolve) { setTimeout(resolve, 50); });
+      }).then(function () {
+        assert.deepEqual(events, ["ABORTED"]);
+        var again = auth.authStep(serverFirst);
+        return again.then.apply(again, expectCode("ABORTED"));
+      }).then(function () {
+        assert.deepEqual(auth.tryNextAuth(), ["PLAIN", true]);
+        return auth.authStep("");
+      }).then(expectStr("AHVzZXIAcGVuY2ls"));
+    });
+  });
+  test('Signal aborted in advance', function () {
+    var controller = makeController();
+    controller.abort();
+    return startScram().then(function (auth) {
+      var step = auth.authStep(serverFirst, {signal: controller.signal});
+      return step.then.apply(step, expectCode("ABORTED"));
+    });
+  });
+  test('Timeouts', function () {
+    return startScram({stepTimeout: {"SCRAM-SHA-1": 10}}).then(function (auth) {
+      var step = auth.authStep(serverFirst);
+      return step.then.apply(step, expectCode("TIMEOUT"));
+    }).then(function () {
+      return startScram({stepTimeout: 10000});
+    }).then(function (auth) {
+      var step = auth.authStep(serverFirst, {timeout: 10});
+      return step.then.apply(step, expectCode("TIMEOUT"));
+    });
+  });
+  test('Steps within the timeout', function () {
+    var auth = quickAuth('PLAIN', {user: "tim", pass: "tanstaaftanstaaf",
+      stepTimeout: 1000});
+    auth.tryNextAuth();
+    return auth.authStep("").then(expectStr("AHRpbQB0YW5zdGFhZnRhbnN0YWFm"));
+  });
+  test('abort', function () {
+    return startScram().then(function (auth) {
+      var failures = [];
+      auth.on("failed", function (event) { failures.push(event.error.code); });
+      var step = auth.authStep(serverFirst);
+      assert.equal(auth.abort(), "*");
+      assert.equal(auth.abort(), null);
+      assert.deepEqual(failures, ["ABORTED"]);
+      return step.then.apply(step, expectCode("ABORTED")).then(function () {
+        assert.equal(auth.tryNextAuth()[0], "PLAIN");
+        assert.equal(auth.tryNextAuth(), null);
+        assert.equal(auth.abort(), null);
+      });
+    });
+  });
+  test('Next mechanism after abort', function () {
+    return startScram().then(function (auth) {
+      var failures = [];
+      auth.on("failed", function (event) { failures.push(event.error.code); });
+      var step = auth.authStep(serverFirst);
+      auth.abort();
+      assert.equal(auth.tryNextAuth()[0], "PLAIN");
+      var plain = auth.authStep("");
+      return step.then.apply(step, expectCode("ABORTED")).then(function () {
+        return plain;
+      }).then(function (response) {
+        assert.equal(response, "AHVzZXIAcGVuY2ls");
+        assert.deepEqual(failures, ["ABORTED"]);
+        auth.options.crypto.release();
+      });
+    });
+  });
+  test('Next mechanism during a step', function () {
+    return startScram().then(function (auth) {
+      var failures = [];
+      auth.on("failed", function (event) { failures.push(event.error.code); });
+      var step = auth.authStep(serverFirst);
+      assert.equal(auth.tryNextAuth()[0], "PLAIN");
+      return step.then.apply(step, expectCode("ABORTED")).then(function () {
+        return auth.authStep("");
+      }).then(function (response) {
+        assert.equal(response, "AHVzZXIAcGVuY2ls");
+        auth.authSucceeded();
+        assert.deepEqual(failures, []);
+        auth.options.crypto.release();
+      });
+    });
+  });
+  test('The previous mechanism is closed', function () {
+    var closed = false;
+    function ClosingModule() {}
+    ClosingModule.prototype.isValid = function () { return true; };
+    ClosingModule.prototype.executeSteps = function* () {
+      try {
+        yield "";
+        yield "";
+      } finally {
+        closed = true;
+      }
+    };
+    sasl.addSaslModule("X-CLOSING", ClosingModule);
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["X-CLOSING", "PLAIN"], {user: "tim", pass: "tanstaaftanstaaf",
+        desiredAuthMethods: ["X-CLOSING", "PLAIN"]});
+    auth.tryNextAuth();
+    return auth.authStep("").then(function () {
+      assert.equal(auth.tryNextAuth()[0], "PLAIN");
+      return Promise.resolve();
+    }).then(function () {
+      assert.ok(closed);
+    });
+  });
+  test('authenticate', function () {
+    var controller = makeController();
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["SCRAM-SHA-1", "PLAIN"], {user: "user", pass: "pencil"});
+    var transport = scriptedTransport([
+      {type: "continuation", data: serverFirst},
+      {type: "failure"},
+    ]);
+    var start = transport.start;
+    transport.start = function () {
+      controller.abort();
+      return start.apply(this, arguments);
+    };
+    var result = auth.authenticate(transport, {signal: controller.signal});
+    return result.then.apply(result, expectCode("ABORTED")).then(function () {
+      assert.deepEqual(transport.calls.map(function (call) {
+        return call[0];
+      }), ["start", "cancel"]);
+    });
+  });
+});
+
+suite('SCRAM key derivation', function () {
+  var serverFirst = saslutils.stringToBase64UTF8(
+    "r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096");
+  var clientFinal = "Yz1iaXdzLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdMM3JmY05IWUpZMVpWdldWczdqLHA9djBYOHYzQnoyVDBDSkdiSlF5RjBYK0hJNFRzPQ==";
+
+  // Run the exchange of RFC 5802 up to the client-final-message.
+  function clientFinalMessage(opts) {
+    var auth = quickAuth('SCRAM-SHA-1',
+      Object.assign({user: "user", pass: "pencil"}, opts));
+    auth.tryNextAuth();
+    auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+    return auth.authStep("").then(function () {
+      return auth.authStep(serverFirst);
+    });
+  }
+
+  // A WebCrypto object that counts the PBKDF2 derivations.
+  function countingWebCrypto() {
+    var subtle = platformCrypto.subtle;
+    var webcrypto = {
+      derivations: 0,
+      getRandomValues: function (array) {
+        return platformCrypto.getRandomValues(array);
+      },
+      subtle: {
+        digest: subtle.digest.bind(subtle),
+        importKey: subtle.importKey.bind(subtle),
+        sign: subtle.sign.bind(subtle),
+        deriveBits: function () {
+          webcrypto.derivations++;
+          return subtle.deriveBits.apply(subtle, arguments);
+        },
+      },
+    };
+    return webcrypto;
+  }
+
+  // Count the PBKDF2 derivations of the platform's WebCrypto object, which
+  // the default provider wraps, during a call.
+  function countPlatformDerivations(run) {
+    var subtle = sasl.getCryptoProvider().webcrypto.subtle;
+    var deriveBits = subtle.deriveBits;
+    var counts = {derivations: 0};
+    subtle.deriveBits = function () {
+      counts.derivations++;
+      return deriveBits.apply(subtle, arguments);
+    };
+    function restore() { delete subtle.deriveBits; }
+    return run().then(function (result) {
+      restore();
+      return [result, counts.derivations];
+    }, function (e) {
+      restore();
+      throw e;
+    });
+  }
+
+  webCryptoTest('In a worker', function () {
+    return countPlatformDerivations(function () {
+      return clientFinalMessage({});
+    }).then(function (result) {
+      assert.deepEqual(result, [clientFinal, 0]);
+    });
+  });
+  webCryptoTest('On the calling thread', function () {
+    return countPlatformDerivations(function () {
+      return clientFinalMessage({scramWorker: false});
+    }).then(function (result) {
+      assert.deepEqual(result, [clientFinal, 1]);
+    });
+  });
+  webCryptoTest('Injected WebCrypto', function () {
+    // The worker would ignore the WebCrypto object given to the provider.
+    var webcrypto = countingWebCrypto();
+    return clientFinalMessage({crypto: new sasl.WebCryptoProvider(webcrypto)})
+      .then(function (response) {
+        assert.equal(response, clientFinal);
+        assert.equal(webcrypto.derivations, 1);
+      });
+  });
+  webCryptoTest('Custom providers', function () {
+    var webcrypto = countingWebCrypto();
+    class Provider extends sasl.WebCryptoProvider {}
+    return clientFinalMessage({crypto: new Provider(webcrypto)})
+      .then(function (response) {
+        assert.equal(response, clientFinal);
+        assert.equal(webcrypto.derivations, 1);
+      });
+  });
+  webCryptoTest('Concurrent derivations', function () {
+    var webcrypto = countingWebCrypto();
+    var opts = {scramWorker: false,
+      crypto: new sasl.WebCryptoProvider(webcrypto)};
+    return Promise.all([clientFinalMessage(opts), clientFinalMessage(opts)])
+      .then(function (responses) {
+        assert.deepEqual(responses, [clientFinal, clientFinal]);
+        assert.equal(webcrypto.derivations, 1);
+        return clientFinalMessage(opts);
+      }).then(function (response) {
+        // The keys are not kept once they are derived.
+        assert.equal(response, clientFinal);
+        assert.equal(webcrypto.derivations, 2);
+      });
+  });
+  test('Server', function () {
+    var server = new sasl.ServerAuthenticator("imap", "localhost",
+      ["SCRAM-SHA-256"], {lookup: function () { return {pass: "pencil"}; }});
+    var auth = quickAuth('SCRAM-SHA-256', {user: "user", pass: "pencil",
+      scramWorker: false});
+    auth.tryNextAuth();
+    return auth.authStep("").then(function (response) {
+      return server.start("SCRAM-SHA-256", response);
+    }).then(function (result) {
+      return auth.authStep(result.challenge);
+    }).then(function (response) {
+      return server.authStep(response);
+    }).then(function (result) {
+      return auth.authStep(result.challenge);
+    }).then(function (response) {
+      return server.authStep(response);
+    }).then(function (result) {
+      assert.ok(result.success);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+var assert = require("assert");
+var net = require("net");
+var stream = require("stream");
+var sasl = require("sasl");
+var cli = require("../bin/emailsasl");
+
+var token = "vF9dft4qmTc2Nvb3RlckBhdHRhdmlzdGEuY29tCg==";
+
+// Run the tool with the given arguments and input lines, resolving to the exit
+// status and the output. The password and token are in the environment, unless
+// other io options are given; by default, nothing is entered when asked.
+function run(argv, lines, ioOptions) {
+  var input = new stream.PassThrough();
+  var output = "", error = "";
+  var io = Object.assign({
+    input: input,
+    output: {write: function (data) { output += data; }},
+    error: {write: function (data) { error += data; }},
+    env: {SASL_PASS: "tanstaaftanstaaf", SASL_TOKEN: token},
+    prompt: function () { return Promise.resolve(undefined); },
+  }, ioOptions);
+  input.end((lines || []).map(function (line) { return line + "\n"; })
+    .join(""));
+  return cli.main(argv, io).then(function (status) {
+    return {status: status, output: output, error: error};
+  });
+}
+
+var timArgs = ["--user", "tim"];
+
+// A minimal IMAP server that authenticates with a ServerAuthenticator.
+function startImapServer() {
+  var server = net.createServer(function (socket) {
+    var auth = new sasl.ServerAuthenticator("imap", "localhost",
+      ["CRAM-MD5", "PLAIN"], {
+        lookup: function (user) {
+          return user == "tim" ? {pass: "tanstaaftanstaaf"} : null;
+        },
+      });
+    var buffer = "", tag = null;
+    function reply(result) {
+      if (!result.done)
+        socket.write("+ " + result.challenge + "\r\n");
+      else
+        socket.write(tag + (result.success ? " OK Done" : " NO Failed") +
+          "\r\n");
+    }
+    socket.setEncoding("utf8");
+    socket.write("* OK IMAP4rev1 ready\r\n");
+    socket.on("data", function (data) {
+      var lines = (buffer + data).split("\r\n");
+      buffer = lines.pop();
+      lines.forEach(function (line) {
+        var words = line.split(" ");
+        if (tag !== null) {
+          auth.authStep(line).then(reply);
+        } else if (words[1] == "CAPABILITY") {
+          socket.write("* CAPABILITY IMAP4rev1 AUTH=CRAM-MD5 AUTH=PLAIN\r\n" +
+            words[0] + " OK Done\r\n");
+        } else if (words[1] == "AUTHENTICATE") {
+          tag = words[0];
+          auth.start(words[2], words[3]).then(reply);
+        } else if (words[1] == "LOGOUT") {
+          socket.end("* BYE\r\n" + words[0] + " OK Done\r\n");
+        }
+      });
+    });
+  });
+  return new Promise(function (resolve) {
+    server.listen(0, "127.0.0.1", function () { resolve(server); });
+  });
+}
+
+suite('Command-line tool', function () {
+  test('PLAIN', function () {
+    return run(["plain"].concat(timArgs)).then(function (result) {
+      assert.equal(result.status, 0);
+      assert.equal(result.output, "AHRpbQB0YW5zdGFhZnRhbnN0YWFm\n");
+    });
+  });
+  test('XOAUTH2', function () {
+    return run(["xoauth2", "--user", "someuser@example.com"])
+    .then(function (result) {
+      assert.equal(result.status, 0);
+      assert.equal(result.output, "dXNlcj1zb21ldXNlckBleGFtcGxlLmNvbQFhdXR" +
+        "oPUJlYXJlciB2RjlkZnQ0cW1UYzJOdmIzUmxja0JoZEhSaGRtbHpkR0V1WTI5dENnP" +
+        "T0BAQ==\n");
+    });
+  });
+  test('OAUTHBEARER', function () {
+    return run(["oauthbearer", "--user", "user@example.com", "--host",
+        "server.example.com", "--port", "143"])
+    .then(function (result) {
+      assert.equal(result.status, 0);
+      assert.equal(result.output, "bixhPXVzZXJAZXhhbXBsZS5jb20sAWhvc3Q9c2Vy" +
+        "dmVyLmV4YW1wbGUuY29tAXBvcnQ9MTQzAWF1dGg9QmVhcmVyIHZGOWRmdDRxbVRjMk5" +
+        "2YjNSbGNrQmhkSFJoZG1semRHRXVZMjl0Q2c9PQEB\n");
+    });
+  });
+  test('Missing credentials', function () {
+    return run(["plain", "--user", "tim"], [], {env: {}})
+    .then(function (result) {
+      assert.equal(result.status, 1);
+      assert.equal(result.output, "");
+      assert.ok(/^emailsasl: /.test(result.error));
+    });
+  });
+  test('Asking for secrets', function () {
+    var questions = [];
+    function prompt(question) {
+      questions.push(question);
+      return Promise.resolve(question == "Password: " ? "tanstaaftanstaaf" :
+        token);
+    }
+    return run(["plain"].concat(timArgs), [], {env: {}, prompt: prompt})
+    .then(function (result) {
+      assert.equal(result.status, 0);
+      assert.equal(result.output, "AHRpbQB0YW5zdGFhZnRhbnN0YWFm\n");
+      assert.deepEqual(questions, ["Password: "]);
+      return run(["run", "CRAM-MD5"].concat(timArgs),
+        ["+ PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+"],
+        {env: {SASL_TOKEN: token}, prompt: prompt});
+    }).then(function (result) {
+      assert.equal(result.status, 0);
+      assert.ok(/\nC: dGltIGI5MTNhNjAyYzdlZGE3YTQ5NWI0ZTZlNzMzNGQzODkw\n/
+        .test(result.output));
+      assert.deepEqual(questions, ["Password: ", "Password: "]);
+    });
+  });
+  test('Usage errors', function () {
+    return Promise.all([
+      run([]),
+      run(["frobnicate"]),
+      run(["plain", "--frobnicate"]),
+      run(["plain", "--user"]),
+      run(["run"]),
+      run(["plain", "--user", "tim", "--pass", "tanstaaftanstaaf"]),
+      run(["xoauth2", "--user", "tim", "--token", token]),
+    ]).then(function (results) {
+      results.forEach(function (result) {
+        assert.equal(result.status, 2);
+        assert.ok(/Usage: emailsasl/.test(result.error));
+      });
+      // Secrets are not accepted on the command line.
+      assert.ok(/--pass is not supported; set \$SASL_PASS/.test(
+        results[5].error));
+      assert.ok(/--token is not supported; set \$SASL_TOKEN/.test(
+        results[6].error));
+    });
+  });
+  test('Interactive CRAM-MD5', function () {
+    return run(["run", "cram-md5"].concat(timArgs),
+        ["+ PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+"])
+    .then(function (result) {
+      assert.equal(result.status, 0);
+      assert.equal(result.output, [
+        "S: PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+",
+        "   <1896.697170952@postoffice.reston.mci.net>",
+        "C: dGltIGI5MTNhNjAyYzdlZGE3YTQ5NWI0ZTZlNzMzNGQzODkw",
+        "   tim b913a602c7eda7a495b4e6e7334d3890",
+        "",
+      ].join("\n"));
+    });
+  });
+  test('Interactive PLAIN', function () {
+    return run(["run", "PLAIN"].concat(timArgs)).then(function (result) {
+      assert.equal(result.status, 0);
+      assert.equal(result.output, [
+        "C: AHRpbQB0YW5zdGFhZnRhbnN0YWFm",
+        "   \\x00tim\\x00tanstaaftanstaaf",
+        "",
+      ].join("\n"));
+    });
+  });
+  test('Interactive errors', function () {
+    return run(["run", "CRAM-MD5"].concat(timArgs), ["334 !!!"])
+    .then(function (result) {
+      assert.equal(result.status, 1);
+      assert.ok(/^S: !!!\n   \(invalid base64\)\n$/.test(result.output));
+      assert.ok(/^emailsasl: /.test(result.error));
+    });
+  });
+  test('IMAP negotiation', function () {
+    return startImapServer().then(function (server) {
+      var port = server.address().port;
+      return run(["imap", "--host", "127.0.0.1", "--port", String(port),
+          "--mechanism", "plain"].concat(timArgs))
+      .then(function (result) {
+        server.close();
+        assert.equal(result.status, 0, result.error);
+        assert.equal(result.output, [
+          "* Server mechanisms: CRAM-MD5 PLAIN",
+          "* Trying PLAIN",
+          "C: \\x00tim\\x00[redacted]",
+          "* PLAIN succeeded",
+          "* Authenticated with PLAIN",
+          "",
+        ].join("\n"));
+      });
+    });
+  });
+});
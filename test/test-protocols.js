@@ -0,0 +1,439 @@
+var assert = require("assert");
+var sasl = require("sasl");
+
+// A transport that checks the client's lines against a script. Each entry of
+// the script is either ["C", expected] for a line sent by the client (the
+// expected value may be a regular expression), or ["S", line] for a line sent
+// by the server.
+function scriptedTransport(script) {
+  return {
+    sendLine: function (line) {
+      assert.ok(script.length > 0, "Unexpected line " + line);
+      var entry = script.shift();
+      assert.equal(entry[0], "C", "Unexpected line " + line);
+      if (entry[1] instanceof RegExp)
+        assert.ok(entry[1].test(line), line + " does not match " + entry[1]);
+      else
+        assert.equal(line, entry[1]);
+    },
+    readLine: function () {
+      var entry = script.shift();
+      assert.equal(entry[0], "S");
+      return Promise.resolve(entry[1]);
+    },
+  };
+}
+
+function runScript(Driver, mechanisms, opts, driverOpts, script) {
+  var auth = new sasl.Authenticator("imap", "localhost.localdomain",
+    mechanisms, opts);
+  var driver = new Driver(auth, scriptedTransport(script), driverOpts);
+  return driver.authenticate().then(function (mechanism) {
+    assert.equal(script.length, 0);
+    return mechanism;
+  });
+}
+
+function expectMechanism(expected) {
+  return function (mechanism) { assert.equal(mechanism, expected); };
+}
+
+var timCreds = {user: "tim", pass: "tanstaaftanstaaf"};
+
+suite('IMAP', function () {
+  test('SASL-IR', function () {
+    return runScript(sasl.ImapDriver, ["PLAIN"], timCreds, {saslIR: true}, [
+      ["C", "A1 AUTHENTICATE PLAIN AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "* CAPABILITY IMAP4rev1"],
+      ["S", "A1 OK Success"],
+    ]).then(expectMechanism("PLAIN"));
+  });
+  test('Without SASL-IR', function () {
+    return runScript(sasl.ImapDriver, ["PLAIN"], timCreds, {}, [
+      ["C", "A1 AUTHENTICATE PLAIN"],
+      ["S", "+ "],
+      ["C", "AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "A1 OK Success"],
+    ]).then(expectMechanism("PLAIN"));
+  });
+  test('Empty initial response', function () {
+    return runScript(sasl.ImapDriver, ["ANONYMOUS"],
+      {desiredAuthMethods: ["ANONYMOUS"]},
+      {saslIR: true, tag: function () { return "x"; }}, [
+      ["C", "x AUTHENTICATE ANONYMOUS ="],
+      ["S", "x OK Success"],
+    ]).then(expectMechanism("ANONYMOUS"));
+  });
+  test('EXTERNAL', function () {
+    return runScript(sasl.ImapDriver, ["EXTERNAL", "PLAIN"],
+      {clientCertificate: true}, {saslIR: true}, [
+      ["C", "A1 AUTHENTICATE EXTERNAL ="],
+      ["S", "A1 OK Success"],
+    ]).then(expectMechanism("EXTERNAL"));
+  });
+  test('EXTERNAL without SASL-IR', function () {
+    return runScript(sasl.ImapDriver, ["EXTERNAL"],
+      {clientCertificate: true, authzid: "shared"}, {}, [
+      ["C", "A1 AUTHENTICATE EXTERNAL"],
+      ["S", "+ "],
+      ["C", "c2hhcmVk"],
+      ["S", "A1 OK Success"],
+    ]).then(expectMechanism("EXTERNAL"));
+  });
+  test('Fallback', function () {
+    return runScript(sasl.ImapDriver, ["LOGIN", "PLAIN"], timCreds, {}, [
+      ["C", "A1 AUTHENTICATE PLAIN"],
+      ["S", "+"],
+      ["C", "AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "A1 NO Authentication failed"],
+      ["C", "A2 AUTHENTICATE LOGIN"],
+      ["S", "+ VXNlciBOYW1lAA=="],
+      ["C", "dGlt"],
+      ["S", "+ UGFzc3dvcmQA"],
+      ["C", "dGFuc3RhYWZ0YW5zdGFhZg=="],
+      ["S", "A2 OK Success"],
+    ]).then(expectMechanism("LOGIN"));
+  });
+  test('Cancelling bad challenges', function () {
+    return runScript(sasl.ImapDriver, ["SCRAM-SHA-1", "PLAIN"], timCreds,
+        {saslIR: true}, [
+      ["C", /^A1 AUTHENTICATE SCRAM-SHA-1 [A-Za-z0-9+\/=]+$/],
+      ["S", "+ bT1mb28="],
+      ["C", "*"],
+      ["S", "A1 BAD Authentication cancelled"],
+      ["C", "A2 AUTHENTICATE PLAIN AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "A2 OK Success"],
+    ]).then(expectMechanism("PLAIN"));
+  });
+  test('All mechanisms fail', function () {
+    return runScript(sasl.ImapDriver, ["PLAIN"], timCreds, {saslIR: true}, [
+      ["C", "A1 AUTHENTICATE PLAIN AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "A1 NO Authentication failed"],
+    ]).then(function () { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.message, "Authentication failed"); });
+  });
+  test('Rejected credentials', function () {
+    // No other mechanism is tried with the same credentials.
+    return runScript(sasl.ImapDriver, ["CRAM-MD5", "PLAIN"], timCreds,
+        {saslIR: true}, [
+      ["C", "A1 AUTHENTICATE CRAM-MD5"],
+      ["S", "+ PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+"],
+      ["C", "dGltIGI5MTNhNjAyYzdlZGE3YTQ5NWI0ZTZlNzMzNGQzODkw"],
+      ["S", "A1 NO [AUTHENTICATIONFAILED] Invalid credentials"],
+    ]).then(function () { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.code, "CREDENTIALS_REJECTED"); });
+  });
+  test('Rejected SCRAM proof', function () {
+    var server = new sasl.ServerAuthenticator("imap", "localhost", null, {
+      lookup: function (user) { return {pass: "pencil"}; },
+    });
+    var pending = [];
+    var transport = {
+      lines: [],
+      sendLine: function (line) {
+        this.lines.push(line);
+        var result;
+        if (line.indexOf(" AUTHENTICATE ") >= 0) {
+          var parts = line.split(" ");
+          this.tag = parts[0];
+          result = server.start(parts[2], parts[3]);
+        } else if (this.failed) {
+          result = Promise.resolve({done: true, success: false});
+        } else {
+          result = server.authStep(line);
+        }
+        pending.push(result.then(function (result) {
+          // The e= attribute of a failure is sent as a challenge first.
+          if (!result.done || (!result.success && result.challenge)) {
+            transport.failed = result.done;
+            return "+ " + result.challenge;
+          }
+          return transport.tag + (result.success ? " OK" : " NO");
+        }));
+      },
+      readLine: function () { return pending.shift(); },
+    };
+    var auth = new sasl.Authenticator("imap", "localhost",
+      ["SCRAM-SHA-256", "PLAIN"], {user: "user", pass: "pancil"});
+    return new sasl.ImapDriver(auth, transport, {saslIR: true}).authenticate()
+    .then(function () { throw new Error("Expected error"); }, function (e) {
+      assert.equal(e.code, "CREDENTIALS_REJECTED");
+      assert.equal(transport.lines[transport.lines.length - 1], "*");
+      assert.ok(transport.lines.every(function (line) {
+        return line.indexOf("PLAIN") < 0;
+      }));
+    });
+  });
+  test('Against a server', function () {
+    var server = new sasl.ServerAuthenticator("imap", "localhost", null, {
+      lookup: function (user) { return {pass: "pencil"}; },
+    });
+    var pending = [];
+    var transport = {
+      sendLine: function (line) {
+        var result;
+        if (line.indexOf(" AUTHENTICATE ") >= 0) {
+          var parts = line.split(" ");
+          this.tag = parts[0];
+          result = server.start(parts[2], parts[3]);
+        } else {
+          result = server.authStep(line);
+        }
+        pending.push(result.then(function (result) {
+          if (!result.done)
+            return "+ " + result.challenge;
+          return transport.tag + (result.success ? " OK" : " NO");
+        }));
+      },
+      readLine: function () { return pending.shift(); },
+    };
+    var auth = new sasl.Authenticator("imap", "localhost", ["SCRAM-SHA-256"],
+      {user: "user", pass: "pencil"});
+    return new sasl.ImapDriver(auth, transport, {saslIR: true}).authenticate()
+      .then(expectMechanism("SCRAM-SHA-256"));
+  });
+});
+
+suite('SMTP', function () {
+  test('Basic support', function () {
+    return runScript(sasl.SmtpDriver, ["PLAIN", "LOGIN"], timCreds, {}, [
+      ["C", "AUTH PLAIN AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "504 5.5.4 Unrecognized authentication type"],
+      ["C", "AUTH LOGIN"],
+      ["S", "334 VXNlciBOYW1lAA=="],
+      ["C", "dGlt"],
+      ["S", "334 UGFzc3dvcmQA"],
+      ["C", "dGFuc3RhYWZ0YW5zdGFhZg=="],
+      ["S", "235-2.7.0 Authentication"],
+      ["S", "235 2.7.0 successful"],
+    ]).then(expectMechanism("LOGIN"));
+  });
+  test('Rejected credentials', function () {
+    return runScript(sasl.SmtpDriver, ["PLAIN", "LOGIN"], timCreds, {}, [
+      ["C", "AUTH PLAIN AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "535 5.7.8 Authentication credentials invalid"],
+    ]).then(function () { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.code, "CREDENTIALS_REJECTED"); });
+  });
+  test('EXTERNAL', function () {
+    return runScript(sasl.SmtpDriver, ["EXTERNAL"], {clientCertificate: true},
+        {initialResponse: false}, [
+      ["C", "AUTH EXTERNAL"],
+      ["S", "334 "],
+      ["C", ""],
+      ["S", "235 2.7.0 Authentication successful"],
+    ]).then(expectMechanism("EXTERNAL"));
+  });
+  test('Without initial responses', function () {
+    return runScript(sasl.SmtpDriver, ["PLAIN"], timCreds,
+        {initialResponse: false}, [
+      ["C", "AUTH PLAIN"],
+      ["S", "334 "],
+      ["C", "AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "235 2.7.0 Authentication successful"],
+    ]).then(expectMechanism("PLAIN"));
+  });
+});
+
+suite('POP3', function () {
+  test('Basic support', function () {
+    return runScript(sasl.Pop3Driver, ["PLAIN", "LOGIN"], timCreds, {}, [
+      ["C", "AUTH PLAIN AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "-ERR Authentication failed"],
+      ["C", "AUTH LOGIN"],
+      ["S", "+ VXNlciBOYW1lAA=="],
+      ["C", "dGlt"],
+      ["S", "+ UGFzc3dvcmQA"],
+      ["C", "dGFuc3RhYWZ0YW5zdGFhZg=="],
+      ["S", "+OK Maildrop locked and ready"],
+    ]).then(expectMechanism("LOGIN"));
+  });
+  test('Rejected credentials', function () {
+    return runScript(sasl.Pop3Driver, ["PLAIN", "LOGIN"], timCreds, {}, [
+      ["C", "AUTH PLAIN AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "-ERR [AUTH] Invalid password"],
+    ]).then(function () { throw new Error("Expected error"); },
+            function (e) { assert.equal(e.code, "CREDENTIALS_REJECTED"); });
+  });
+});
+
+suite('ManageSieve', function () {
+  test('Basic support', function () {
+    return runScript(sasl.ManageSieveDriver, ["PLAIN", "LOGIN"], timCreds, {}, [
+      ["C", 'AUTHENTICATE "PLAIN" "AHRpbQB0YW5zdGFhZnRhbnN0YWFm"'],
+      ["S", 'NO "Authentication failed"'],
+      ["C", 'AUTHENTICATE "LOGIN"'],
+      ["S", '"VXNlciBOYW1lAA=="'],
+      ["C", '"dGlt"'],
+      ["S", "{16}"],
+      ["S", "UGFzc3dvcmQA"],
+      ["C", '"dGFuc3RhYWZ0YW5zdGFhZg=="'],
+      ["S", "OK"],
+    ]).then(expectMechanism("LOGIN"));
+  });
+  test('Additional data with success', function () {
+    // See RFC 5804, §2.1.1
+    var auth = new sasl.Authenticator("sieve", "localhost",
+      ["SCRAM-SHA-1"], {user: "user", pass: "pencil"});
+    var script = [
+      ["C", 'AUTHENTICATE "SCRAM-SHA-1" "biwsbj11c2VyLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdM"'],
+      ["S", '"cj1meWtvK2QybGJiRmdPTlJ2OXFreGRhd0wzcmZjTkhZSlkxWlZ2V1ZzN2oscz1RU1hDUitRNnNlazhiZjkyLGk9NDA5Ng=="'],
+      ["C", '"Yz1iaXdzLHI9ZnlrbytkMmxiYkZnT05Sdjlxa3hkYXdMM3JmY05IWUpZMVpWdldWczdqLHA9djBYOHYzQnoyVDBDSkdiSlF5RjBYK0hJNFRzPQ=="'],
+      ["S", 'OK (SASL "dj1ybUY5cHFWOFM3c3VBb1pXamE0ZEpSa0ZzS1E9")'],
+    ];
+    var driver = new sasl.ManageSieveDriver(auth, scriptedTransport(script));
+    // Fix the nonce once the mechanism has been selected.
+    var tryNextAuth = auth.tryNextAuth;
+    auth.tryNextAuth = function () {
+      var result = tryNextAuth.call(auth);
+      if (result)
+        auth._authModule.nonce = 'fyko+d2lbbFgONRv9qkxdawL';
+      return result;
+    };
+    return driver.authenticate().then(expectMechanism("SCRAM-SHA-1"));
+  });
+});
+
+suite('Capabilities', function () {
+  test('Mechanism names', function () {
+    assert.deepEqual(sasl.canonicalizeMechanisms(["plain", "SCRAM-SHA-1",
+      "PLAIN", "x-oauth2_v1", "BAD NAME", "", "TWENTY-ONE-CHARACTERS",
+      "NO/SLASH"]), ["PLAIN", "SCRAM-SHA-1", "X-OAUTH2_V1"]);
+  });
+  test('IMAP', function () {
+    assert.deepEqual(sasl.parseImapCapabilities(
+      "* CAPABILITY IMAP4rev1 SASL-IR AUTH=plain AUTH=SCRAM-SHA-256 IDLE"), {
+      mechanisms: ["PLAIN", "SCRAM-SHA-256"],
+      initialResponse: true,
+    });
+    assert.deepEqual(sasl.parseImapCapabilities(
+      "* OK [CAPABILITY IMAP4rev1 AUTH=PLAIN LOGINDISABLED] Ready"), {
+      mechanisms: ["PLAIN"],
+      initialResponse: false,
+    });
+    assert.deepEqual(sasl.parseImapCapabilities(
+      ["IMAP4rev1", "sasl-ir", "AUTH=XOAUTH2", "AUTH="]), {
+      mechanisms: ["XOAUTH2"],
+      initialResponse: true,
+    });
+  });
+  test('SMTP', function () {
+    assert.deepEqual(sasl.parseSmtpEhlo([
+      "250-smtp.example.com Hello",
+      "250-AUTH LOGIN PLAIN XOAUTH2",
+      "250-AUTH=LOGIN PLAIN",
+      "250 8BITMIME",
+    ]), {
+      mechanisms: ["LOGIN", "PLAIN", "XOAUTH2"],
+      initialResponse: true,
+    });
+    assert.deepEqual(sasl.parseSmtpEhlo(
+      "250-smtp.example.com\r\n250 AUTH=CRAM-MD5 LOGIN\r\n").mechanisms,
+      ["CRAM-MD5", "LOGIN"]);
+    assert.deepEqual(sasl.parseSmtpEhlo(["250-mail", "250 SIZE 1000"])
+      .mechanisms, []);
+  });
+  test('POP3', function () {
+    assert.deepEqual(sasl.parsePop3Capa([
+      "+OK Capability list follows",
+      "TOP",
+      "SASL SCRAM-SHA-1 PLAIN",
+      "UIDL",
+      ".",
+    ]), {
+      mechanisms: ["SCRAM-SHA-1", "PLAIN"],
+      initialResponse: true,
+    });
+    assert.deepEqual(sasl.parsePop3Capa("+OK\r\nUSER\r\n.\r\n"), {
+      mechanisms: [],
+      initialResponse: false,
+    });
+  });
+  test('ManageSieve', function () {
+    assert.deepEqual(sasl.parseManageSieveCapabilities([
+      '"IMPLEMENTATION" "Example1 ManageSieved v001"',
+      '"SASL" "PLAIN DIGEST-MD5 GSSAPI"',
+      '"SIEVE" "fileinto vacation"',
+      'OK',
+    ]), {
+      mechanisms: ["PLAIN", "DIGEST-MD5", "GSSAPI"],
+      initialResponse: true,
+    });
+    assert.deepEqual(sasl.parseManageSieveCapabilities(
+      '"IMPLEMENTATION" "Test"\r\n"SASL"\r\nOK').mechanisms, []);
+  });
+  test('XMPP', function () {
+    assert.deepEqual(sasl.parseXmppMechanisms(
+      "<stream:features>" +
+      "<starttls xmlns='urn:ietf:params:xml:ns:xmpp-tls'/>" +
+      "<mechanisms xmlns='urn:ietf:params:xml:ns:xmpp-sasl'>" +
+      "<mechanism>SCRAM-SHA-1-PLUS</mechanism>" +
+      "<mechanism> PLAIN </mechanism>" +
+      "<mechanism>not valid!</mechanism>" +
+      "</mechanisms></stream:features>"), {
+      mechanisms: ["SCRAM-SHA-1-PLUS", "PLAIN"],
+      initialResponse: true,
+    });
+    assert.deepEqual(sasl.parseXmppMechanisms(
+      "<stream:features><bind/></stream:features>").mechanisms, []);
+  });
+  test('With a driver', function () {
+    var capabilities = sasl.parseImapCapabilities(
+      "* CAPABILITY IMAP4rev1 SASL-IR AUTH=PLAIN");
+    return runScript(sasl.ImapDriver, capabilities.mechanisms, timCreds,
+        {saslIR: capabilities.initialResponse}, [
+      ["C", "A1 AUTHENTICATE PLAIN AHRpbQB0YW5zdGFhZnRhbnN0YWFm"],
+      ["S", "A1 OK Success"],
+    ]).then(expectMechanism("PLAIN"));
+  });
+});
+
+suite('Failure outcomes', function () {
+  test('IMAP', function () {
+    assert.equal(sasl.classifyImapFailure(
+      "A1 NO [AUTHENTICATIONFAILED] Invalid credentials"), "credentials");
+    assert.equal(sasl.classifyImapFailure("NO [authorizationfailed] No"),
+      "credentials");
+    assert.equal(sasl.classifyImapFailure("A1 NO [EXPIRED] Expired"),
+      "credentials");
+    assert.equal(sasl.classifyImapFailure(
+      "A1 NO [UNAVAILABLE] Try again later"), "unavailable");
+    assert.equal(sasl.classifyImapFailure(
+      "A1 BAD [PRIVACYREQUIRED] Use TLS"), "mechanism");
+    assert.equal(sasl.classifyImapFailure("A1 NO Authentication failed"),
+      null);
+    assert.equal(sasl.classifyImapFailure("A1 NO [ALERT] Failed"), null);
+  });
+  test('SMTP', function () {
+    assert.equal(sasl.classifySmtpFailure(
+      "535 5.7.8 Authentication credentials invalid"), "credentials");
+    assert.equal(sasl.classifySmtpFailure("535 Authentication failed"),
+      "credentials");
+    assert.equal(sasl.classifySmtpFailure(
+      "454 4.7.0 Temporary authentication failure"), "unavailable");
+    assert.equal(sasl.classifySmtpFailure(
+      "504 5.5.4 Unrecognized authentication type"), "mechanism");
+    assert.equal(sasl.classifySmtpFailure(
+      "534 5.7.9 Authentication mechanism is too weak"), "mechanism");
+    assert.equal(sasl.classifySmtpFailure("550 5.7.1 Go away"), null);
+    assert.equal(sasl.classifySmtpFailure("Go away"), null);
+  });
+  test('POP3', function () {
+    assert.equal(sasl.classifyPop3Failure("-ERR [AUTH] Invalid password"),
+      "credentials");
+    assert.equal(sasl.classifyPop3Failure("-ERR [SYS/TEMP] Busy"),
+      "unavailable");
+    assert.equal(sasl.classifyPop3Failure("-ERR [in-use] Locked"),
+      "unavailable");
+    assert.equal(sasl.classifyPop3Failure("-ERR Authentication failed"),
+      null);
+  });
+  test('ManageSieve', function () {
+    assert.equal(sasl.classifyManageSieveFailure(
+      'NO (AUTH-TOO-WEAK) "Use a stronger mechanism"'), "mechanism");
+    assert.equal(sasl.classifyManageSieveFailure('NO (TRYLATER) "Busy"'),
+      "unavailable");
+    assert.equal(sasl.classifyManageSieveFailure(
+      'NO "Authentication failed"'), null);
+  });
+});
@@ -1,5 +1,6 @@
 var assert = require("assert");
 var saslutils = require("sasl-utils");
+var saslhashes = require("sasl-hashes");
 
 if (typeof String.prototype.normalize === "undefined" ||
     '\u00aa'.normalize("NFKC") == '\u00aa') {
@@ -25,4 +26,208 @@ suite('sasl-utils', function () {
       assert.equal(saslutils.saslPrep(d[0]), d[1]);
     });
   });
+  test('saslPrep prohibited output', function () {
+    var testVectors = [
+      // See RFC 4013, §3
+      ['\u0007', 0x0007],
+      // Other entries of the C.* tables
+      ['a\u0000b', 0x0000],
+      ['\ue000', 0xe000],
+      ['\ud83f\udffe', 0x1fffe],
+      ['\u2ff0', 0x2ff0],
+    ];
+    testVectors.forEach(function (d) {
+      assert.throws(function () {
+        saslutils.saslPrep(d[0]);
+      }, function (e) {
+        return e instanceof saslutils.StringPrepError && e.codePoint == d[1];
+      });
+    });
+  });
+  test('saslPrep bidi check', function () {
+    // See RFC 4013, §3
+    assert.throws(function () {
+      saslutils.saslPrep('\u0627\u0031');
+    }, saslutils.StringPrepError);
+    assert.throws(function () {
+      saslutils.saslPrep('\u05d0a\u05d1');
+    }, saslutils.StringPrepError);
+    assert.equal(saslutils.saslPrep('\u0627\u0031\u0628'),
+      '\u0627\u0031\u0628');
+  });
+  test('saslPrep unassigned code points', function () {
+    // U+0221 is unassigned in Unicode 3.2.
+    assert.equal(saslutils.saslPrep('\u0221'), '\u0221');
+    assert.throws(function () {
+      saslutils.saslPrep('\u0221', {storedString: true});
+    }, saslutils.StringPrepError);
+    assert.equal(saslutils.saslPrep('user', {storedString: true}), 'user');
+  });
+  test('precisUsernameCaseMapped', function () {
+    var testVectors = [
+      // See RFC 8265, §3.5
+      ['juliet@example.com', 'juliet@example.com'],
+      ['fussball', 'fussball'],
+      ['fu\u00dfball', 'fu\u00dfball'],
+      ['\u03c0', '\u03c0'],
+      ['\u03a3', '\u03c3'],
+      ['\u03c3', '\u03c3'],
+      ['\u03c2', '\u03c2'],
+      // Width and case mapping
+      ['\uff2a\uff35\uff2c\uff29\uff25\uff34', 'juliet'],
+      ['Juliet', 'juliet'],
+      // Contextual rules
+      ['l\u00b7l', 'l\u00b7l'],
+    ];
+    testVectors.forEach(function (d) {
+      assert.equal(saslutils.precisUsernameCaseMapped(d[0]), d[1]);
+    });
+    var invalid = [
+      // See RFC 8265, §3.5
+      '', 'foo bar', '\u265a', '\u2163',
+      // Contextual rules and the Bidi Rule
+      'a\u00b7l', '\u0627a',
+    ];
+    invalid.forEach(function (str) {
+      assert.throws(function () {
+        saslutils.precisUsernameCaseMapped(str);
+      }, saslutils.StringPrepError);
+    });
+  });
+  test('precisOpaqueString', function () {
+    var testVectors = [
+      // See RFC 8265, §4.4
+      ['correct horse battery staple', 'correct horse battery staple'],
+      ['Correct Horse Battery Staple', 'Correct Horse Battery Staple'],
+      ['\u03c0\u00df\u00e5', '\u03c0\u00df\u00e5'],
+      ['Jack of \u2666s', 'Jack of \u2666s'],
+      ['foo\u1680bar', 'foo bar'],
+    ];
+    testVectors.forEach(function (d) {
+      assert.equal(saslutils.precisOpaqueString(d[0]), d[1]);
+    });
+    ['', 'my cat is a \u0009by'].forEach(function (str) {
+      assert.throws(function () {
+        saslutils.precisOpaqueString(str);
+      }, saslutils.StringPrepError);
+    });
+  });
+  test('prepareUsername and preparePassword', function () {
+    assert.equal(saslutils.prepareUsername('User\u00aa'), 'Usera');
+    assert.equal(saslutils.prepareUsername('User', 'precis'), 'user');
+    assert.equal(saslutils.prepareUsername('User\u00aa', 'none'),
+      'User\u00aa');
+    assert.equal(saslutils.preparePassword('I\u00adX'), 'IX');
+    assert.equal(saslutils.preparePassword('Pass\u00a0word', 'precis'),
+      'Pass word');
+    assert.equal(saslutils.preparePassword('I\u00adX', 'none'), 'I\u00adX');
+    assert.throws(function () {
+      saslutils.prepareUsername('user', 'bogus');
+    });
+  });
+  test('encodeSaslName', function () {
+    assert.equal(saslutils.encodeSaslName("user"), "user");
+    assert.equal(saslutils.encodeSaslName("a,b=c"), "a=2Cb=3Dc");
+    assert.equal(saslutils.encodeSaslName("=2C,,"), "=3D2C=2C=2C");
+  });
+  test('decodeSaslName', function () {
+    assert.equal(saslutils.decodeSaslName("user"), "user");
+    assert.equal(saslutils.decodeSaslName("a=2Cb=3Dc"), "a,b=c");
+    assert.equal(saslutils.decodeSaslName("=3D2C=2C=2C"), "=2C,,");
+    assert.throws(function () { saslutils.decodeSaslName("a,b"); });
+    assert.throws(function () { saslutils.decodeSaslName("a=b"); },
+      function (e) { return e.code == "MALFORMED_CHALLENGE"; });
+  });
+  test('base64UTF8ToString', function () {
+    assert.equal(saslutils.base64UTF8ToString("dXNlcg=="), "user");
+    assert.equal(saslutils.base64UTF8ToString(
+      saslutils.stringToBase64UTF8("\u00e9\u2168")), "\u00e9\u2168");
+  });
+  test('Strict base64 decoding', function () {
+    assert.equal(saslutils.base64ToBinaryString(""), "");
+    assert.equal(saslutils.base64ToBinaryString("dXNlcg=="), "user");
+    assert.equal(saslutils.base64ToBinaryString("dXNlcjE="), "user1");
+    assert.deepEqual(Array.from(saslutils.base64ToArrayBuffer("AP8=")),
+      [0, 255]);
+    ["dXNlcg", "dXNlcg=", "dXNlcg===", "dXN lcg==", "dXNl!g==", "dXNlcg==AA",
+     "=", "bm9wZQ==\n"].forEach(function (str) {
+      [saslutils.base64ToBinaryString,
+       saslutils.base64ToArrayBuffer].forEach(function (decode) {
+        assert.throws(function () { decode(str); }, function (e) {
+          return e instanceof saslutils.SaslError &&
+            e.code == saslutils.SaslError.INVALID_BASE64;
+        }, JSON.stringify(str));
+      });
+    });
+  });
+  test('Error codes', function () {
+    var error = new saslutils.SaslError(saslutils.SaslError.TOO_MANY_STEPS,
+      "Too many steps");
+    assert.ok(error instanceof Error);
+    assert.equal(error.name, "SaslError");
+    assert.equal(error.code, "TOO_MANY_STEPS");
+    assert.equal(error.message, "Too many steps");
+    assert.throws(function () { saslutils.saslPrep("\u0007"); }, function (e) {
+      return e instanceof saslutils.SaslError &&
+        e.code == saslutils.SaslError.PROHIBITED_CHARACTERS;
+    });
+  });
+});
+
+suite('sasl-hashes', function () {
+  function toHex(bytes) {
+    return Array.from(bytes, function (b) {
+      return (b < 16 ? "0" : "") + b.toString(16);
+    }).join("");
+  }
+  function bytes(str) {
+    return Uint8Array.from(str, function (c) { return c.charCodeAt(0); });
+  }
+  function md4(str) {
+    return toHex(saslhashes.md4(bytes(str)));
+  }
+  function md5(str) {
+    return toHex(saslhashes.md5(bytes(str)));
+  }
+  test('MD4', function () {
+    // See RFC 1320, §A.5
+    assert.equal(md4(""), "31d6cfe0d16ae931b73c59d7e0c089c0");
+    assert.equal(md4("a"), "bde52cb31de33e46245e05fbdbd6fb24");
+    assert.equal(md4("abc"), "a448017aaf21d8525fc10ae87aa6729d");
+    assert.equal(md4("message digest"), "d9130a8164549fe818874806e1c7014b");
+    assert.equal(md4("abcdefghijklmnopqrstuvwxyz"),
+      "d79e1c308aa5bbcdeea8ed63df412da9");
+    assert.equal(md4("ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz" +
+      "0123456789"), "043f8582f241db351ce627e153e7f0e4");
+    assert.equal(md4("1234567890123456789012345678901234567890" +
+      "1234567890123456789012345678901234567890"),
+      "e33b4ddc9c38f2199c3e7b164fcc0536");
+  });
+  test('MD5', function () {
+    // See RFC 1321, §A.5
+    assert.equal(md5(""), "d41d8cd98f00b204e9800998ecf8427e");
+    assert.equal(md5("a"), "0cc175b9c0f1b6a831c399e269772661");
+    assert.equal(md5("abc"), "900150983cd24fb0d6963f7d28e17f72");
+    assert.equal(md5("message digest"), "f96b697d7cb7938d525a2f31aaf161d0");
+    assert.equal(md5("abcdefghijklmnopqrstuvwxyz"),
+      "c3fcd3d76192e4007dfb496cca67e13b");
+    assert.equal(md5("ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz" +
+      "0123456789"), "d174ab98d277d9f5a5611c2c9f419d9f");
+    assert.equal(md5("1234567890123456789012345678901234567890" +
+      "1234567890123456789012345678901234567890"),
+      "57edf4a22be3c955ac49da2e2107b67a");
+  });
+  test('HMAC-MD5', function () {
+    // See RFC 2104, Appendix, and RFC 2202, §2
+    function hmac(key, data) {
+      return toHex(saslhashes.hmacMD5(bytes(key), bytes(data)));
+    }
+    assert.equal(hmac("\x0b".repeat(16), "Hi There"),
+      "9294727a3638bb1c13f48ef8158bfc9d");
+    assert.equal(hmac("Jefe", "what do ya want for nothing?"),
+      "750c783e6ab0b503eaa86e310a5db738");
+    assert.equal(hmac("\xaa".repeat(80),
+      "Test Using Larger Than Block-Size Key - Hash Key First"),
+      "6b1ab7fe4bd7bf8f0b62e6ce61b9d0cd");
+  });
 });
@@ -0,0 +1,204 @@
+var assert = require("assert");
+var sasl = require("sasl");
+var saslutils = require("sasl-utils");
+
+var users = {
+  "user": {pass: "pencil", oauthbearer: "vF9dft4qmTc2Nvb3RlckBhbHRhdmlzdGEuY29tCg=="},
+  "admin": {pass: "s3cr\u00e8t", salt: "QSXCR+Q6sek8bf92", iterations: 4096},
+};
+
+function lookup(user) {
+  return users[user] || null;
+}
+
+function makeServer(mechanisms, opts) {
+  opts = opts || {};
+  if (!opts.lookup)
+    opts.lookup = lookup;
+  return new sasl.ServerAuthenticator("imap", "localhost.localdomain",
+    mechanisms, opts);
+}
+
+// Run a complete authentication exchange between a client and a server, using
+// the first mechanism the client selects. The promise resolves to the server's
+// final result.
+function converse(client, server, useInitialResponse) {
+  var method = client.tryNextAuth();
+  var initial = (method[1] && useInitialResponse !== false) ?
+    client.authStep("") : Promise.resolve(undefined);
+  return initial.then(function (response) {
+    return server.start(method[0], response);
+  }).then(function step(result) {
+    if (result.done)
+      return result;
+    return client.authStep(result.challenge).then(function (response) {
+      return server.authStep(response);
+    }).then(step);
+  });
+}
+
+function quickClient(mechanism, opts) {
+  return new sasl.Authenticator("imap", "localhost.localdomain",
+    [mechanism], opts);
+}
+
+function expectSuccess(user, authzid) {
+  return function (result) {
+    assert.deepEqual(result, {done: true, success: true, user: user,
+      authzid: authzid || user});
+  };
+}
+
+function expectFailure(result) {
+  assert.equal(result.done, true);
+  assert.equal(result.success, false);
+  assert.ok(result.error);
+}
+
+suite('sasl.ServerAuthenticator', function () {
+  test('Parameter sanity', function () {
+    assert.throws(function () {
+      new sasl.ServerAuthenticator("imap", "localhost", null, {});
+    });
+    assert.throws(function () {
+      new sasl.ServerAuthenticator("", "localhost", null, {lookup: lookup});
+    });
+    var server = makeServer(["plain", "SCRAM-SHA-256", "MRMAGICFUNTIME"]);
+    assert.deepEqual(server.mechanisms, ["PLAIN", "SCRAM-SHA-256"]);
+    assert.ok(makeServer(null).mechanisms.indexOf("SCRAM-SHA-1") >= 0);
+  });
+  test('Unsupported mechanism', function () {
+    return makeServer(["PLAIN"]).start("LOGIN").then(expectFailure);
+  });
+  test('Initial responses', function () {
+    var server = makeServer(["PLAIN", "CRAM-MD5"]);
+    return server.start("PLAIN")
+      .then(function (result) {
+        assert.deepEqual(result, {done: false, challenge: ""});
+        return server.start("CRAM-MD5", "AAAA");
+      })
+      .then(expectFailure);
+  });
+});
+
+['PLAIN', 'LOGIN', 'CRAM-MD5', 'SCRAM-SHA-1', 'SCRAM-SHA-256',
+ 'SCRAM-SHA-512'].forEach(function (mechanism) {
+  suite('Server ' + mechanism, function () {
+    test('Successful authentication', function () {
+      var client = quickClient(mechanism, {user: "user", pass: "pencil"});
+      return converse(client, makeServer([mechanism]))
+        .then(expectSuccess("user"));
+    });
+    test('Without an initial response', function () {
+      var client = quickClient(mechanism, {user: "admin", pass: "s3cr\u00e8t"});
+      return converse(client, makeServer([mechanism]), false)
+        .then(expectSuccess("admin"));
+    });
+    test('Incorrect password', function () {
+      var client = quickClient(mechanism, {user: "user", pass: "pen"});
+      return converse(client, makeServer([mechanism]))
+        .then(expectFailure);
+    });
+    test('Unknown user', function () {
+      var client = quickClient(mechanism, {user: "nobody", pass: "pencil"});
+      return converse(client, makeServer([mechanism]))
+        .then(expectFailure);
+    });
+  });
+});
+
+suite('Server authorization identity', function () {
+  test('Authorization is checked', function () {
+    var client = quickClient("PLAIN",
+      {user: "user", pass: "pencil", authzid: "admin"});
+    return converse(client, makeServer(["PLAIN"])).then(expectFailure);
+  });
+  test('Authorization callback', function () {
+    var authorize = function (user, authzid) {
+      return Promise.resolve(user == "user" && authzid == "admin");
+    };
+    var client = quickClient("SCRAM-SHA-1",
+      {user: "user", pass: "pencil", authzid: "admin"});
+    return converse(client, makeServer(["SCRAM-SHA-1"],
+        {authorize: authorize}))
+      .then(expectSuccess("user", "admin"));
+  });
+});
+
+suite('Server SCRAM', function () {
+  test('Stored salt and iteration count', function () {
+    var server = makeServer(["SCRAM-SHA-1"]);
+    return server.start("SCRAM-SHA-1",
+      saslutils.stringToBase64UTF8("n,,n=admin,r=abcdef"))
+      .then(function (result) {
+        assert.equal(result.done, false);
+        var serverFirst = saslutils.base64UTF8ToString(result.challenge);
+        assert.ok(/^r=abcdef[^,]+,s=QSXCR\+Q6sek8bf92,i=4096$/
+          .test(serverFirst));
+      });
+  });
+  test('Incorrect password', function () {
+    var client = quickClient("SCRAM-SHA-1", {user: "user", pass: "pen"});
+    return converse(client, makeServer(["SCRAM-SHA-1"]))
+      .then(function (result) {
+        expectFailure(result);
+        // The client rejects the server's error response.
+        return client.authStep(result.challenge);
+      })
+      .then(function () { throw new Error("Expected error"); },
+            function (e) {
+              assert.ok(e instanceof sasl.ScramServerError);
+              assert.equal(e.serverError, "invalid-proof");
+            });
+  });
+  test('Unassigned code points in the password', function () {
+    // Passwords are prepared as query strings, so characters added after
+    // Unicode 3.2 are allowed.
+    var client = quickClient("SCRAM-SHA-256",
+      {user: "user", pass: "pencil\ud83d\ude00"});
+    var server = makeServer(["SCRAM-SHA-256"], {lookup: function () {
+      return {pass: "pencil\ud83d\ude00"};
+    }});
+    return converse(client, server).then(expectSuccess("user"));
+  });
+  test('Channel binding is refused', function () {
+    var server = makeServer(["SCRAM-SHA-1"]);
+    return server.start("SCRAM-SHA-1",
+      saslutils.stringToBase64UTF8("p=tls-unique,,n=user,r=abcdef"))
+      .then(function (result) {
+        expectFailure(result);
+        assert.equal(saslutils.base64UTF8ToString(result.challenge),
+          "e=channel-bindings-dont-match");
+      });
+  });
+  test('Malformed client messages', function () {
+    var server = makeServer(["SCRAM-SHA-1"]);
+    return server.start("SCRAM-SHA-1",
+      saslutils.stringToBase64UTF8("n=user,r=abcdef"))
+      .then(expectFailure);
+  });
+});
+
+suite('Server XOAUTH2', function () {
+  test('Successful authentication', function () {
+    var client = quickClient("XOAUTH2",
+      {user: "user", oauthbearer: users.user.oauthbearer});
+    return converse(client, makeServer(["XOAUTH2"]))
+      .then(expectSuccess("user"));
+  });
+  test('Invalid token', function () {
+    var client = quickClient("XOAUTH2", {user: "user", oauthbearer: "bad"});
+    var server = makeServer(["XOAUTH2"]);
+    var method = client.tryNextAuth();
+    return client.authStep("")
+      .then(function (response) { return server.start(method[0], response); })
+      .then(function (result) {
+        expectFailure(result);
+        var error = JSON.parse(saslutils.base64UTF8ToString(result.challenge));
+        assert.equal(error.status, "401");
+        // The client acknowledges the error with an empty response.
+        return client.authStep(result.challenge);
+      })
+      .then(function (response) { assert.equal(response, ""); });
+  });
+});
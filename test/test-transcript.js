@@ -0,0 +1,197 @@
+var assert = require("assert");
+var sasl = require("sasl");
+var saslutils = require("sasl-utils");
+var sasltranscript = require("sasl-transcript");
+
+function quickAuth(mechanisms, opts) {
+  return new sasl.Authenticator("imap", "localhost.localdomain", mechanisms,
+    opts);
+}
+
+function makeServer(mechanisms) {
+  return new sasl.ServerAuthenticator("imap", "localhost.localdomain",
+    mechanisms, {
+      lookup: function (user) {
+        return user == "user" ? {pass: "pencil"} : null;
+      },
+    });
+}
+
+// Run the exchange of the first mechanism the client selects against the
+// server, resolving to the server's final result.
+function converse(client, server) {
+  var method = client.tryNextAuth();
+  var initial = method[1] ? client.authStep("") : Promise.resolve(undefined);
+  return initial.then(function (response) {
+    return server.start(method[0], response);
+  }).then(function step(result) {
+    if (result.done)
+      return result;
+    return client.authStep(result.challenge).then(function (response) {
+      return server.authStep(response);
+    }).then(step);
+  }).then(function (result) {
+    if (result.success)
+      client.authSucceeded();
+    else
+      client.authFailed(null);
+    return result;
+  });
+}
+
+function recordScram() {
+  var auth = quickAuth(["SCRAM-SHA-256"], {user: "user", pass: "pencil"});
+  var recorder = new sasltranscript.TranscriptRecorder(auth);
+  return converse(auth, makeServer(["SCRAM-SHA-256"])).then(function (result) {
+    assert.ok(result.success);
+    return recorder.transcript();
+  });
+}
+
+suite('Transcripts', function () {
+  test('Recording', function () {
+    return recordScram().then(function (transcript) {
+      assert.equal(transcript.service, "imap");
+      assert.equal(transcript.hostname, "localhost.localdomain");
+      assert.deepEqual(transcript.options,
+        {user: "user", pass: "password"});
+      assert.equal(transcript.attempts.length, 1);
+      var attempt = transcript.attempts[0];
+      assert.equal(attempt.mechanism, "SCRAM-SHA-256");
+      assert.equal(attempt.result, "succeeded");
+      assert.equal(attempt.random.length, 1);
+      assert.equal(attempt.steps.length, 3);
+      assert.equal(attempt.steps[0].challenge, "");
+      assert.equal(attempt.steps[0].response,
+        "n,,n=user,r=" + attempt.random[0]);
+      assert.ok(/,p=\[redacted\]$/.test(attempt.steps[1].response));
+      assert.equal(attempt.steps[2].response, "");
+      assert.equal(JSON.stringify(transcript).indexOf("pencil"), -1);
+    });
+  });
+  test('Replaying', function () {
+    return recordScram().then(function (transcript) {
+      return sasltranscript.replayTranscript(transcript, {pass: "pencil"});
+    }).then(function (difference) {
+      assert.equal(difference, null);
+    });
+  });
+  test('Replaying with fixtures', function () {
+    // The server signature cannot be verified without the real password.
+    return recordScram().then(function (transcript) {
+      return sasltranscript.replayTranscript(transcript);
+    }).then(function (difference) {
+      assert.equal(difference.attempt, 0);
+      assert.equal(difference.mechanism, "SCRAM-SHA-256");
+      assert.equal(difference.step, 2);
+      assert.equal(difference.expected.response, "");
+      assert.equal(difference.actual.error.code, "SIGNATURE_MISMATCH");
+    });
+  });
+  test('Diverging challenges', function () {
+    return recordScram().then(function (transcript) {
+      // A server that ignores the client nonce.
+      var steps = transcript.attempts[0].steps;
+      steps[1].challenge = saslutils.stringToBase64UTF8(
+        saslutils.base64ToBinaryString(steps[1].challenge)
+          .replace(/^r=[^,]{4}/, "r=aaaa"));
+      return sasltranscript.replayTranscript(transcript, {pass: "pencil"});
+    }).then(function (difference) {
+      assert.equal(difference.step, 1);
+      assert.equal(difference.actual.error.code, "MALFORMED_CHALLENGE");
+    });
+  });
+  test('Channel binding', function () {
+    var cbData = new Uint8Array(32);
+    for (var i = 0; i < cbData.length; i++)
+      cbData[i] = i;
+    function record(data) {
+      var auth = quickAuth(["SCRAM-SHA-256-PLUS"], {user: "user",
+        pass: "pencil", channelBinding: {type: "tls-exporter", data: data}});
+      var recorder = new sasltranscript.TranscriptRecorder(auth);
+      auth.tryNextAuth();
+      var nonce = auth._authModule.nonce;
+      return auth.authStep("").then(function () {
+        return auth.authStep(saslutils.stringToBase64UTF8("r=" + nonce +
+          "%hvYDpWUa2RaTCAfuxFIlj,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096"));
+      }).then(function () {
+        var transcript = JSON.parse(JSON.stringify(recorder));
+        assert.deepEqual(transcript.options.channelBinding, {
+          type: "tls-exporter",
+          data: saslutils.arrayBufferToBase64(cbData),
+        });
+        return sasltranscript.replayTranscript(transcript);
+      }).then(function (difference) {
+        assert.equal(difference, null);
+      });
+    }
+    return record(cbData).then(function () {
+      return record(function () { return Promise.resolve(cbData); });
+    });
+  });
+  test('Hashes the provider lacks', function () {
+    var provider = sasl.getCryptoProvider();
+    var auth = quickAuth(["SCRAM-SHA3-512", "SCRAM-SHA-256"], {
+      user: "user",
+      pass: "pencil",
+      crypto: {
+        digest: provider.digest.bind(provider),
+        hmac: provider.hmac.bind(provider),
+        pbkdf2: provider.pbkdf2.bind(provider),
+        randomBytes: provider.randomBytes.bind(provider),
+        supportsHash: function (hashName) {
+          return hashName != "SHA3-512";
+        },
+      },
+    });
+    var recorder = new sasltranscript.TranscriptRecorder(auth);
+    var server = makeServer(["SCRAM-SHA-256"]);
+    return converse(auth, server).then(function (result) {
+      assert.ok(result.success);
+      var transcript = recorder.transcript();
+      assert.equal(transcript.attempts.length, 1);
+      assert.equal(transcript.attempts[0].mechanism, "SCRAM-SHA-256");
+    });
+  });
+  test('Errors and fallback', function () {
+    var auth = quickAuth(["SCRAM-SHA-1", "PLAIN"],
+      {user: "tim", pass: "tanstaaftanstaaf", authzid: "shared"});
+    var recorder = new sasltranscript.TranscriptRecorder(auth,
+      {pass: "fixture"});
+    auth.tryNextAuth();
+    return auth.authStep("").then(function () {
+      return auth.authStep("bT1mb28=");
+    }).then(function () {
+      throw new Error("Expected error");
+    }, function (e) {
+      assert.equal(e.code, "UNSUPPORTED_CHALLENGE");
+      auth.tryNextAuth();
+      return auth.authStep("");
+    }).then(function () {
+      auth.authSucceeded();
+      var transcript = recorder.transcript();
+      assert.equal(transcript.options.pass, "fixture");
+      assert.equal(transcript.attempts.length, 2);
+      assert.deepEqual(transcript.attempts[0].steps[1], {
+        challenge: "bT1mb28=",
+        error: {
+          code: "UNSUPPORTED_CHALLENGE",
+          message: "Server requires an unsupported SCRAM extension",
+        },
+      });
+      assert.equal(transcript.attempts[0].result, "failed");
+      assert.deepEqual(transcript.attempts[1], {
+        mechanism: "PLAIN",
+        random: [],
+        steps: [{challenge: "", response: "shared\\x00tim\\x00[redacted]"}],
+        result: "succeeded",
+      });
+      assert.equal(JSON.stringify(transcript).indexOf("tanstaaf"), -1);
+      // The transcript survives serialization.
+      return sasltranscript.replayTranscript(
+        JSON.parse(JSON.stringify(recorder)));
+    }).then(function (difference) {
+      assert.equal(difference, null);
+    });
+  });
+});